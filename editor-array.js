@@ -0,0 +1,80 @@
+/**
+ * editor-array.js
+ * Matrices para duplicar objetos en array lineal o radial, como copias independientes
+ * o como instancias de un InstancedMesh que comparte la geometría.
+ *
+ * options: {
+ *   mode: 'linear' | 'radial',
+ *   count: nº total de elementos (incluido el original),
+ *   offset: [x, y, z]        desplazamiento entre copias (lineal, en mundo)
+ *   angle: grados            giro total (radial); 360 reparte la vuelta completa
+ *   axis: 'x' | 'y' | 'z'    eje de giro (radial)
+ *   center: Vector3          punto por el que pasa el eje (radial)
+ * }
+ */
+
+const AXES = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+
+export function setupArray(api) {
+  const { THREE } = api;
+
+  /* ===== COPIES ===== */
+  // Matriz (en mundo) que lleva el original a cada copia i = 1..count-1
+  function copyDeltas({ mode = 'linear', count = 2, offset = [1, 0, 0], angle = 360, axis = 'y', center = null } = {}) {
+    const n = Math.max(1, Math.floor(count));
+    const deltas = [];
+
+    if (mode === 'radial') {
+      const full = Math.abs(Math.abs(angle) - 360) < 1e-6;
+      const step = THREE.MathUtils.degToRad(angle) / (full ? n : Math.max(1, n - 1));
+      const c = center ?? new THREE.Vector3();
+      const dir = new THREE.Vector3().fromArray(AXES[axis] ?? AXES.y);
+      const toCenter = new THREE.Matrix4().makeTranslation(c.x, c.y, c.z);
+      const fromCenter = new THREE.Matrix4().makeTranslation(-c.x, -c.y, -c.z);
+      for (let i = 1; i < n; i++) {
+        deltas.push(new THREE.Matrix4()
+          .multiplyMatrices(toCenter, new THREE.Matrix4().makeRotationAxis(dir, step * i))
+          .multiply(fromCenter));
+      }
+      return deltas;
+    }
+
+    const [x, y, z] = offset;
+    for (let i = 1; i < n; i++) deltas.push(new THREE.Matrix4().makeTranslation(x * i, y * i, z * i));
+    return deltas;
+  }
+
+  // Transform (relativo al padre del objeto) de la copia: world' = delta · world
+  function transformFor(obj, delta) {
+    obj.updateWorldMatrix(true, false);
+    const local = new THREE.Matrix4().multiplyMatrices(delta, obj.matrixWorld);
+    if (obj.parent) local.premultiply(obj.parent.matrixWorld.clone().invert());
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    local.decompose(position, quaternion, scale);
+    return { position: position.toArray(), quaternion: quaternion.toArray(), scale: scale.toArray() };
+  }
+
+  /* ===== INSTANCES ===== */
+  // Matrices de instancia (en el espacio local del mesh): la 0 es el propio original
+  function instanceMatrices(obj, deltas) {
+    obj.updateWorldMatrix(true, false);
+    const world = obj.matrixWorld;
+    const inverse = world.clone().invert();
+    const out = new Float32Array((deltas.length + 1) * 16);
+    new THREE.Matrix4().toArray(out, 0);
+    deltas.forEach((delta, i) => {
+      new THREE.Matrix4().multiplyMatrices(inverse, delta).multiply(world).toArray(out, (i + 1) * 16);
+    });
+    return out;
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    copyDeltas,
+    transformFor,
+    instanceMatrices
+  };
+}
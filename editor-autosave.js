@@ -0,0 +1,206 @@
+/**
+ * editor-autosave.js
+ * Autoguardado en IndexedDB, recuperación de la última sesión y snapshots locales con nombre
+ */
+
+const DB_NAME = 'mr-studio';
+const DB_VERSION = 1;
+const STORE_AUTOSAVE = 'autosave';
+const STORE_SNAPSHOTS = 'snapshots';          // metadatos: { id, name, createdAt, objectCount }
+const STORE_SNAPSHOT_DATA = 'snapshotData';   // documentos: { id, doc }
+const AUTOSAVE_KEY = 'last';
+
+/* ===== INDEXEDDB HELPERS ===== */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB no disponible'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_AUTOSAVE)) {
+        db.createObjectStore(STORE_AUTOSAVE, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(STORE_SNAPSHOTS)) {
+        db.createObjectStore(STORE_SNAPSHOTS, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(STORE_SNAPSHOT_DATA)) {
+        db.createObjectStore(STORE_SNAPSHOT_DATA, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function setupAutosave(api) {
+  const { serializeScene, onSaved, onError } = api;
+
+  const CONFIG = {
+    intervalMs: api.intervalMs ?? 30000,
+    debounceMs: api.debounceMs ?? 2000
+  };
+
+  const state = {
+    dbPromise: null,
+    enabled: false,
+    dirty: false,
+    saving: null,
+    debounceTimer: null,
+    intervalTimer: null
+  };
+
+  function db() {
+    if (!state.dbPromise) state.dbPromise = openDatabase();
+    return state.dbPromise;
+  }
+
+  /* ===== AUTOSAVE ===== */
+  // Se activa solo cuando el usuario ya está trabajando: así la pantalla inicial
+  // no sobrescribe la sesión que se quiere recuperar
+  function start() {
+    if (state.enabled) return;
+    state.enabled = true;
+    state.intervalTimer = setInterval(() => {
+      if (state.dirty) saveNow();
+    }, CONFIG.intervalMs);
+  }
+
+  function stop() {
+    state.enabled = false;
+    clearInterval(state.intervalTimer);
+    clearTimeout(state.debounceTimer);
+  }
+
+  function markDirty() {
+    if (!state.enabled) return;
+    state.dirty = true;
+    clearTimeout(state.debounceTimer);
+    state.debounceTimer = setTimeout(saveNow, CONFIG.debounceMs);
+  }
+
+  async function saveNow() {
+    if (!state.enabled) return;
+    clearTimeout(state.debounceTimer);
+    if (state.saving) await state.saving;
+
+    state.dirty = false;
+    state.saving = (async () => {
+      try {
+        const doc = serializeScene();
+        const database = await db();
+        const tx = database.transaction(STORE_AUTOSAVE, 'readwrite');
+        tx.objectStore(STORE_AUTOSAVE).put({
+          key: AUTOSAVE_KEY,
+          savedAt: Date.now(),
+          objectCount: doc.objects.length,
+          doc
+        });
+        await transactionDone(tx);
+        if (onSaved) onSaved();
+      } catch (err) {
+        state.dirty = true;
+        if (onError) onError(err);
+      } finally {
+        state.saving = null;
+      }
+    })();
+    return state.saving;
+  }
+
+  // Guardado inmediato si hay cambios pendientes (pestaña oculta o cerrándose)
+  function flush() {
+    if (state.enabled && state.dirty) return saveNow();
+    return Promise.resolve();
+  }
+
+  /* ===== RECOVERY ===== */
+  async function getRecovery() {
+    const database = await db();
+    const tx = database.transaction(STORE_AUTOSAVE, 'readonly');
+    return (await promisify(tx.objectStore(STORE_AUTOSAVE).get(AUTOSAVE_KEY))) ?? null;
+  }
+
+  async function discardRecovery() {
+    const database = await db();
+    const tx = database.transaction(STORE_AUTOSAVE, 'readwrite');
+    tx.objectStore(STORE_AUTOSAVE).delete(AUTOSAVE_KEY);
+    await transactionDone(tx);
+  }
+
+  /* ===== SNAPSHOTS ===== */
+  async function saveSnapshot(name, doc = serializeScene()) {
+    const database = await db();
+    const tx = database.transaction([STORE_SNAPSHOTS, STORE_SNAPSHOT_DATA], 'readwrite');
+    const meta = {
+      name: name || 'Snapshot',
+      createdAt: Date.now(),
+      objectCount: doc.objects.length
+    };
+    // El documento se escribe en la misma transacción, con el id generado para los metadatos
+    const request = tx.objectStore(STORE_SNAPSHOTS).add(meta);
+    request.onsuccess = () => {
+      tx.objectStore(STORE_SNAPSHOT_DATA).put({ id: request.result, doc });
+    };
+    await transactionDone(tx);
+    return { id: request.result, ...meta };
+  }
+
+  async function listSnapshots() {
+    const database = await db();
+    const tx = database.transaction(STORE_SNAPSHOTS, 'readonly');
+    const all = await promisify(tx.objectStore(STORE_SNAPSHOTS).getAll());
+    return all.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async function readSnapshot(id) {
+    const database = await db();
+    const tx = database.transaction(STORE_SNAPSHOT_DATA, 'readonly');
+    const record = await promisify(tx.objectStore(STORE_SNAPSHOT_DATA).get(id));
+    if (!record) throw new Error('Snapshot no encontrado');
+    return record.doc;
+  }
+
+  async function deleteSnapshot(id) {
+    const database = await db();
+    const tx = database.transaction([STORE_SNAPSHOTS, STORE_SNAPSHOT_DATA], 'readwrite');
+    tx.objectStore(STORE_SNAPSHOTS).delete(id);
+    tx.objectStore(STORE_SNAPSHOT_DATA).delete(id);
+    await transactionDone(tx);
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    start,
+    stop,
+    markDirty,
+    saveNow,
+    flush,
+    isEnabled: () => state.enabled,
+
+    getRecovery,
+    discardRecovery,
+
+    saveSnapshot,
+    listSnapshots,
+    readSnapshot,
+    deleteSnapshot
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * editor-boolean.js
+ * Operaciones booleanas entre mallas: el cálculo (editor-csg.js) va en un Web Worker
+ * para no congelar la interfaz, con fallback síncrono si el navegador no lo permite
+ */
+
+import { booleanMeshes } from './editor-csg.js';
+
+export function setupBoolean() {
+  const state = {
+    worker: null,
+    workerFailed: false,
+    nextJobId: 1,
+    jobs: new Map()
+  };
+
+  /* ===== WORKER ===== */
+  function getWorker() {
+    if (state.worker || state.workerFailed) return state.worker;
+    try {
+      state.worker = new Worker(new URL('./editor-csg-worker.js', import.meta.url), { type: 'module' });
+      state.worker.onmessage = (e) => {
+        const job = state.jobs.get(e.data.jobId);
+        if (!job) return;
+        state.jobs.delete(e.data.jobId);
+        if (e.data.error) job.reject(new Error(e.data.error));
+        else job.resolve(e.data.mesh);
+      };
+      state.worker.onerror = (e) => {
+        console.warn('CSG worker no disponible:', e.message);
+        state.workerFailed = true;
+        state.worker.terminate();
+        state.worker = null;
+        const pending = Array.from(state.jobs.values());
+        state.jobs.clear();
+        pending.forEach(job => job.fallback());
+      };
+    } catch (err) {
+      console.warn('CSG worker no disponible:', err);
+      state.workerFailed = true;
+      state.worker = null;
+    }
+    return state.worker;
+  }
+
+  /* ===== OPERATION ===== */
+  // meshes: [{ positions, faces, uvs }] en un mismo espacio, el primero es la base.
+  // Resuelve con la malla resultante en el mismo formato
+  function computeBoolean(operation, meshes) {
+    return new Promise((resolve, reject) => {
+      const computeHere = () => {
+        try {
+          resolve(booleanMeshes(operation, meshes));
+        } catch (err) {
+          reject(err);
+        }
+      };
+
+      const worker = getWorker();
+      if (!worker) {
+        computeHere();
+        return;
+      }
+
+      const jobId = state.nextJobId++;
+      state.jobs.set(jobId, { resolve, reject, fallback: computeHere });
+      // Sin transferir: el fallback necesita las mallas si el worker falla
+      worker.postMessage({ jobId, operation, meshes });
+    });
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    computeBoolean
+  };
+}
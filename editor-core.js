@@ -6,12 +6,39 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { mergeVertices } from 'three/addons/utils/BufferGeometryUtils.js';
 import { setupSubcomponents } from './editor-subcomponents.js';
+import { setupHalfEdge } from './editor-halfedge.js';
+import { setupSpatialHash } from './editor-spatial-hash.js';
+import { setupMeshOps } from './editor-mesh-ops.js';
+import { setupModifiers, MODIFIER_TYPES, CAGE_LAYER } from './editor-modifiers.js';
+import { setupRegionSelect } from './editor-region-select.js';
+import { setupPivot, PIVOT_MODES } from './editor-pivot.js';
+import { setupArray } from './editor-array.js';
+import { setupSnapping } from './editor-snapping.js';
+import { setupProportional, PROPORTIONAL_FALLOFFS } from './editor-proportional.js';
+import { setupHistory } from './editor-history.js';
+import { setupSceneIO } from './editor-scene-io.js';
+import { setupAutosave } from './editor-autosave.js';
+import { setupGltfExport } from './editor-export-gltf.js';
+import { setupImporter } from './editor-import.js';
+import { setupBoolean } from './editor-boolean.js';
+import { setupPrimitives } from './editor-primitives.js';
+import { setupMaterials, MATERIAL_FIELDS } from './editor-materials.js';
+import { applyNumericInput } from './editor-expressions.js';
 
 /* ===== CONFIG ===== */
 const CFG = {
   subAccent: 0xFFFFFF,
   selectionColor: 0xFF9500,
+  selectionIntensity: 0.35,
+  edgePickTolerance: 16, // px: margen táctil para seleccionar bordes
+  normalSelectAngle: 15, // grados: selección por normal
+  regionMinSize: 6, // px: trazos más pequeños cuentan como toque
+  snapTolerance: 24, // px: distancia máxima del dedo a un punto de enganche
+  mirrorTolerance: 1e-3, // unidades locales: distancia máxima a la contraparte simétrica
+  objectColor: 0x555555,
   gridColor: 0x333333
 };
 
@@ -53,13 +80,42 @@ orbit.dampingFactor = 0.05;
 const transform = new TransformControls(camera, renderer.domElement);
 transform.setSize(0.8);
 transform.setSpace('world');
-scene.add(transform);
+scene.add(transform.getHelper());
 
-// Gizmo para subcomponentes (más pequeño)
+// Gizmo para subcomponentes (más pequeño). Se engancha a un pivote en el centro
+// de la selección: moverlo desplaza los vértices, no el objeto
 const subTransform = new TransformControls(camera, renderer.domElement);
 subTransform.setSize(0.5);
 subTransform.setSpace('world');
-scene.add(subTransform);
+scene.add(subTransform.getHelper());
+
+const subPivot = new THREE.Object3D();
+subPivot.name = 'SubPivot';
+scene.add(subPivot);
+
+// Pivote compartido del gizmo de objeto cuando se transforman varios objetos (o grupos)
+const objectPivot = new THREE.Object3D();
+objectPivot.name = 'ObjectPivot';
+scene.add(objectPivot);
+
+// Cursor 3D: punto de referencia para el pivote 'cursor'
+const cursor3D = new THREE.Group();
+cursor3D.name = 'Cursor3D';
+cursor3D.add(new THREE.AxesHelper(0.35));
+cursor3D.add(new THREE.LineLoop(
+  new THREE.BufferGeometry().setFromPoints(
+    Array.from({ length: 32 }, (_, i) => new THREE.Vector3(
+      Math.cos(i / 32 * Math.PI * 2) * 0.2, 0, Math.sin(i / 32 * Math.PI * 2) * 0.2))
+  ),
+  new THREE.LineBasicMaterial({ color: 0xff3b30 })
+));
+cursor3D.traverse(child => {
+  if (!child.material) return;
+  child.material.depthTest = false;
+  child.renderOrder = 999;
+});
+cursor3D.visible = false;
+scene.add(cursor3D);
 
 transform.addEventListener('dragging-changed', (e) => {
   orbit.enabled = !e.value;
@@ -72,11 +128,14 @@ subTransform.addEventListener('dragging-changed', (e) => {
 /* ===== STATE ===== */
 let nextId = 1;
 const objects = [];
-let selectedObject = null;
+let selectedObject = null; // objeto activo: gizmo, propiedades y modo edición
+const selectedObjects = new Set(); // todos los objetos seleccionados (incluye el activo)
+const groups = []; // THREE.Group con nombre: userData { id, type: 'group', name }
+let currentGroup = null; // grupo abierto: los toques seleccionan sus hijos por separado
 let currentMode = 'translate';
 let isEditMode = false; // Modo Edición vs Modo Objeto
-
-const history = { past: [], future: [] };
+let currentTheme = 'dark';
+let currentRenderMode = 'flat';
 
 /* ===== MEASUREMENT STATE ===== */
 let measurementState = {
@@ -94,29 +153,177 @@ let cameraHelper = {
 };
 
 /* ===== SUBCOMPONENTS SYSTEM ===== */
+const SPATIAL = setupSpatialHash({ THREE });
+const HE = setupHalfEdge({ THREE, spatialHash: SPATIAL });
+const REGION = setupRegionSelect({ THREE });
+const PIVOT = setupPivot({ THREE });
+const ARRAY = setupArray({ THREE });
+const SNAP = setupSnapping({ THREE, halfEdge: HE, spatialHash: SPATIAL });
+const PROPORTIONAL = setupProportional({ THREE, spatialHash: SPATIAL });
+const MESH_OPS = setupMeshOps({ THREE, halfEdge: HE, spatialHash: SPATIAL });
+const MODIFIERS = setupModifiers({ THREE, halfEdge: HE, meshOps: MESH_OPS, CFG });
+
 const subApi = {
   THREE,
   CFG,
   scene,
-  findObjectById: (id) => objects.find(o => o.userData.id === id)
+  findObjectById: (id) => objects.find(o => o.userData.id === id),
+  halfEdge: HE,
+  spatialHash: SPATIAL,
+  meshOps: MESH_OPS,
+  region: REGION,
+  proportional: PROPORTIONAL
 };
 
 const SUB = setupSubcomponents(subApi);
 
+/* ===== PARAMETRIC PRIMITIVES ===== */
+const PRIMS = setupPrimitives({ THREE, halfEdge: HE });
+
+/* ===== MATERIALS ===== */
+const MATERIALS = setupMaterials({ THREE, CFG });
+
+/* ===== HISTORY ===== */
+const HISTORY = setupHistory({
+  onChange: () => {
+    updateUndoRedoButtons();
+    AUTOSAVE.markDirty();
+  }
+});
+
 /* ===== UTILITIES ===== */
 function findObjectById(id) {
   return objects.find(o => o.userData.id === id);
 }
 
+function findGroupById(id) {
+  return groups.find(g => g.userData.id === id);
+}
+
+// Objeto o grupo
+function findNodeById(id) {
+  return findObjectById(id) ?? findGroupById(id);
+}
+
 function addToHistory(action) {
-  history.past.push(action);
-  history.future = [];
-  updateUndoRedoButtons();
+  HISTORY.push(action);
 }
 
 function updateUndoRedoButtons() {
-  document.getElementById('btn-undo').disabled = history.past.length === 0;
-  document.getElementById('btn-redo').disabled = history.future.length === 0;
+  document.getElementById('btn-undo').disabled = !HISTORY.canUndo();
+  document.getElementById('btn-redo').disabled = !HISTORY.canRedo();
+}
+
+function displayName(node) {
+  return node.userData.name || `${node.userData.type} #${node.userData.id}`;
+}
+
+/* ===== SNAPSHOTS ===== */
+function snapshotTransform(obj) {
+  return {
+    position: obj.position.toArray(),
+    quaternion: obj.quaternion.toArray(),
+    scale: obj.scale.toArray()
+  };
+}
+
+function applyTransformSnapshot(obj, t) {
+  obj.position.fromArray(t.position);
+  obj.quaternion.fromArray(t.quaternion);
+  obj.scale.fromArray(t.scale);
+  obj.updateMatrixWorld(true);
+}
+
+function snapshotGeometry(geometry) {
+  const attributes = {};
+  for (const [name, attr] of Object.entries(geometry.attributes)) {
+    attributes[name] = { array: attr.array.slice(), itemSize: attr.itemSize };
+  }
+  const topology = geometry.userData.topology;
+  return {
+    attributes,
+    index: geometry.index ? geometry.index.array.slice() : null,
+    topology: topology ? HE.serialize(topology) : null
+  };
+}
+
+function geometryFromSnapshot(snap) {
+  const topology = snap.topology ? HE.deserialize(snap.topology) : null;
+  // Sin mapa buffer -> vértice (o si no cuadra con el buffer) se regenera desde la topología
+  if (topology && topology.bufferVertex?.length !== snap.attributes.position.array.length / 3) {
+    return HE.toBufferGeometry(topology);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  for (const [name, a] of Object.entries(snap.attributes)) {
+    geometry.setAttribute(name, new THREE.BufferAttribute(a.array.slice(), a.itemSize));
+  }
+  if (snap.index) geometry.setIndex(new THREE.BufferAttribute(snap.index.slice(), 1));
+  // Sin topología (escenas guardadas antes de que se guardara) se deriva como entonces,
+  // uniendo los vértices coincidentes
+  geometry.userData.topology = topology ?? HE.fromBufferGeometry(geometry, { weld: true });
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+function geometrySnapshotBytes(snap) {
+  let bytes = snap.index ? snap.index.byteLength : 0;
+  for (const a of Object.values(snap.attributes)) bytes += a.array.byteLength;
+  if (snap.topology) bytes += HE.serializedBytes(snap.topology);
+  return bytes;
+}
+
+function applyGeometrySnapshot(obj, snap) {
+  const old = obj.geometry;
+  obj.geometry = geometryFromSnapshot(snap);
+  old.dispose();
+  SUB.refreshObject(obj);
+}
+
+function snapshotObject(obj) {
+  return {
+    id: obj.userData.id,
+    type: obj.userData.type,
+    name: obj.userData.name ?? null,
+    params: obj.userData.params ? { ...obj.userData.params } : null,
+    parent: parentIdOf(obj),
+    visible: savedVisibility(obj),
+    locked: !!obj.userData.locked,
+    transform: snapshotTransform(obj),
+    materialId: MATERIALS.linkedId(obj),
+    material: MATERIALS.propsOf(obj.material),
+    instances: obj.isInstancedMesh ? obj.instanceMatrix.array.slice() : null,
+    modifiers: obj.userData.modifiers ? modifiersOf(obj) : null,
+    geometry: snapshotGeometry(obj.geometry)
+  };
+}
+
+function restoreObject(snap, index = objects.length) {
+  const mesh = createMesh(geometryFromSnapshot(snap.geometry), {
+    id: snap.id,
+    type: snap.type,
+    name: snap.name,
+    materialId: snap.materialId,
+    material: snap.material,
+    instances: snap.instances
+  });
+  if (snap.params) mesh.userData.params = { ...snap.params };
+  if (snap.visible === false) mesh.visible = false;
+  if (snap.locked) mesh.userData.locked = true;
+  if (snap.modifiers) setModifiers(mesh, snap.modifiers);
+  applyTransformSnapshot(mesh, snap.transform);
+  addObject(mesh, index, parentNode(snap.parent));
+  return mesh;
+}
+
+function showToast(message, isError = false) {
+  const toast = document.getElementById('toast');
+  toast.textContent = message;
+  toast.classList.toggle('error', isError);
+  toast.classList.add('visible');
+  clearTimeout(showToast.timer);
+  showToast.timer = setTimeout(() => toast.classList.remove('visible'), 2600);
 }
 
 /* ===== MEASUREMENT FUNCTIONS ===== */
@@ -203,61 +410,122 @@ function endCameraHelper() {
 }
 
 /* ===== OBJECT MANAGEMENT ===== */
-function spawnPrimitive(type) {
-  let geometry;
-  switch(type) {
-    case 'box': geometry = new THREE.BoxGeometry(2, 2, 2).toNonIndexed(); break;
-    case 'sphere': geometry = new THREE.SphereGeometry(1, 32, 32).toNonIndexed(); break;
-    case 'cylinder': geometry = new THREE.CylinderGeometry(1, 1, 2, 32).toNonIndexed(); break;
-    case 'cone': geometry = new THREE.ConeGeometry(1, 2, 32).toNonIndexed(); break;
-    case 'torus': geometry = new THREE.TorusGeometry(1, 0.4, 16, 32).toNonIndexed(); break;
-    case 'plane': geometry = new THREE.PlaneGeometry(3, 3, 4, 4).toNonIndexed(); break;
-    default: return;
+// instances: matrices (Float32Array, 16 por instancia) para crear un InstancedMesh.
+// materialId enlaza con la biblioteca; material: propiedades (parciales) del propio
+function createMesh(geometry, { id = nextId++, type = 'mesh', name = null, materialId = null, material: props = {}, instances = null } = {}) {
+  const material = MATERIALS.materialFor(materialId, props);
+
+  let mesh;
+  if (instances) {
+    mesh = new THREE.InstancedMesh(geometry, material, instances.length / 16);
+    mesh.instanceMatrix.array.set(instances);
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.computeBoundingSphere();
+  } else {
+    mesh = new THREE.Mesh(geometry, material);
+  }
+  mesh.userData.id = id;
+  mesh.userData.type = type;
+  if (name) mesh.userData.name = name;
+  if (MATERIALS.isShared(material)) mesh.userData.materialId = materialId;
+  nextId = Math.max(nextId, id + 1);
+  return mesh;
+}
+
+function addObject(mesh, index = objects.length, parent = scene) {
+  parent.add(mesh);
+  objects.splice(Math.min(index, objects.length), 0, mesh);
+  refreshOutliner();
+}
+
+function removeObject(obj) {
+  if (selectedObjects.has(obj)) {
+    const rest = [...selectedObjects].filter(o => o !== obj);
+    setObjectSelection(rest, selectedObject === obj ? undefined : selectedObject);
   }
 
-  const material = new THREE.MeshStandardMaterial({
-    color: 0x555555,
-    roughness: 0.5,
-    metalness: 0.1
+  const idx = objects.indexOf(obj);
+  if (idx >= 0) objects.splice(idx, 1);
+  isolation?.delete(obj);
+  obj.removeFromParent();
+  refreshOutliner();
+
+  // Libera también los helpers de subcomponentes (hijos del mesh); los materiales de la
+  // biblioteca siguen en uso por otros objetos
+  obj.traverse(child => {
+    child.geometry?.dispose();
+    if (child.material && !MATERIALS.isShared(child.material)) child.material.dispose();
   });
+  MATERIALS.releaseView(obj);
+  return idx;
+}
 
-  const mesh = new THREE.Mesh(geometry, material);
-  mesh.position.set(0, 1, 0);
-  mesh.userData.id = nextId++;
-  mesh.userData.type = type;
+function spawnPrimitive(type) {
+  if (!PRIMS.isPrimitiveType(type)) return;
 
-  scene.add(mesh);
-  objects.push(mesh);
+  const params = PRIMS.defaultParams(type);
+  const mesh = createMesh(PRIMS.buildGeometry(type, params), { type });
+  mesh.userData.params = params;
+  mesh.position.set(0, 1, 0);
+  addObject(mesh);
 
   addToHistory({
     type: 'create',
     id: mesh.userData.id,
-    objectType: type,
-    position: mesh.position.clone()
+    index: objects.length - 1,
+    snapshot: snapshotObject(mesh)
   });
 
   selectObject(mesh);
 }
 
 function selectObject(obj) {
+  setObjectSelection(obj ? [obj] : []);
+}
+
+// list: objetos seleccionados; active: el que recibe el gizmo (por defecto, el último)
+function setObjectSelection(list, active = list[list.length - 1] ?? null) {
+  const next = new Set(list);
+  selectedObjects.clear();
+  next.forEach(o => selectedObjects.add(o));
+
+  // Seleccionar algo de fuera del grupo abierto lo cierra
+  if (currentGroup && active && !isInside(active, currentGroup)) currentGroup = null;
+
+  activateObject(active);
+  if (!isEditMode) attachObjectGizmo();
+  updateGroupButtons();
+  refreshOutliner();
+}
+
+// mode: 'set' | 'add' | 'sub' respecto a la selección actual
+function applyObjectSelection(list, mode, preferred = list[list.length - 1]) {
+  let next = list;
+  if (mode === 'add') next = [...selectedObjects, ...list.filter(o => !selectedObjects.has(o))];
+  else if (mode === 'sub') next = [...selectedObjects].filter(o => !list.includes(o));
+
+  let active = next.includes(selectedObject) ? selectedObject : next[next.length - 1] ?? null;
+  if (mode !== 'sub' && next.includes(preferred)) active = preferred;
+  setObjectSelection(next, active);
+}
+
+function activateObject(obj) {
   if (selectedObject === obj) return;
 
   // Deselect previous
-  if (selectedObject) {
-    selectedObject.material.color.setHex(0x555555);
-    if (selectedObject.userData.sub) {
-      selectedObject.userData.sub.vertexPoints.visible = false;
-      selectedObject.userData.sub.edgeLines.visible = false;
-      selectedObject.userData.sub.faceWire.visible = false;
-    }
-  }
+  if (selectedObject) SUB.hideHelpers(selectedObject);
 
   selectedObject = obj;
   SUB.clearSelection();
+  HISTORY.seal();
 
   if (obj) {
-    obj.material.color.setHex(CFG.selectionColor);
-    SUB.setBaselineFromCurrent();
+    // Las instancias comparten una geometría: no se editan por subcomponentes
+    if (isEditMode && obj.isInstancedMesh) {
+      exitEditMode();
+      showToast('El modo edición no admite instancias', true);
+    }
+    SUB.setBaselineFromCurrent(obj);
     
     if (isEditMode) {
       // MODO EDICIÓN: mostrar subcomponentes, sin gizmo de objeto
@@ -268,8 +536,7 @@ function selectObject(obj) {
       document.getElementById('exit-manipulation').classList.add('visible');
     } else {
       // MODO OBJETO: gizmo normal, sin subcomponentes
-      transform.attach(obj);
-      transform.setMode(currentMode);
+      attachObjectGizmo();
       subTransform.detach();
       document.getElementById('subtoolbar').classList.remove('visible');
       document.getElementById('exit-manipulation').classList.remove('visible');
@@ -280,243 +547,1859 @@ function selectObject(obj) {
     document.getElementById('subtoolbar').classList.remove('visible');
     document.getElementById('exit-manipulation').classList.remove('visible');
   }
+
+  renderPropsPanel();
+  updateEditValuesButton();
+  applySpaces();
 }
 
 function deleteSelected() {
-  if (!selectedObject) return;
+  if (!selectedObjects.size) return;
 
-  const id = selectedObject.userData.id;
-  scene.remove(selectedObject);
-  selectedObject.geometry.dispose();
-  selectedObject.material.dispose();
-  
-  const idx = objects.findIndex(o => o.userData.id === id);
-  if (idx >= 0) objects.splice(idx, 1);
+  const touched = new Set(); // grupos que pueden quedarse sin miembros
+  selectedObjects.forEach(obj => {
+    for (let p = obj.parent; p?.userData.type === 'group'; p = p.parent) touched.add(p);
+  });
 
-  addToHistory({ type: 'delete', id });
+  // Todo el conjunto se borra (y se recupera) como una sola entrada del historial. Los
+  // grupos vacíos se quitan en la misma entrada, de dentro afuera: el undo, que va al
+  // revés, los recrea antes que a sus miembros
+  const actions = [...selectedObjects].map(obj => {
+    const snapshot = snapshotObject(obj);
+    const index = removeObject(obj);
+    return { type: 'delete', id: snapshot.id, index, snapshot };
+  });
+  groupsByDepth().reverse().filter(group => touched.has(group)).forEach(group => {
+    if (group.children.some(node => node.userData.id != null)) return;
+    const snapshot = snapshotGroup(group);
+    removeGroup(group);
+    actions.push({ type: 'ungroup', id: snapshot.id, snapshot, members: [] });
+  });
+  HISTORY.pushBatch(actions);
+}
 
-  selectObject(null);
+/* ===== DUPLICATE / CLIPBOARD / ARRAY ===== */
+// Las copias se crean desde la instantánea del original (geometría editada, material,
+// instancias) con un id nuevo, y se deshacen como una sola entrada 'createMany'
+function cloneSnapshot(obj, patch = {}) {
+  return { ...snapshotObject(obj), id: nextId++, ...patch };
 }
 
-/* ===== RAYCASTER ===== */
-const raycaster = new THREE.Raycaster();
-const pointer = new THREE.Vector2();
+function addCopies(snapshots) {
+  const meshes = [];
+  const items = snapshots.map(snap => {
+    const mesh = restoreObject(snap);
+    meshes.push(mesh);
+    return { index: objects.length - 1, snapshot: snapshotObject(mesh) };
+  });
+  return { meshes, action: items.length ? { type: 'createMany', id: null, items } : null };
+}
 
-function onPointerDown(event) {
-  if (event.target.closest('button') || 
-      event.target.closest('#weld-panel') ||
-      event.target.closest('#axis-input-dialog') ||
-      event.target.closest('#confirm-dialog')) return;
+function duplicateSelection() {
+  if (!selectedObjects.size) return;
+  if (isEditMode) exitEditMode();
+  const { meshes, action } = addCopies([...selectedObjects].map(obj => cloneSnapshot(obj)));
+  addToHistory(action);
+  setObjectSelection(meshes);
+  showToast(`⧉ ${meshes.length} duplicado${meshes.length === 1 ? '' : 's'}`);
+}
 
-  const rect = renderer.domElement.getBoundingClientRect();
-  pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-  pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+function worldTransformOf(obj) {
+  obj.updateWorldMatrix(true, false);
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  obj.matrixWorld.decompose(position, quaternion, scale);
+  return { position: position.toArray(), quaternion: quaternion.toArray(), scale: scale.toArray() };
+}
 
-  raycaster.setFromCamera(pointer, camera);
+// El portapapeles del sistema permite pegar en otra pestaña o sesión; si no está
+// disponible (permisos, http) se usa localStorage
+const CLIPBOARD_STORAGE_KEY = 'mr-studio.clipboard';
 
-  // MODO EDICIÓN: pick de subcomponentes
-  if (isEditMode && selectedObject) {
-    const changed = SUB.togglePick(raycaster, selectedObject);
-    if (changed && SUB.hasSelection()) {
-      // Attach gizmo to selection center
-      const center = SUB.getSelectionWorldCenter();
-      if (center) {
-        subTransform.position.copy(center);
-        subTransform.attach(selectedObject);
-        subTransform.setMode(currentMode);
-      }
-      checkAndShowWeldPanel();
-    }
-    return;
+async function copySelection() {
+  if (!selectedObjects.size) return;
+  // Sin enlace a la biblioteca: los ids no significan lo mismo en otra sesión
+  const doc = SCENE_IO.serializeClipboard([...selectedObjects].map(obj => ({
+    ...snapshotObject(obj),
+    parent: null,
+    materialId: null,
+    transform: worldTransformOf(obj)
+  })));
+  const text = JSON.stringify(doc);
+
+  let copied = false;
+  try {
+    await navigator.clipboard.writeText(text);
+    copied = true;
+  } catch (err) {
+    console.warn('Portapapeles no disponible:', err);
   }
+  try {
+    localStorage.setItem(CLIPBOARD_STORAGE_KEY, text);
+    copied = true;
+  } catch (err) {
+    // demasiado grande para localStorage: solo queda el portapapeles del sistema
+  }
+  if (copied) showToast(`📋 ${doc.objects.length} objeto${doc.objects.length === 1 ? '' : 's'} copiado${doc.objects.length === 1 ? '' : 's'}`);
+  else showToast('No se pudo copiar', true);
+}
 
-  // MODO OBJETO: selección normal
-  const hits = raycaster.intersectObjects(objects, false);
-  if (hits.length > 0) {
-    selectObject(hits[0].object);
-  } else {
-    selectObject(null);
+async function readClipboardSnapshots() {
+  try {
+    return SCENE_IO.parseClipboard(await navigator.clipboard.readText());
+  } catch (err) {
+    // Texto ajeno o sin permiso de lectura: probar con la copia local
   }
+  const stored = localStorage.getItem(CLIPBOARD_STORAGE_KEY);
+  return stored ? SCENE_IO.parseClipboard(stored) : [];
 }
 
-/* ===== TRANSFORM EVENTS ===== */
-let isDragging = false;
-let dragStarted = false;
-let dragStartPosition = null;
-let dragDistance = 0;
+async function pasteClipboard() {
+  let snapshots;
+  try {
+    snapshots = await readClipboardSnapshots();
+  } catch (err) {
+    showToast(`No se pudo pegar: ${err.message}`, true);
+    return;
+  }
+  if (!snapshots.length) {
+    showToast('El portapapeles no contiene objetos', true);
+    return;
+  }
 
-// OBJETO
-transform.addEventListener('mouseDown', () => {
-  isDragging = false;
-  dragStarted = true;
-  dragStartPosition = selectedObject ? selectedObject.position.clone() : null;
-  dragDistance = 0;
-  startCameraHelper();
-  if (selectedObject) startMeasurement(selectedObject.position);
-});
+  if (isEditMode) exitEditMode();
+  const { meshes, action } = addCopies(snapshots.map(snap => ({ ...snap, id: nextId++, parent: null })));
+  addToHistory(action);
+  setObjectSelection(meshes);
+  showToast(`📌 ${meshes.length} objeto${meshes.length === 1 ? '' : 's'} pegado${meshes.length === 1 ? '' : 's'}`);
+}
 
-transform.addEventListener('objectChange', () => {
-  if (dragStarted) {
-    isDragging = true;
-  }
-  
-  if (selectedObject && dragStartPosition) {
-    dragDistance = selectedObject.position.distanceTo(dragStartPosition);
-    updateCameraHelper(dragDistance);
-    updateMeasurement(selectedObject.position);
+// options: ver editor-array.js. Radial gira alrededor del cursor 3D. Con `instanced`,
+// cada original se sustituye por un InstancedMesh con todas las copias
+function applyArray(options) {
+  const sources = [...selectedObjects];
+  if (!sources.length) return;
+  if (isEditMode) exitEditMode();
+
+  const deltas = ARRAY.copyDeltas({ ...options, center: cursor3D.position.clone() });
+  if (!deltas.length) return;
+
+  const actions = [];
+  const result = [];
+  for (const src of sources) {
+    if (options.instanced && !src.isInstancedMesh) {
+      const snapshot = snapshotObject(src);
+      const instanced = cloneSnapshot(src, { instances: ARRAY.instanceMatrices(src, deltas) });
+      const index = removeObject(src);
+      actions.push({ type: 'delete', id: snapshot.id, index, snapshot });
+      const mesh = restoreObject(instanced, index);
+      actions.push({ type: 'create', id: instanced.id, index, snapshot: snapshotObject(mesh) });
+      result.push(mesh);
+    } else {
+      const { meshes, action } = addCopies(deltas.map(delta => cloneSnapshot(src, {
+        transform: ARRAY.transformFor(src, delta)
+      })));
+      actions.push(action);
+      result.push(src, ...meshes);
+    }
   }
-});
+  HISTORY.pushBatch(actions);
+  setObjectSelection(result);
+  showToast(`🔁 Array de ${options.count}`);
+}
 
-transform.addEventListener('mouseUp', () => {
-  if (isDragging && selectedObject) {
-    addToHistory({
-      type: 'transform',
-      id: selectedObject.userData.id,
-      position: selectedObject.position.clone(),
-      rotation: selectedObject.rotation.clone(),
-      scale: selectedObject.scale.clone()
+/* ===== BOOLEANS ===== */
+// El objeto activo es la base: los demás operandos se llevan a su espacio local. Los
+// objetos tienen un solo material, así que el resultado hereda el de la base aunque los
+// demás operandos usen otro (se avisa al aplicar). Se opera sobre la geometría visible
+// (con modificadores)
+const BOOLEAN = setupBoolean();
+
+const BOOLEAN_LABELS = { union: 'Unión', difference: 'Diferencia', intersection: 'Intersección' };
+const booleanOptions = { operation: 'difference', target: 'replace' };
+let booleanBusy = false;
+
+function booleanOperand(obj, toLocal) {
+  const topology = HE.getTopology(displayGeometry(obj));
+  obj.updateWorldMatrix(true, false);
+  const matrix = toLocal.clone().multiply(obj.matrixWorld);
+  const p = new THREE.Vector3();
+  const positions = [];
+  for (let i = 0; i < topology.positions.length; i += 3) {
+    p.fromArray(topology.positions, i).applyMatrix4(matrix);
+    positions.push(p.x, p.y, p.z);
+  }
+  // Una escala negativa invierte la orientación: se deshace para que las normales apunten fuera
+  const mirrored = matrix.determinant() < 0;
+  const faces = topology.faces.map(f => (mirrored ? f.slice().reverse() : f.slice()));
+  let uvs = null;
+  if (topology.uvs) {
+    uvs = topology.uvs.map(u => {
+      if (!mirrored) return Array.from(u);
+      const out = [];
+      for (let k = u.length - 2; k >= 0; k -= 2) out.push(u[k], u[k + 1]);
+      return out;
     });
   }
-  isDragging = false;
-  dragStarted = false;
-  dragStartPosition = null;
-  endCameraHelper();
-  endMeasurement();
-});
+  return { positions, faces, uvs };
+}
 
-// SUBCOMPONENTES
-let subDragStarted = false;
-let subDragDistance = 0;
+async function applyBoolean(options) {
+  const primary = selectedObject;
+  const others = [...selectedObjects].filter(o => o !== primary);
+  if (!primary || !others.length) {
+    showToast('Selecciona al menos dos objetos', true);
+    return;
+  }
+  if ([primary, ...others].some(o => o.isInstancedMesh)) {
+    showToast('Las booleanas no admiten instancias', true);
+    return;
+  }
+  if (booleanBusy) return;
+  if (isEditMode) exitEditMode();
 
-subTransform.addEventListener('mouseDown', () => {
-  subDragStarted = true;
-  subDragDistance = 0;
-  const center = SUB.getSelectionWorldCenter();
-  if (center) startMeasurement(center);
-});
+  primary.updateWorldMatrix(true, false);
+  const toLocal = primary.matrixWorld.clone().invert();
+  const operands = [primary, ...others];
+  const meshes = operands.map(obj => booleanOperand(obj, toLocal));
+  const geometryBefore = primary.geometry;
+  const mixedMaterials = others.some(o => !MATERIALS.sameMaterial(o.material, primary.material));
 
-subTransform.addEventListener('objectChange', () => {
-  if (!subDragStarted || !selectedObject) return;
-  
-  // Calcular delta de movimiento
-  const currentCenter = SUB.getSelectionWorldCenter();
-  if (!currentCenter) return;
-  
-  // Aplicar movimiento a los subcomponentes seleccionados
-  const worldDelta = new THREE.Vector3().subVectors(
-    subTransform.position,
-    currentCenter
-  );
-  
-  subDragDistance = SUB.applySelectionWorldDelta(selectedObject, worldDelta);
-  
-  // Actualizar posición del gizmo al nuevo centro
-  const newCenter = SUB.getSelectionWorldCenter();
-  if (newCenter) {
-    subTransform.position.copy(newCenter);
-    updateMeasurement(newCenter);
+  booleanBusy = true;
+  showToast('⏳ Calculando…');
+  let result;
+  try {
+    result = await BOOLEAN.computeBoolean(options.operation, meshes);
+  } catch (err) {
+    console.error('Error en la booleana:', err);
+    showToast(`No se pudo calcular: ${err.message}`, true);
+    return;
+  } finally {
+    booleanBusy = false;
   }
-  
-  updateCameraHelper(subDragDistance);
-});
 
-subTransform.addEventListener('mouseUp', () => {
-  if (subDragStarted && selectedObject) {
-    const action = SUB.commitSelectionDeltaAsAction(selectedObject.userData.id);
-    if (action) addToHistory(action);
-    
-    SUB.setBaselineFromCurrent();
-    checkAndShowWeldPanel();
+  // La escena pudo cambiar mientras el worker calculaba
+  if (operands.some(o => !objects.includes(o)) || primary.geometry !== geometryBefore) {
+    showToast('La escena cambió durante el cálculo', true);
+    return;
   }
-  subDragStarted = false;
-  endMeasurement();
-  endCameraHelper();
-});
+  if (!result.faces.length) {
+    showToast('El resultado está vacío', true);
+    return;
+  }
+  if (isEditMode) exitEditMode();
 
-/* ===== WELD PANEL ===== */
-function checkAndShowWeldPanel() {
-  if (!selectedObject) return;
-  
-  const weldInfo = SUB.checkWeld(selectedObject);
-  
-  if (weldInfo) {
-    SUB.setWeldPending(weldInfo);
-    document.getElementById('weld-panel').classList.add('visible');
+  const geometry = HE.toBufferGeometry(HE.createMesh(result));
+  if (options.target === 'new') {
+    const { meshes: created, action } = addCopies([cloneSnapshot(primary, {
+      type: 'mesh',
+      name: null,
+      params: null,
+      modifiers: null,
+      geometry: snapshotGeometry(geometry)
+    })]);
+    geometry.dispose();
+    addToHistory(action);
+    setObjectSelection(created);
   } else {
-    SUB.clearWeldPending();
-    document.getElementById('weld-panel').classList.remove('visible');
+    const actions = [];
+    const modifiersBefore = modifiersOf(primary);
+    if (modifiersBefore.length) {
+      setModifiers(primary, []);
+      actions.push({ type: 'modifiers', id: primary.userData.id, before: modifiersBefore, after: [] });
+    }
+    const before = snapshotGeometry(primary.geometry);
+    primary.geometry = geometry;
+    geometryBefore.dispose();
+    SUB.refreshObject(primary);
+    actions.push({
+      type: 'topology',
+      id: primary.userData.id,
+      before,
+      after: snapshotGeometry(primary.geometry),
+      droppedParams: releaseParams(primary)
+    });
+    for (const obj of others) {
+      const snapshot = snapshotObject(obj);
+      const index = removeObject(obj);
+      actions.push({ type: 'delete', id: snapshot.id, index, snapshot });
+    }
+    HISTORY.pushBatch(actions);
+    setObjectSelection([primary], primary);
   }
+  HISTORY.seal();
+  showToast(mixedMaterials
+    ? `${BOOLEAN_LABELS[options.operation]} aplicada con el material del objeto activo`
+    : `${BOOLEAN_LABELS[options.operation]} aplicada`);
 }
 
-document.getElementById('btn-weld-yes').onclick = () => {
-  const weldInfo = SUB.getWeldPending();
-  if (weldInfo && selectedObject) {
-    SUB.applyWeld(selectedObject, weldInfo);
-    addToHistory({
-      type: 'weld',
-      id: selectedObject.userData.id,
-      weldInfo: weldInfo
-    });
+function renderBooleanPanel() {
+  document.querySelectorAll('[data-boolean-op]').forEach(b => {
+    b.classList.toggle('active', b.dataset.booleanOp === booleanOptions.operation);
+  });
+  document.querySelectorAll('[data-boolean-target]').forEach(b => {
+    b.classList.toggle('active', b.dataset.booleanTarget === booleanOptions.target);
+  });
+}
+
+function openBooleanPanel() {
+  if (!selectedObject || selectedObjects.size < 2) {
+    showToast('Selecciona al menos dos objetos', true);
+    return;
   }
-  document.getElementById('weld-panel').classList.remove('visible');
-  SUB.clearWeldPending();
-};
+  renderBooleanPanel();
+  document.getElementById('boolean-panel').classList.add('visible');
+}
 
-document.getElementById('btn-weld-no').onclick = () => {
-  document.getElementById('weld-panel').classList.remove('visible');
-  SUB.clearWeldPending();
-};
+document.getElementById('btn-boolean').onclick = openBooleanPanel;
 
-/* ===== UI EVENTS ===== */
-// Theme
-document.getElementById('theme-light').onclick = () => {
-  document.body.classList.add('light-mode');
-  document.querySelectorAll('.theme-option').forEach(el => el.classList.remove('active'));
-  document.getElementById('theme-light').classList.add('active');
-  scene.background.setHex(0xf2f2f7);
-  gridHelper.material.color.setHex(0xd1d1d6);
-};
+document.querySelectorAll('[data-boolean-op]').forEach(btn => {
+  btn.onclick = () => {
+    booleanOptions.operation = btn.dataset.booleanOp;
+    renderBooleanPanel();
+  };
+});
 
-document.getElementById('theme-dark').onclick = () => {
-  document.body.classList.remove('light-mode');
-  document.querySelectorAll('.theme-option').forEach(el => el.classList.remove('active'));
-  document.getElementById('theme-dark').classList.add('active');
-  scene.background.setHex(0x1a1a1a);
-  gridHelper.material.color.setHex(CFG.gridColor);
+document.querySelectorAll('[data-boolean-target]').forEach(btn => {
+  btn.onclick = () => {
+    booleanOptions.target = btn.dataset.booleanTarget;
+    renderBooleanPanel();
+  };
+});
+
+document.getElementById('btn-boolean-apply').onclick = () => {
+  document.getElementById('boolean-panel').classList.remove('visible');
+  applyBoolean({ ...booleanOptions });
 };
 
-// Start button
-document.getElementById('btn-start').onclick = () => {
-  document.getElementById('overlay').style.display = 'none';
-  spawnPrimitive('box');
+document.getElementById('btn-boolean-close').onclick = () => {
+  document.getElementById('boolean-panel').classList.remove('visible');
 };
 
-// Spawn buttons
-document.querySelectorAll('[data-spawn]').forEach(btn => {
-  btn.onclick = () => spawnPrimitive(btn.dataset.spawn);
-});
+/* ===== GROUPS ===== */
+// Fuera de un grupo, tocar uno de sus objetos selecciona el grupo entero (todos sus
+// meshes) y el gizmo mueve el grupo; al entrar en él se seleccionan sus hijos por separado
+function createGroup({ id = nextId++, name = null } = {}) {
+  const group = new THREE.Group();
+  group.userData.id = id;
+  group.userData.type = 'group';
+  group.userData.name = name ?? `Grupo ${id}`;
+  nextId = Math.max(nextId, id + 1);
+  return group;
+}
 
-// Mode buttons
-document.querySelectorAll('[data-mode]').forEach(btn => {
-  btn.onclick = () => {
-    const mode = btn.dataset.mode;
-    
-    if (mode === 'select') {
-      // ENTRAR A MODO EDICIÓN
-      isEditMode = true;
-      currentMode = 'translate'; // Default en modo edición
-      
-      transform.detach();
-      subTransform.setMode('translate');
-      
-      document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      document.getElementById('subtoolbar').classList.add('visible');
-      document.getElementById('exit-manipulation').classList.add('visible');
-      
-      if (selectedObject) {
-        SUB.applySubVisibility(selectedObject);
+function parentIdOf(node) {
+  return node.parent?.userData.type === 'group' ? node.parent.userData.id : null;
+}
+
+function parentNode(id) {
+  return (id != null && findGroupById(id)) || scene;
+}
+
+function isInside(node, ancestor) {
+  for (let p = node.parent; p; p = p.parent) if (p === ancestor) return true;
+  return false;
+}
+
+function snapshotGroup(group) {
+  return {
+    id: group.userData.id,
+    type: 'group',
+    name: group.userData.name,
+    parent: parentIdOf(group),
+    visible: group.visible,
+    locked: !!group.userData.locked,
+    transform: snapshotTransform(group)
+  };
+}
+
+function restoreGroup(snap) {
+  const group = createGroup({ id: snap.id, name: snap.name });
+  if (snap.visible === false) group.visible = false;
+  if (snap.locked) group.userData.locked = true;
+  applyTransformSnapshot(group, snap.transform);
+  parentNode(snap.parent).add(group);
+  groups.push(group);
+  refreshOutliner();
+  return group;
+}
+
+function removeGroup(group) {
+  if (currentGroup && (currentGroup === group || isInside(currentGroup, group))) {
+    currentGroup = group.parent?.userData.type === 'group' ? group.parent : null;
+  }
+  const idx = groups.indexOf(group);
+  if (idx >= 0) groups.splice(idx, 1);
+  group.removeFromParent();
+  refreshOutliner();
+}
+
+// Hijo directo del contexto (grupo abierto o escena) que contiene al objeto
+function selectableFor(obj) {
+  const context = currentGroup ?? scene;
+  let node = obj;
+  while (node.parent && node.parent !== context) node = node.parent;
+  return node.parent === context ? node : null;
+}
+
+function meshesOf(node) {
+  return objects.filter(o => o === node || isInside(o, node));
+}
+
+// Al elegir un mesh de un grupo cerrado se selecciona el grupo completo
+function expandSelection(list) {
+  const out = new Set();
+  list.forEach(obj => {
+    const node = selectableFor(obj);
+    if (node) meshesOf(node).forEach(o => out.add(o));
+  });
+  return [...out];
+}
+
+// Nodos que mueve el gizmo de objeto: los grupos cerrados se mueven enteros
+function selectedNodes() {
+  return [...new Set([...selectedObjects].map(o => selectableFor(o) ?? o))];
+}
+
+function placement(node) {
+  return { parent: parentIdOf(node), transform: snapshotTransform(node) };
+}
+
+function moveNode(node, { parent, transform }) {
+  parentNode(parent).add(node);
+  applyTransformSnapshot(node, transform);
+}
+
+function groupSelection() {
+  const members = selectedNodes();
+  if (!members.length) return;
+
+  const context = currentGroup ?? scene;
+  const group = createGroup();
+  context.add(group);
+  context.updateWorldMatrix(true, false);
+  group.position.copy(context.worldToLocal(PIVOT.pivotPoint('median', members)));
+  groups.push(group);
+
+  const moves = members.map(node => {
+    const loose = placement(node);
+    group.attach(node);
+    return { id: node.userData.id, loose, grouped: placement(node) };
+  });
+  addToHistory({ type: 'group', id: group.userData.id, snapshot: snapshotGroup(group), members: moves });
+
+  setObjectSelection(meshesOf(group), selectedObject);
+  showToast(`🗂️ ${group.userData.name}`);
+}
+
+function ungroupSelection() {
+  const targets = selectedNodes().filter(node => node.userData.type === 'group');
+  if (!targets.length) {
+    showToast('Selecciona un grupo', true);
+    return;
+  }
+
+  HISTORY.pushBatch(targets.map(group => {
+    const snapshot = snapshotGroup(group);
+    const members = group.children.filter(node => node.userData.id != null).map(node => {
+      const grouped = placement(node);
+      group.parent.attach(node);
+      return { id: node.userData.id, grouped, loose: placement(node) };
+    });
+    removeGroup(group);
+    return { type: 'ungroup', id: snapshot.id, snapshot, members };
+  }));
+
+  setObjectSelection([...selectedObjects], selectedObject);
+}
+
+function enterGroup() {
+  const node = selectedObject ? selectableFor(selectedObject) : null;
+  if (node?.userData.type !== 'group') {
+    showToast('Selecciona un grupo para entrar', true);
+    return;
+  }
+  currentGroup = node;
+  setObjectSelection(expandSelection([selectedObject]), selectedObject);
+  showToast(`📂 ${node.userData.name}`);
+}
+
+function exitGroup() {
+  const group = currentGroup;
+  if (!group) return;
+  currentGroup = group.parent?.userData.type === 'group' ? group.parent : null;
+  setObjectSelection(meshesOf(group), selectedObjects.has(selectedObject) ? selectedObject : undefined);
+}
+
+function updateGroupButtons() {
+  const btn = document.getElementById('btn-group-enter');
+  btn.innerHTML = currentGroup
+    ? '⤴️<span class="label">Salir</span>'
+    : '⤵️<span class="label">Entrar</span>';
+  btn.classList.toggle('active', !!currentGroup);
+}
+
+/* ===== HISTORY HANDLERS ===== */
+// Cada tipo de acción guarda el estado antes/después necesario para revertirse
+HISTORY.register('create', {
+  undo: (a) => {
+    const obj = findObjectById(a.id);
+    if (obj) removeObject(obj);
+  },
+  redo: (a) => {
+    if (!findObjectById(a.id)) restoreObject(a.snapshot, a.index);
+  },
+  size: (a) => geometrySnapshotBytes(a.snapshot.geometry)
+});
+
+// Varios objetos creados de una vez (importación) se deshacen como una sola acción
+HISTORY.register('createMany', {
+  undo: (a) => {
+    a.items.forEach(item => {
+      const obj = findObjectById(item.snapshot.id);
+      if (obj) removeObject(obj);
+    });
+  },
+  redo: (a) => {
+    a.items.forEach(item => {
+      if (!findObjectById(item.snapshot.id)) restoreObject(item.snapshot, item.index);
+    });
+  },
+  size: (a) => a.items.reduce((sum, item) => sum + geometrySnapshotBytes(item.snapshot.geometry), 0)
+});
+
+HISTORY.register('delete', {
+  undo: (a) => {
+    if (!findObjectById(a.id)) restoreObject(a.snapshot, a.index);
+  },
+  redo: (a) => {
+    const obj = findObjectById(a.id);
+    if (obj) removeObject(obj);
+  },
+  size: (a) => geometrySnapshotBytes(a.snapshot.geometry)
+});
+
+HISTORY.register('transform', {
+  undo: (a) => {
+    const node = findNodeById(a.id);
+    if (node) applyTransformSnapshot(node, a.before);
+  },
+  redo: (a) => {
+    const node = findNodeById(a.id);
+    if (node) applyTransformSnapshot(node, a.after);
+  },
+  merge: (prev, next) => ({ ...prev, after: next.after })
+});
+
+HISTORY.register('color', {
+  undo: (a) => findObjectById(a.id)?.material.color.setHex(a.before),
+  redo: (a) => findObjectById(a.id)?.material.color.setHex(a.after),
+  merge: (prev, next) => ({ ...prev, after: next.after })
+});
+
+HISTORY.register('rename', {
+  undo: (a) => renameNode(findNodeById(a.id), a.before),
+  redo: (a) => renameNode(findNodeById(a.id), a.after)
+});
+
+HISTORY.register('reparent', {
+  undo: (a) => {
+    const node = findNodeById(a.id);
+    if (node) moveNode(node, a.before);
+  },
+  redo: (a) => {
+    const node = findNodeById(a.id);
+    if (node) moveNode(node, a.after);
+  }
+});
+
+HISTORY.register('modifiers', {
+  undo: (a) => {
+    const obj = findObjectById(a.id);
+    if (obj) setModifiers(obj, a.before);
+    renderPropsPanel();
+  },
+  redo: (a) => {
+    const obj = findObjectById(a.id);
+    if (obj) setModifiers(obj, a.after);
+    renderPropsPanel();
+  },
+  merge: (prev, next) => ({ ...prev, after: next.after })
+});
+
+// Propiedades del material del objeto (el compartido si está enlazado a la biblioteca)
+HISTORY.register('material', {
+  undo: (a) => {
+    const obj = findObjectById(a.id);
+    if (obj) MATERIALS.applyProps(obj.material, a.before);
+  },
+  redo: (a) => {
+    const obj = findObjectById(a.id);
+    if (obj) MATERIALS.applyProps(obj.material, a.after);
+  }
+});
+
+// Enlace con la biblioteca: before/after = { materialId, props } (props del propio)
+HISTORY.register('materialLink', {
+  undo: (a) => {
+    const obj = findObjectById(a.id);
+    if (obj) MATERIALS.assignMaterial(obj, a.before.materialId, a.before.props);
+  },
+  redo: (a) => {
+    const obj = findObjectById(a.id);
+    if (obj) MATERIALS.assignMaterial(obj, a.after.materialId, a.after.props);
+  }
+});
+
+// Entradas de la biblioteca: before/after = { id, name, props } o null (no existe)
+HISTORY.register('materialLibrary', {
+  undo: (a) => {
+    if (a.before) MATERIALS.putEntry(a.before);
+    else MATERIALS.removeEntry(a.after.id);
+  },
+  redo: (a) => {
+    if (a.after) MATERIALS.putEntry(a.after);
+    else MATERIALS.removeEntry(a.before.id);
+  }
+});
+
+// Agrupar / desagrupar: members guarda dónde estaba cada hijo fuera (loose) y dentro
+// (grouped) del grupo, con su transform relativo a ese padre
+function regroup(a) {
+  if (!findGroupById(a.id)) restoreGroup(a.snapshot);
+  a.members.forEach(m => {
+    const node = findNodeById(m.id);
+    if (node) moveNode(node, m.grouped);
+  });
+}
+
+function dissolveGroup(a) {
+  a.members.forEach(m => {
+    const node = findNodeById(m.id);
+    if (node) moveNode(node, m.loose);
+  });
+  const group = findGroupById(a.id);
+  if (group) removeGroup(group);
+}
+
+HISTORY.register('group', { undo: dissolveGroup, redo: regroup });
+HISTORY.register('ungroup', { undo: regroup, redo: dissolveGroup });
+
+// Las ediciones destructivas convierten un primitivo paramétrico en un mesh normal:
+// la acción guarda los parámetros descartados para que el undo los recupere
+function releasesParams(handler) {
+  return {
+    ...handler,
+    undo: (a) => {
+      handler.undo(a);
+      const obj = findObjectById(a.id);
+      if (obj && a.droppedParams) obj.userData.params = { ...a.droppedParams };
+    },
+    redo: (a) => {
+      handler.redo(a);
+      const obj = findObjectById(a.id);
+      if (obj && a.droppedParams) delete obj.userData.params;
+    }
+  };
+}
+
+HISTORY.register('params', {
+  undo: (a) => {
+    const obj = findObjectById(a.id);
+    if (obj) applyParams(obj, a.before);
+  },
+  redo: (a) => {
+    const obj = findObjectById(a.id);
+    if (obj) applyParams(obj, a.after);
+  },
+  merge: (prev, next) => ({ ...prev, after: next.after })
+});
+
+// Cambios de geometría guardados como instantáneas completas antes/después
+const geometrySwap = {
+  undo: (a) => {
+    const obj = findObjectById(a.id);
+    if (obj) applyGeometrySnapshot(obj, a.before);
+  },
+  redo: (a) => {
+    const obj = findObjectById(a.id);
+    if (obj) applyGeometrySnapshot(obj, a.after);
+  },
+  size: (a) => geometrySnapshotBytes(a.before) + geometrySnapshotBytes(a.after)
+};
+
+HISTORY.register('weld', releasesParams(geometrySwap));
+HISTORY.register('topology', releasesParams(geometrySwap));
+
+HISTORY.register('subEdit', releasesParams({
+  undo: (a) => SUB.applySubEditInverse(a),
+  redo: (a) => SUB.applySubEditForward(a),
+  size: (a) => a.verts.length * (8 + (a.weights ? 8 : 0) + (a.scales ? 24 : 0) + (a.before ? 48 : 0)),
+  merge: (prev, next) => {
+    // Los pesos proporcionales, los reflejos de simetría y las rotaciones o escalas
+    // (posiciones antes/después) dependen de cada arrastre: no se suman
+    if (prev.rips || next.rips || prev.weights || next.weights || prev.scales || next.scales) return null;
+    if (prev.before || next.before) return null;
+    if (prev.verts.length !== next.verts.length ||
+        prev.verts.some((v, k) => v !== next.verts[k])) return null;
+    return {
+      ...prev,
+      delta: {
+        x: prev.delta.x + next.delta.x,
+        y: prev.delta.y + next.delta.y,
+        z: prev.delta.z + next.delta.z
+      }
+    };
+  }
+}));
+
+// Tras un undo/redo la selección de subcomponentes y los gizmos pueden apuntar
+// a geometría u objetos que ya no existen
+function syncAfterHistory() {
+  if (selectedObject && !objects.includes(selectedObject)) {
+    selectObject(null);
+  }
+  if (!isEditMode) {
+    attachObjectGizmo();
+    updateGroupButtons();
+  }
+  refreshOutliner();
+
+  if (isEditMode && selectedObject) {
+    SUB.clearSelection();
+    subTransform.detach();
+    SUB.applySubVisibility(selectedObject);
+  }
+
+  closeWeldPanel();
+  closeTopoPanel();
+  renderPropsPanel();
+  updateEditValuesButton();
+}
+
+/* ===== RAYCASTER ===== */
+const raycaster = new THREE.Raycaster();
+raycaster.layers.enable(CAGE_LAYER); // el modo edición elige sobre la jaula
+const pointer = new THREE.Vector2();
+
+// En modo objeto se prueba lo que se dibuja: el resultado de los modificadores en
+// lugar de la jaula. ownerOf devuelve el objeto de escena de un mesh tocado
+function drawnMeshes(list) {
+  updateModifierResults();
+  return list.map(obj => modifierResultOf(obj) ?? obj);
+}
+
+function ownerOf(mesh) {
+  return mesh?.userData.modifierResult ? mesh.parent : mesh;
+}
+
+function onPointerDown(event) {
+  if (event.target.closest('button') || 
+      event.target.closest('#weld-panel') ||
+      event.target.closest('#axis-input-dialog') ||
+      event.target.closest('#confirm-dialog')) return;
+
+  // El gizmo ya capturó el toque (sus listeners se registran antes que este)
+  if (transform.dragging || subTransform.dragging) return;
+
+  // Un segundo dedo durante la caja/lazo lo cancela
+  if (regionSelect.drag) {
+    cancelRegion();
+    return;
+  }
+
+  const drawsRegion = regionSelect.tool === 'box' || regionSelect.tool === 'lasso';
+  if (drawsRegion && (!isEditMode || selectedObject)) {
+    startRegion(event);
+    return;
+  }
+
+  pickAt(event.clientX, event.clientY);
+}
+
+function pickAt(clientX, clientY) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+  pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+
+  raycaster.setFromCamera(pointer, camera);
+
+  if (regionSelect.tool === 'cursor') {
+    placeCursor();
+    return;
+  }
+
+  // MODO EDICIÓN: pick de subcomponentes
+  if (isEditMode && selectedObject) {
+    const changed = SUB.togglePick(raycaster, selectedObject, {
+      pointer,
+      width: rect.width,
+      height: rect.height
+    });
+    if (changed) {
+      attachSubGizmo();
+      if (SUB.hasSelection()) checkAndShowWeldPanel();
+      updateEditValuesButton();
+    }
+    return;
+  }
+
+  // MODO OBJETO: selección normal (o añadir/quitar con el modificador de la barra)
+  const hit = ownerOf(raycaster.intersectObjects(drawnMeshes(objects.filter(isPickable)), false)[0]?.object) ?? null;
+  if (hit && !selectableFor(hit)) currentGroup = null;
+  const picked = hit ? expandSelection([hit]) : [];
+  if (regionSelect.mode === 'set') setObjectSelection(picked, hit);
+  else if (hit) applyObjectSelection(picked, regionSelect.mode, hit);
+}
+
+// Cursor 3D sobre la superficie tocada o, si no hay nada, sobre el suelo (y = 0)
+function placeCursor() {
+  const hit = raycaster.intersectObjects(drawnMeshes(objects.filter(isShown)), false)[0];
+  const point = hit?.point ??
+    raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), new THREE.Vector3());
+  if (!point) return;
+  cursor3D.position.copy(point);
+  if (pivotMode === 'cursor' && !isEditMode) attachObjectGizmo();
+}
+
+/* ===== OBJECT PIVOT ===== */
+// Con un solo objeto el gizmo va sobre él; con varios (o un grupo cerrado, o pivote en el
+// cursor 3D) va sobre objectPivot y su movimiento se reparte entre los nodos seleccionados
+const PIVOT_LABELS = {
+  bbox: { icon: '⬚', text: 'Centro caja' },
+  median: { icon: '⊙', text: 'Mediana' },
+  active: { icon: '◉', text: 'Activo' },
+  cursor: { icon: '📍', text: 'Cursor 3D' }
+};
+const PIVOT_STORAGE_KEY = 'mr-studio.pivot';
+
+let pivotMode = loadPivotMode();
+
+function loadPivotMode() {
+  try {
+    const saved = localStorage.getItem(PIVOT_STORAGE_KEY);
+    if (PIVOT_MODES.includes(saved)) return saved;
+  } catch (err) {
+    // almacenamiento no disponible: se usa el valor por defecto
+  }
+  return 'bbox';
+}
+
+function usesObjectPivot() {
+  const nodes = selectedNodes();
+  return nodes.length > 1 || nodes[0] !== selectedObject || pivotMode === 'cursor';
+}
+
+function attachObjectGizmo() {
+  cursor3D.visible = pivotMode === 'cursor' || regionSelect.tool === 'cursor';
+  if (isEditMode || !selectedObject) {
+    transform.detach();
+    updatePivotToggle();
+    return;
+  }
+
+  if (usesObjectPivot()) {
+    const nodes = selectedNodes();
+    objectPivot.position.copy(PIVOT.pivotPoint(pivotMode, nodes, {
+      active: selectableFor(selectedObject) ?? selectedObject,
+      cursor: cursor3D.position
+    }));
+    // En espacio local el pivote toma la orientación del objeto activo
+    if (currentSpace() === 'world') objectPivot.quaternion.identity();
+    else selectedObject.getWorldQuaternion(objectPivot.quaternion);
+    objectPivot.updateMatrixWorld(true);
+    transform.attach(objectPivot);
+  } else {
+    transform.attach(selectedObject);
+  }
+  transform.setMode(currentMode);
+  updatePivotToggle();
+}
+
+function updatePivotToggle() {
+  const btn = document.getElementById('pivot-toggle');
+  btn.classList.toggle('visible', !!selectedObject && !isEditMode);
+  document.getElementById('pivot-icon').textContent = PIVOT_LABELS[pivotMode].icon;
+  document.getElementById('pivot-text').textContent = PIVOT_LABELS[pivotMode].text;
+}
+
+document.getElementById('pivot-toggle').onclick = () => {
+  pivotMode = PIVOT_MODES[(PIVOT_MODES.indexOf(pivotMode) + 1) % PIVOT_MODES.length];
+  try {
+    localStorage.setItem(PIVOT_STORAGE_KEY, pivotMode);
+  } catch (err) {
+    // sin persistencia, el cambio vale para esta sesión
+  }
+  attachObjectGizmo();
+};
+
+// Attach gizmo to selection center
+function attachSubGizmo() {
+  const center = SUB.getSelectionWorldCenter();
+  if (!center) {
+    subTransform.detach();
+    return;
+  }
+  subPivot.position.copy(center);
+  subPivot.quaternion.copy(subGizmoOrientation());
+  subPivot.scale.set(1, 1, 1);
+  subPivot.updateMatrixWorld(true);
+  subTransform.attach(subPivot);
+  subTransform.setMode(currentMode);
+  applySpaces();
+}
+
+/* ===== REGION SELECT ===== */
+// Caja o lazo dibujado sobre el canvas. Mientras se dibuja la órbita queda bloqueada;
+// un trazo de menos de CFG.regionMinSize píxeles cuenta como un toque normal
+const REGION_TOOLS = [
+  { id: 'tap', icon: '👆', text: 'Toque' },
+  { id: 'box', icon: '⬚', text: 'Caja' },
+  { id: 'lasso', icon: '➰', text: 'Lazo' },
+  { id: 'cursor', icon: '📍', text: 'Cursor' }
+];
+const REGION_MODES = [
+  { id: 'set', icon: '＝', text: 'Nueva' },
+  { id: 'add', icon: '➕', text: 'Añadir' },
+  { id: 'sub', icon: '➖', text: 'Quitar' }
+];
+
+const regionSelect = {
+  tool: 'tap',
+  mode: 'set',
+  xray: false,
+  drag: null // { pointerId, start: {x, y}, points: [{x, y}], rect }
+};
+
+function localPoint(event, rect) {
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+function regionPolygon() {
+  const { drag } = regionSelect;
+  if (regionSelect.tool === 'box') return REGION.rectPolygon(drag.start, drag.points[drag.points.length - 1]);
+  return drag.points;
+}
+
+function drawRegion() {
+  const rect = regionSelect.drag.rect;
+  const d = regionPolygon()
+    .map((p, i) => `${i ? 'L' : 'M'}${(p.x + rect.left).toFixed(1)} ${(p.y + rect.top).toFixed(1)}`)
+    .join(' ');
+  document.getElementById('region-path').setAttribute('d', `${d} Z`);
+  document.getElementById('region-overlay').classList.add('visible');
+}
+
+function startRegion(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const start = localPoint(event, rect);
+  regionSelect.drag = { pointerId: event.pointerId, start, points: [start], rect };
+  orbit.enabled = false;
+  window.addEventListener('pointermove', onRegionMove);
+  window.addEventListener('pointerup', onRegionEnd);
+  window.addEventListener('pointercancel', cancelRegion);
+}
+
+function onRegionMove(event) {
+  const { drag } = regionSelect;
+  if (!drag || event.pointerId !== drag.pointerId) return;
+  const p = localPoint(event, drag.rect);
+  const last = drag.points[drag.points.length - 1];
+  // El lazo guarda un punto cada pocos píxeles; la caja solo necesita el último
+  if (regionSelect.tool === 'box') drag.points = [drag.start, p];
+  else if (Math.hypot(p.x - last.x, p.y - last.y) >= 3) drag.points.push(p);
+  drawRegion();
+}
+
+function endRegionListeners() {
+  window.removeEventListener('pointermove', onRegionMove);
+  window.removeEventListener('pointerup', onRegionEnd);
+  window.removeEventListener('pointercancel', cancelRegion);
+  document.getElementById('region-overlay').classList.remove('visible');
+  orbit.enabled = true;
+}
+
+function cancelRegion() {
+  regionSelect.drag = null;
+  endRegionListeners();
+}
+
+function onRegionEnd(event) {
+  const { drag } = regionSelect;
+  if (!drag || event.pointerId !== drag.pointerId) return;
+  onRegionMove(event);
+  const polygon = regionPolygon();
+  regionSelect.drag = null;
+  endRegionListeners();
+
+  if (REGION.polygonSize(polygon) < CFG.regionMinSize) {
+    pickAt(drag.start.x + drag.rect.left, drag.start.y + drag.rect.top);
+    return;
+  }
+
+  const area = { polygon, width: drag.rect.width, height: drag.rect.height };
+  camera.updateMatrixWorld();
+
+  if (isEditMode && selectedObject) {
+    const changed = SUB.selectInRegion(selectedObject, area, {
+      camera,
+      xray: regionSelect.xray,
+      mode: regionSelect.mode
+    });
+    if (changed) {
+      attachSubGizmo();
+      if (SUB.hasSelection()) checkAndShowWeldPanel();
+      updateEditValuesButton();
+    }
+    return;
+  }
+
+  applyObjectSelection(expandSelection(objectsInRegion(area)), regionSelect.mode);
+}
+
+// Un objeto entra si el centro de su caja envolvente cae dentro; sin x-ray, además,
+// ningún otro objeto puede taparlo
+function objectsInRegion(area) {
+  const box = new THREE.Box3();
+  const center = new THREE.Vector3();
+  const shown = objects.filter(isShown);
+  const drawn = drawnMeshes(shown);
+  const isOccluded = regionSelect.xray ? null : REGION.occlusionTest(camera, drawn, area);
+  return shown.filter((obj, i) => {
+    if (!isPickable(obj)) return false;
+    box.setFromObject(drawn[i]).getCenter(center);
+    if (!REGION.containsPoint(area, center, camera)) return false;
+    return regionSelect.xray || !isOccluded(center, { ignore: drawn[i] });
+  });
+}
+
+function updateRegionButtons() {
+  const tool = REGION_TOOLS.find(t => t.id === regionSelect.tool);
+  const mode = REGION_MODES.find(m => m.id === regionSelect.mode);
+  const toolBtn = document.getElementById('btn-region-tool');
+  const modeBtn = document.getElementById('btn-region-mode');
+  toolBtn.innerHTML = `${tool.icon}<span class="label">${tool.text}</span>`;
+  toolBtn.classList.toggle('active', tool.id !== 'tap');
+  modeBtn.innerHTML = `${mode.icon}<span class="label">${mode.text}</span>`;
+  modeBtn.classList.toggle('active', mode.id !== 'set');
+  document.getElementById('btn-xray').classList.toggle('active', regionSelect.xray);
+}
+
+function cycle(list, current) {
+  return list[(list.findIndex(item => item.id === current) + 1) % list.length].id;
+}
+
+document.getElementById('btn-region-tool').onclick = () => {
+  regionSelect.tool = cycle(REGION_TOOLS, regionSelect.tool);
+  updateRegionButtons();
+  cursor3D.visible = pivotMode === 'cursor' || regionSelect.tool === 'cursor';
+};
+
+document.getElementById('btn-region-mode').onclick = () => {
+  regionSelect.mode = cycle(REGION_MODES, regionSelect.mode);
+  updateRegionButtons();
+};
+
+document.getElementById('btn-xray').onclick = () => {
+  regionSelect.xray = !regionSelect.xray;
+  updateRegionButtons();
+  showToast(regionSelect.xray ? 'Rayos X: incluye elementos ocultos' : 'Solo elementos visibles');
+};
+
+/* ===== TRANSFORM SPACE ===== */
+// Orientación de los gizmos, recordada por modo (objeto / edición)
+const SPACES = {
+  object: ['world', 'local'],
+  edit: ['world', 'local', 'normal']
+};
+const SPACE_LABELS = {
+  world: { icon: '🌍', text: 'Global' },
+  local: { icon: '🧭', text: 'Local' },
+  normal: { icon: '⬆️', text: 'Normal' }
+};
+const SPACE_STORAGE_KEY = 'mr-studio.spaces';
+
+const spaceByMode = loadSpaces();
+
+function loadSpaces() {
+  const spaces = { object: 'world', edit: 'world' };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SPACE_STORAGE_KEY) || '{}');
+    for (const mode of Object.keys(spaces)) {
+      if (SPACES[mode].includes(saved[mode])) spaces[mode] = saved[mode];
+    }
+  } catch (err) {
+    // localStorage no disponible (modo privado): usar los valores por defecto
+  }
+  return spaces;
+}
+
+function currentSpace() {
+  return spaceByMode[isEditMode ? 'edit' : 'object'];
+}
+
+function subGizmoOrientation() {
+  const space = spaceByMode.edit;
+  if (selectedObject && space === 'local') {
+    return selectedObject.getWorldQuaternion(new THREE.Quaternion());
+  }
+  if (selectedObject && space === 'normal') {
+    return SUB.getSelectionOrientation(selectedObject) ??
+      selectedObject.getWorldQuaternion(new THREE.Quaternion());
+  }
+  return new THREE.Quaternion();
+}
+
+function applySpaces() {
+  transform.setSpace(spaceByMode.object);
+  // Local/Normal del pivote: los ejes del gizmo son los del propio pivote
+  subTransform.setSpace(spaceByMode.edit === 'world' ? 'world' : 'local');
+  updateSpaceToggle();
+  updatePivotToggle();
+}
+
+function updateSpaceToggle() {
+  const btn = document.getElementById('space-toggle');
+  const space = currentSpace();
+  btn.classList.toggle('visible', !!selectedObject);
+  btn.classList.toggle('local', space !== 'world');
+  document.getElementById('space-icon').textContent = SPACE_LABELS[space].icon;
+  document.getElementById('space-text').textContent = SPACE_LABELS[space].text;
+}
+
+document.getElementById('space-toggle').onclick = () => {
+  const mode = isEditMode ? 'edit' : 'object';
+  const options = SPACES[mode];
+  spaceByMode[mode] = options[(options.indexOf(spaceByMode[mode]) + 1) % options.length];
+  try {
+    localStorage.setItem(SPACE_STORAGE_KEY, JSON.stringify(spaceByMode));
+  } catch (err) {
+    // sin persistencia, el cambio vale para esta sesión
+  }
+
+  if (isEditMode && subTransform.object) attachSubGizmo();
+  else if (!isEditMode) attachObjectGizmo();
+  applySpaces();
+};
+
+/* ===== SNAPPING ===== */
+// Incrementos de rejilla/ángulo/escala (los aplica el propio gizmo) y enganche a
+// vértices, puntos medios o centros de cara de otros objetos al mover
+const SNAP_STORAGE_KEY = 'mr-studio.snap';
+
+const snapSettings = loadSnapSettings();
+let snapCandidates = null; // candidatos del arrastre en curso (en mundo, con su hash)
+let snapDraft = null; // ajustes del panel aún sin aplicar
+const lastPointer = { x: 0, y: 0 };
+
+const snapMarker = new THREE.Mesh(
+  new THREE.SphereGeometry(0.06, 12, 8),
+  new THREE.MeshBasicMaterial({ color: 0xff2d55, depthTest: false })
+);
+snapMarker.renderOrder = 999;
+snapMarker.visible = false;
+scene.add(snapMarker);
+
+function loadSnapSettings() {
+  const settings = {
+    enabled: false,
+    grid: 0.5,
+    angle: 15,
+    scale: 0.1,
+    targets: { vertex: true, edge: false, face: false },
+    surface: false
+  };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SNAP_STORAGE_KEY) || '{}');
+    if (typeof saved.enabled === 'boolean') settings.enabled = saved.enabled;
+    if (typeof saved.surface === 'boolean') settings.surface = saved.surface;
+    for (const key of ['grid', 'angle', 'scale']) {
+      if (Number.isFinite(saved[key]) && saved[key] >= 0) settings[key] = saved[key];
+    }
+    for (const key of Object.keys(settings.targets)) {
+      if (typeof saved.targets?.[key] === 'boolean') settings.targets[key] = saved.targets[key];
+    }
+  } catch (err) {
+    // localStorage no disponible (modo privado): usar los valores por defecto
+  }
+  return settings;
+}
+
+function saveSnapSettings() {
+  try {
+    localStorage.setItem(SNAP_STORAGE_KEY, JSON.stringify(snapSettings));
+  } catch (err) {
+    // sin persistencia, el cambio vale para esta sesión
+  }
+}
+
+function applySnapSettings() {
+  const { enabled, grid, angle, scale } = snapSettings;
+  for (const gizmo of [transform, subTransform]) {
+    gizmo.setTranslationSnap(enabled && grid > 0 ? grid : null);
+    gizmo.setRotationSnap(enabled && angle > 0 ? THREE.MathUtils.degToRad(angle) : null);
+    gizmo.setScaleSnap(enabled && scale > 0 ? scale : null);
+  }
+  document.getElementById('btn-snap').classList.toggle('active', enabled);
+}
+
+// Los candidatos se calculan una vez por arrastre: los objetos que no se mueven no cambian
+function beginElementSnap(exclude) {
+  const wanted = snapSettings.enabled && currentMode === 'translate' &&
+    Object.values(snapSettings.targets).some(Boolean);
+  snapCandidates = wanted
+    ? SNAP.snapCandidates(drawnMeshes(objects.filter(o => isShown(o) && !exclude.includes(o))), snapSettings.targets)
+    : null;
+}
+
+// Punto de enganche bajo el dedo, o null
+function elementSnapPoint() {
+  if (!snapCandidates) return null;
+  const rect = renderer.domElement.getBoundingClientRect();
+  const point = SNAP.nearestOnScreen(snapCandidates, camera, {
+    x: lastPointer.x - rect.left,
+    y: lastPointer.y - rect.top,
+    width: rect.width,
+    height: rect.height,
+    tolerance: CFG.snapTolerance
+  });
+  snapMarker.visible = !!point;
+  if (point) snapMarker.position.copy(point);
+  return point;
+}
+
+function endElementSnap() {
+  snapCandidates = null;
+  snapMarker.visible = false;
+}
+
+function setWorldPosition(node, point) {
+  node.position.copy(node.parent ? node.parent.worldToLocal(point.clone()) : point);
+  node.updateMatrixWorld(true);
+}
+
+// Al soltar, los nodos bajan (o suben) hasta apoyarse en lo que tengan debajo o en el suelo
+function placeOnSurface(nodes) {
+  const moving = nodes.flatMap(meshesOf);
+  if (!moving.length) return;
+  const box = new THREE.Box3();
+  drawnMeshes(moving).forEach(mesh => box.expandByObject(mesh));
+  const targets = drawnMeshes(objects.filter(o => isShown(o) && !moving.includes(o)));
+  const offset = SNAP.dropOffset(box, targets);
+  nodes.forEach(node => setWorldPosition(node, node.getWorldPosition(new THREE.Vector3()).add(offset)));
+}
+
+function openSnapPanel() {
+  document.getElementById('snap-grid').value = formatValue(snapSettings.grid);
+  document.getElementById('snap-angle').value = formatValue(snapSettings.angle);
+  document.getElementById('snap-scale').value = formatValue(snapSettings.scale);
+  document.querySelectorAll('#snap-panel .invalid').forEach(el => el.classList.remove('invalid'));
+  snapDraft = { enabled: snapSettings.enabled, surface: snapSettings.surface, targets: { ...snapSettings.targets } };
+  renderSnapPanel();
+  document.getElementById('snap-panel').classList.add('visible');
+}
+
+function renderSnapPanel() {
+  const toggle = (id, on) => {
+    const btn = document.getElementById(id);
+    btn.textContent = on ? 'Sí' : 'No';
+    btn.classList.toggle('active', on);
+  };
+  toggle('snap-enabled', snapDraft.enabled);
+  toggle('snap-surface', snapDraft.surface);
+  document.querySelectorAll('[data-snap-target]').forEach(b => {
+    b.classList.toggle('active', snapDraft.targets[b.dataset.snapTarget]);
+  });
+}
+
+window.addEventListener('pointermove', (e) => {
+  lastPointer.x = e.clientX;
+  lastPointer.y = e.clientY;
+});
+
+document.getElementById('btn-snap').onclick = () => {
+  snapSettings.enabled = !snapSettings.enabled;
+  saveSnapSettings();
+  applySnapSettings();
+  showToast(snapSettings.enabled ? '🧲 Imán activado' : 'Imán desactivado');
+};
+
+document.getElementById('btn-snap-settings').onclick = openSnapPanel;
+
+document.getElementById('snap-enabled').onclick = () => {
+  snapDraft.enabled = !snapDraft.enabled;
+  renderSnapPanel();
+};
+
+document.getElementById('snap-surface').onclick = () => {
+  snapDraft.surface = !snapDraft.surface;
+  renderSnapPanel();
+};
+
+document.querySelectorAll('[data-snap-target]').forEach(btn => {
+  btn.onclick = () => {
+    const key = btn.dataset.snapTarget;
+    snapDraft.targets[key] = !snapDraft.targets[key];
+    renderSnapPanel();
+  };
+});
+
+document.getElementById('btn-snap-apply').onclick = () => {
+  const grid = readPanelInput('snap-grid', snapSettings.grid, 'length');
+  const angle = readPanelInput('snap-angle', snapSettings.angle, 'angle');
+  const scale = readPanelInput('snap-scale', snapSettings.scale, 'scale');
+  if (grid === null || angle === null || scale === null) return;
+  if (grid < 0 || angle < 0 || scale < 0) {
+    showToast('Los incrementos no pueden ser negativos', true);
+    return;
+  }
+
+  Object.assign(snapSettings, snapDraft, { grid, angle, scale });
+  saveSnapSettings();
+  applySnapSettings();
+  document.getElementById('snap-panel').classList.remove('visible');
+};
+
+document.getElementById('btn-snap-close').onclick = () => {
+  document.getElementById('snap-panel').classList.remove('visible');
+};
+
+applySnapSettings();
+
+/* ===== PROPORTIONAL EDITING ===== */
+// El radio se dibuja alrededor del gizmo de subcomponentes; durante el arrastre se
+// ajusta pellizcando con un segundo dedo (o con la rueda del ratón)
+const FALLOFF_LABELS = {
+  smooth: { icon: '∿', text: 'Suave' },
+  linear: { icon: '⟋', text: 'Lineal' },
+  sharp: { icon: '⋀', text: 'Aguda' },
+  constant: { icon: '▭', text: 'Constante' },
+  random: { icon: '⁂', text: 'Aleatoria' }
+};
+const PROPORTIONAL_STORAGE_KEY = 'mr-studio.proportional';
+
+const proportionalRing = new THREE.LineLoop(
+  new THREE.BufferGeometry().setFromPoints(
+    Array.from({ length: 64 }, (_, i) => new THREE.Vector3(
+      Math.cos(i / 64 * Math.PI * 2), Math.sin(i / 64 * Math.PI * 2), 0))
+  ),
+  new THREE.LineBasicMaterial({ color: 0xffcc00, depthTest: false, transparent: true, opacity: 0.8 })
+);
+proportionalRing.name = 'ProportionalRadius';
+proportionalRing.renderOrder = 999;
+proportionalRing.visible = false;
+scene.add(proportionalRing);
+
+// Punteros sobre el canvas; pointerId = segundo dedo que está pellizcando el radio
+const pinch = { pointers: new Map(), pointerId: null, startDistance: 0, startRadius: 0 };
+
+SUB.setProportional(loadProportional());
+
+function loadProportional() {
+  const settings = { enabled: false, falloff: 'smooth', radius: 1 };
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROPORTIONAL_STORAGE_KEY) || '{}');
+    if (typeof saved.enabled === 'boolean') settings.enabled = saved.enabled;
+    if (PROPORTIONAL_FALLOFFS.includes(saved.falloff)) settings.falloff = saved.falloff;
+    if (Number.isFinite(saved.radius) && saved.radius > 0) settings.radius = saved.radius;
+  } catch (err) {
+    // localStorage no disponible (modo privado): usar los valores por defecto
+  }
+  return settings;
+}
+
+function setProportional(patch) {
+  SUB.setProportional(patch);
+  try {
+    localStorage.setItem(PROPORTIONAL_STORAGE_KEY, JSON.stringify(SUB.getProportional()));
+  } catch (err) {
+    // sin persistencia, el cambio vale para esta sesión
+  }
+  updateProportionalButtons();
+}
+
+function setProportionalRadius(radius) {
+  setProportional({ radius: THREE.MathUtils.clamp(radius, 0.01, 1000) });
+}
+
+function updateProportionalButtons() {
+  const { enabled, falloff, radius } = SUB.getProportional();
+  const label = FALLOFF_LABELS[falloff];
+  document.getElementById('sub-proportional').classList.toggle('active', enabled);
+  document.getElementById('sub-falloff').innerHTML = `<span class="pill">${label.icon}</span>${label.text}`;
+  document.getElementById('sub-radius').innerHTML = `<span class="pill">◌</span>R ${formatValue(radius)}`;
+}
+
+function updateProportionalRing() {
+  const { enabled, radius } = SUB.getProportional();
+  proportionalRing.visible = enabled && isEditMode && !!subTransform.object;
+  if (!proportionalRing.visible) return;
+  proportionalRing.position.copy(subPivot.position);
+  proportionalRing.quaternion.copy(camera.quaternion);
+  proportionalRing.scale.setScalar(radius);
+}
+
+function pinchDistance() {
+  const [a, b] = [...pinch.pointers.values()];
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Fase de captura: el segundo dedo no llega al gizmo ni a la órbita mientras pellizca
+renderer.domElement.addEventListener('pointerdown', (e) => {
+  pinch.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  if (!subTransform.dragging || !SUB.getProportional().enabled || pinch.pointers.size !== 2) return;
+  pinch.pointerId = e.pointerId;
+  pinch.startDistance = Math.max(1, pinchDistance());
+  pinch.startRadius = SUB.getProportional().radius;
+  e.stopImmediatePropagation();
+}, { capture: true });
+
+renderer.domElement.addEventListener('pointermove', (e) => {
+  if (!pinch.pointers.has(e.pointerId)) return;
+  pinch.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  if (pinch.pointerId === null || pinch.pointers.size !== 2) return;
+  setProportionalRadius(pinch.startRadius * pinchDistance() / pinch.startDistance);
+  if (e.pointerId === pinch.pointerId) e.stopImmediatePropagation();
+}, { capture: true });
+
+function endPinchPointer(e) {
+  pinch.pointers.delete(e.pointerId);
+  if (e.pointerId !== pinch.pointerId) return;
+  pinch.pointerId = null;
+  e.stopImmediatePropagation();
+}
+
+renderer.domElement.addEventListener('pointerup', endPinchPointer, { capture: true });
+renderer.domElement.addEventListener('pointercancel', endPinchPointer, { capture: true });
+
+renderer.domElement.addEventListener('wheel', (e) => {
+  if (!subTransform.dragging || !SUB.getProportional().enabled) return;
+  e.preventDefault();
+  setProportionalRadius(SUB.getProportional().radius * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+}, { passive: false });
+
+document.getElementById('sub-proportional').onclick = () => {
+  setProportional({ enabled: !SUB.getProportional().enabled });
+};
+
+document.getElementById('sub-falloff').onclick = () => {
+  const { falloff } = SUB.getProportional();
+  setProportional({
+    falloff: PROPORTIONAL_FALLOFFS[(PROPORTIONAL_FALLOFFS.indexOf(falloff) + 1) % PROPORTIONAL_FALLOFFS.length]
+  });
+};
+
+document.getElementById('sub-radius').onclick = () => {
+  const { radius } = SUB.getProportional();
+  const input = prompt('Radio proporcional', formatValue(radius));
+  if (input === null) return;
+  try {
+    const value = applyNumericInput(input, radius, { kind: 'length' });
+    if (!(value > 0)) throw new Error('El radio debe ser mayor que 0');
+    setProportionalRadius(value);
+  } catch (err) {
+    showToast(err.message, true);
+  }
+};
+
+updateProportionalButtons();
+
+/* ===== EDIT MIRROR ===== */
+// Simetría al mover subcomponentes: la contraparte de cada vértice seleccionado al otro
+// lado del plano local (a menos de CFG.mirrorTolerance) recibe el delta reflejado
+const MIRROR_STORAGE_KEY = 'mr-studio.mirror';
+
+function loadEditMirror() {
+  const mirror = { x: false, y: false, z: false };
+  try {
+    const saved = JSON.parse(localStorage.getItem(MIRROR_STORAGE_KEY) || '{}');
+    ['x', 'y', 'z'].forEach(a => { if (typeof saved[a] === 'boolean') mirror[a] = saved[a]; });
+  } catch (err) {
+    // localStorage no disponible (modo privado): usar los valores por defecto
+  }
+  return mirror;
+}
+
+function toggleEditMirror(axis) {
+  SUB.setMirror({ [axis]: !SUB.getMirror()[axis] });
+  try {
+    localStorage.setItem(MIRROR_STORAGE_KEY, JSON.stringify(SUB.getMirror()));
+  } catch (err) {
+    // sin persistencia, el cambio vale para esta sesión
+  }
+  updateEditMirrorButtons();
+}
+
+function updateEditMirrorButtons() {
+  const mirror = SUB.getMirror();
+  ['x', 'y', 'z'].forEach(a => {
+    document.getElementById(`sub-mirror-${a}`).classList.toggle('active', mirror[a]);
+  });
+}
+
+['x', 'y', 'z'].forEach(a => {
+  document.getElementById(`sub-mirror-${a}`).onclick = () => toggleEditMirror(a);
+});
+
+SUB.setMirror(loadEditMirror());
+updateEditMirrorButtons();
+
+/* ===== TRANSFORM EVENTS ===== */
+let isDragging = false;
+let dragStarted = false;
+let dragStartPosition = null;
+let dragStartTransforms = null; // [{ node, before }] de los nodos que mueve el gizmo
+let pivotDrag = null;
+let dragDistance = 0;
+
+// OBJETO (o pivote compartido)
+transform.addEventListener('mouseDown', () => {
+  const target = transform.object;
+  isDragging = false;
+  dragStarted = true;
+  dragStartPosition = target ? target.getWorldPosition(new THREE.Vector3()) : null;
+  const nodes = target === objectPivot ? selectedNodes() : target ? [target] : [];
+  dragStartTransforms = nodes.map(node => ({ node, before: snapshotTransform(node) }));
+  pivotDrag = target === objectPivot ? PIVOT.beginDrag(objectPivot, nodes) : null;
+  beginElementSnap(nodes.flatMap(meshesOf));
+  dragDistance = 0;
+  startCameraHelper();
+  if (dragStartPosition) startMeasurement(dragStartPosition);
+});
+
+transform.addEventListener('objectChange', () => {
+  if (dragStarted) {
+    isDragging = true;
+  }
+  // El enganche a un elemento manda sobre el incremento de rejilla
+  const snapPoint = transform.object ? elementSnapPoint() : null;
+  if (snapPoint) setWorldPosition(transform.object, snapPoint);
+  if (pivotDrag) PIVOT.applyDrag(pivotDrag, objectPivot);
+
+  if (transform.object && dragStartPosition) {
+    const position = transform.object.getWorldPosition(new THREE.Vector3());
+    dragDistance = position.distanceTo(dragStartPosition);
+    updateCameraHelper(dragDistance);
+    updateMeasurement(position);
+  }
+});
+
+transform.addEventListener('mouseUp', () => {
+  if (isDragging && dragStartTransforms) {
+    if (snapSettings.enabled && snapSettings.surface && currentMode === 'translate') {
+      placeOnSurface(dragStartTransforms.map(({ node }) => node));
+      if (transform.object === objectPivot) attachObjectGizmo();
+    }
+    // Varios nodos a la vez: una sola entrada del historial
+    HISTORY.pushBatch(dragStartTransforms.map(({ node, before }) => ({
+      type: 'transform',
+      id: node.userData.id,
+      before,
+      after: snapshotTransform(node)
+    })));
+  }
+  isDragging = false;
+  dragStarted = false;
+  dragStartPosition = null;
+  dragStartTransforms = null;
+  pivotDrag = null;
+  endElementSnap();
+  endCameraHelper();
+  endMeasurement();
+});
+
+// SUBCOMPONENTES
+let subDragStarted = false;
+let subDragDistance = 0;
+const subDragStart = new THREE.Matrix4(); // pivote al empezar (rotar y escalar)
+
+subTransform.addEventListener('mouseDown', () => {
+  subDragStarted = true;
+  subDragDistance = 0;
+  subDragStart.compose(subPivot.position, subPivot.quaternion, subPivot.scale);
+  beginElementSnap(selectedObject ? [selectedObject] : []);
+  const center = SUB.getSelectionWorldCenter();
+  if (center && subTransform.mode === 'translate') startMeasurement(center);
+});
+
+subTransform.addEventListener('objectChange', () => {
+  if (!subDragStarted || !selectedObject) return;
+
+  // Rotar/escalar: la selección sigue al pivote desde el inicio del arrastre, pasado al
+  // espacio local del objeto (M⁻¹ · pivote · inicio⁻¹ · M)
+  if (subTransform.mode !== 'translate') {
+    selectedObject.updateWorldMatrix(true, false);
+    const world = selectedObject.matrixWorld;
+    const local = world.clone().invert()
+      .multiply(new THREE.Matrix4().compose(subPivot.position, subPivot.quaternion, subPivot.scale))
+      .multiply(subDragStart.clone().invert())
+      .multiply(world);
+    SUB.applySelectionLocalTransform(selectedObject, local);
+    return;
+  }
+  
+  // Calcular delta de movimiento
+  const currentCenter = SUB.getSelectionWorldCenter();
+  if (!currentCenter) return;
+
+  const snapPoint = elementSnapPoint();
+  if (snapPoint) subPivot.position.copy(snapPoint);
+  
+  // Aplicar movimiento a los subcomponentes seleccionados
+  const worldDelta = new THREE.Vector3().subVectors(
+    subPivot.position,
+    currentCenter
+  );
+  
+  subDragDistance = SUB.applySelectionWorldDelta(selectedObject, worldDelta);
+  
+  // Actualizar posición del gizmo al nuevo centro
+  const newCenter = SUB.getSelectionWorldCenter();
+  if (newCenter) {
+    subPivot.position.copy(newCenter);
+    updateMeasurement(newCenter);
+  }
+  
+  updateCameraHelper(subDragDistance);
+});
+
+subTransform.addEventListener('mouseUp', () => {
+  if (subDragStarted && selectedObject) {
+    const action = SUB.commitSelectionDeltaAsAction(selectedObject.userData.id);
+    if (action) {
+      action.droppedParams = releaseParams(selectedObject);
+      addToHistory(action);
+    }
+    
+    SUB.setBaselineFromCurrent();
+    if (subTransform.mode !== 'translate') attachSubGizmo();
+    checkAndShowWeldPanel();
+  }
+  subDragStarted = false;
+  endElementSnap();
+  endMeasurement();
+  endCameraHelper();
+});
+
+/* ===== WELD PANEL ===== */
+// Fusión de vértices. Al soltar la selección cerca de otro vértice el panel se abre en
+// modo 'target'; con el botón Fusionar se abre a mano con el último modo usado. El
+// destino se previsualiza con puntos verdes y la distancia sirve para detectar y para
+// fusionar por distancia
+const WELD_MODES = ['target', 'first', 'last', 'center', 'cursor', 'distance'];
+const WELD_STORAGE_KEY = 'mr-studio.weld';
+
+const weldSettings = loadWeldSettings();
+let weldMode = weldSettings.mode;
+
+const weldPreview = new THREE.Points(
+  new THREE.BufferGeometry(),
+  new THREE.PointsMaterial({ color: 0x00b894, size: 12, sizeAttenuation: false, depthTest: false })
+);
+weldPreview.renderOrder = 999;
+weldPreview.visible = false;
+scene.add(weldPreview);
+
+function loadWeldSettings() {
+  const settings = { mode: 'center', threshold: 0.1 };
+  try {
+    const saved = JSON.parse(localStorage.getItem(WELD_STORAGE_KEY) || '{}');
+    if (WELD_MODES.includes(saved.mode) && saved.mode !== 'target') settings.mode = saved.mode;
+    if (Number.isFinite(saved.threshold) && saved.threshold > 0) settings.threshold = saved.threshold;
+  } catch (err) {
+    // localStorage no disponible (modo privado): usar los valores por defecto
+  }
+  return settings;
+}
+
+function saveWeldSettings() {
+  try {
+    localStorage.setItem(WELD_STORAGE_KEY, JSON.stringify(weldSettings));
+  } catch (err) {
+    // sin persistencia, el cambio vale para esta sesión
+  }
+}
+
+function weldOptions() {
+  return { threshold: weldSettings.threshold, cursor: cursor3D.position };
+}
+
+function checkAndShowWeldPanel() {
+  if (!selectedObject) return;
+  
+  const weldInfo = SUB.checkWeld(selectedObject, { threshold: weldSettings.threshold });
+  
+  if (weldInfo) {
+    SUB.setWeldPending(weldInfo);
+    openWeldPanel('target');
+  } else {
+    closeWeldPanel();
+  }
+}
+
+function openWeldPanel(mode) {
+  if (!selectedObject) return;
+  weldMode = mode;
+  document.getElementById('weld-threshold').value = formatValue(weldSettings.threshold);
+  document.getElementById('weld-threshold').classList.remove('invalid');
+  renderWeldPanel();
+  document.getElementById('weld-panel').classList.add('visible');
+}
+
+function closeWeldPanel() {
+  document.getElementById('weld-panel').classList.remove('visible');
+  weldPreview.visible = false;
+  SUB.clearWeldPending();
+}
+
+function renderWeldPanel() {
+  const pending = !!SUB.getWeldPending();
+  if (weldMode === 'target' && !pending) weldMode = weldSettings.mode;
+  document.getElementById('weld-title').textContent = pending ? '🔗 Fusión Detectada' : '🔗 Fusionar vértices';
+  document.querySelectorAll('[data-weld-mode]').forEach(b => {
+    b.classList.toggle('active', b.dataset.weldMode === weldMode);
+    b.style.display = b.dataset.weldMode === 'target' && !pending ? 'none' : '';
+  });
+
+  const preview = SUB.mergePreview(selectedObject, weldMode, weldOptions());
+  weldPreview.geometry.dispose();
+  weldPreview.geometry = new THREE.BufferGeometry().setFromPoints(preview.targets);
+  weldPreview.visible = preview.targets.length > 0;
+  document.getElementById('weld-info').textContent = preview.removed
+    ? `${preview.removed} vértice${preview.removed === 1 ? '' : 's'} menos`
+    : 'Nada que fusionar';
+}
+
+document.querySelectorAll('[data-weld-mode]').forEach(btn => {
+  btn.onclick = () => {
+    weldMode = btn.dataset.weldMode;
+    if (weldMode !== 'target') {
+      weldSettings.mode = weldMode;
+      saveWeldSettings();
+    }
+    renderWeldPanel();
+  };
+});
+
+document.getElementById('weld-threshold').onchange = (e) => {
+  try {
+    const value = applyNumericInput(e.target.value, weldSettings.threshold, { kind: 'length' });
+    if (!(value > 0)) throw new Error('La distancia debe ser mayor que 0');
+    weldSettings.threshold = value;
+    saveWeldSettings();
+    e.target.classList.remove('invalid');
+  } catch (err) {
+    e.target.classList.add('invalid');
+    e.target.title = err.message;
+  }
+  renderWeldPanel();
+};
+
+document.getElementById('btn-weld-yes').onclick = () => {
+  const obj = selectedObject;
+  if (!obj) {
+    closeWeldPanel();
+    return;
+  }
+
+  const before = snapshotGeometry(obj.geometry);
+  const merged = SUB.mergeSelection(obj, weldMode, weldOptions());
+  closeWeldPanel();
+  if (!merged) {
+    showToast('Nada que fusionar', true);
+    return;
+  }
+
+  addToHistory({
+    type: 'weld',
+    id: obj.userData.id,
+    before,
+    after: snapshotGeometry(obj.geometry),
+    droppedParams: releaseParams(obj)
+  });
+  HISTORY.seal();
+  attachSubGizmo();
+  updateEditValuesButton();
+};
+
+document.getElementById('btn-weld-no').onclick = closeWeldPanel;
+
+document.getElementById('sub-merge').onclick = () => {
+  if (!isEditMode || !selectedObject) return;
+  openWeldPanel(weldSettings.mode);
+};
+
+/* ===== UI EVENTS ===== */
+// Theme
+function setTheme(theme) {
+  currentTheme = theme === 'light' ? 'light' : 'dark';
+  const light = currentTheme === 'light';
+  document.body.classList.toggle('light-mode', light);
+  document.querySelectorAll('.theme-option').forEach(el => el.classList.remove('active'));
+  document.getElementById(light ? 'theme-light' : 'theme-dark').classList.add('active');
+  scene.background.setHex(light ? 0xf2f2f7 : 0x1a1a1a);
+  gridHelper.material.color.setHex(light ? 0xd1d1d6 : CFG.gridColor);
+  AUTOSAVE.markDirty();
+}
+
+document.getElementById('theme-light').onclick = () => setTheme('light');
+document.getElementById('theme-dark').onclick = () => setTheme('dark');
+
+// Start button
+document.getElementById('btn-start').onclick = async () => {
+  // Empezar de cero no debe perder la sesión recuperable: se archiva como snapshot
+  if (pendingRecovery) {
+    const when = new Date(pendingRecovery.savedAt).toLocaleString('es');
+    try {
+      await AUTOSAVE.saveSnapshot(`Sesión anterior (${when})`, pendingRecovery.doc);
+    } catch (err) {
+      console.warn('No se pudo archivar la sesión anterior:', err);
+    }
+    pendingRecovery = null;
+  }
+  hideOverlay();
+  spawnPrimitive('box');
+};
+
+function hideOverlay() {
+  document.getElementById('overlay').style.display = 'none';
+  document.getElementById('snapshots-panel').classList.remove('visible');
+  AUTOSAVE.start();
+}
+
+// Spawn buttons
+document.querySelectorAll('[data-spawn]').forEach(btn => {
+  btn.onclick = () => spawnPrimitive(btn.dataset.spawn);
+});
+
+// Mode buttons
+document.querySelectorAll('[data-mode]').forEach(btn => {
+  btn.onclick = () => {
+    const mode = btn.dataset.mode;
+    
+    if (mode === 'select') {
+      if (selectedObject?.isInstancedMesh) {
+        showToast('El modo edición no admite instancias', true);
+        return;
+      }
+      // ENTRAR A MODO EDICIÓN
+      isEditMode = true;
+      currentMode = 'translate'; // Default en modo edición
+      
+      transform.detach();
+      subTransform.setMode('translate');
+      
+      document.querySelectorAll('[data-mode]').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      document.getElementById('subtoolbar').classList.add('visible');
+      document.getElementById('exit-manipulation').classList.add('visible');
+      
+      if (selectedObject) {
+        SUB.applySubVisibility(selectedObject);
       }
+      updateEditValuesButton();
+      applySpaces();
     } else {
       // CAMBIAR MODO DE TRANSFORMACIÓN (funciona en ambos modos)
       currentMode = mode;
@@ -529,181 +2412,1688 @@ document.querySelectorAll('[data-mode]').forEach(btn => {
       
       document.querySelectorAll('[data-mode]').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
+
+      if (axisDialog.target === 'object' &&
+          document.getElementById('axis-input-dialog').classList.contains('visible')) {
+        fillAxisDialog();
+      }
+    }
+  };
+});
+
+// Exit manipulation (SALIR DE MODO EDICIÓN)
+function exitEditMode() {
+  isEditMode = false;
+  
+  document.getElementById('subtoolbar').classList.remove('visible');
+  document.getElementById('exit-manipulation').classList.remove('visible');
+  
+  if (selectedObject) {
+    SUB.hideHelpers(selectedObject);
+    subTransform.detach();
+  }
+  
+  SUB.clearSelection();
+  closeTopoPanel();
+  attachObjectGizmo();
+  updateEditValuesButton();
+  applySpaces();
+  
+  // Volver a modo Move
+  document.querySelectorAll('[data-mode]').forEach(b => b.classList.remove('active'));
+  document.getElementById('btn-move').classList.add('active');
+}
+
+document.getElementById('exit-manipulation').onclick = exitEditMode;
+
+// Subtoolbar buttons
+document.getElementById('sub-verts').onclick = () => {
+  const flags = SUB.getFlags();
+  SUB.setFlags({ verts: !flags.verts });
+  document.getElementById('sub-verts').classList.toggle('active');
+  if (selectedObject) SUB.applySubVisibility(selectedObject);
+};
+
+document.getElementById('sub-edges').onclick = () => {
+  const flags = SUB.getFlags();
+  SUB.setFlags({ edges: !flags.edges });
+  document.getElementById('sub-edges').classList.toggle('active');
+  if (selectedObject) SUB.applySubVisibility(selectedObject);
+};
+
+document.getElementById('sub-faces').onclick = () => {
+  const flags = SUB.getFlags();
+  SUB.setFlags({ faces: !flags.faces });
+  document.getElementById('sub-faces').classList.toggle('active');
+  if (selectedObject) SUB.applySubVisibility(selectedObject);
+};
+
+document.getElementById('sub-explode').onclick = () => {
+  const flags = SUB.getFlags();
+  SUB.setFlags({ explode: !flags.explode });
+  document.getElementById('sub-explode').classList.toggle('active');
+  SUB.clearSelection();
+  if (selectedObject) SUB.applySubVisibility(selectedObject);
+};
+
+document.getElementById('sub-clear').onclick = () => {
+  SUB.clearSelection();
+  subTransform.detach();
+  if (selectedObject) SUB.applySubVisibility(selectedObject);
+  updateEditValuesButton();
+};
+
+/* ===== SELECTION TOOLS ===== */
+const SELECTION_TOOLS = {
+  'sub-loop': (obj) => SUB.selectLoop(obj),
+  'sub-ring': (obj) => SUB.selectRing(obj),
+  'sub-linked': (obj) => SUB.selectLinked(obj),
+  'sub-grow': (obj) => SUB.growSelection(obj),
+  'sub-shrink': (obj) => SUB.shrinkSelection(obj),
+  'sub-all': (obj) => SUB.selectAll(obj),
+  'sub-invert': (obj) => SUB.invertSelection(obj),
+  'sub-normal': (obj) => SUB.selectByNormal(obj, CFG.normalSelectAngle)
+};
+
+Object.entries(SELECTION_TOOLS).forEach(([id, tool]) => {
+  document.getElementById(id).onclick = () => {
+    if (!isEditMode || !selectedObject) return;
+    if (!tool(selectedObject)) return;
+    attachSubGizmo();
+    if (SUB.hasSelection()) checkAndShowWeldPanel();
+    updateEditValuesButton();
+  };
+});
+
+/* ===== TOPOLOGY TOOLS ===== */
+// Opciones de subdividir, corte en bucle y bisel (las recuerda el panel mientras dure la sesión)
+const topoOptions = { smooth: true, cuts: 1, slide: 0, width: 0.1, segments: 1 };
+
+// run(obj) aplica la herramienta sobre la selección; check() devuelve un aviso si no se
+// puede; free = funciona sin selección
+const TOPOLOGY_TOOLS = {
+  extrude: { run: obj => SUB.extrudeSelection(obj) },
+  inset: {
+    run: obj => SUB.insetSelection(obj),
+    check: () => (SUB.hasFaceSelection() ? null : 'Inset necesita caras seleccionadas')
+  },
+  subdivide: { free: true, run: obj => SUB.subdivideSelection(obj, { smooth: topoOptions.smooth }) },
+  loopcut: {
+    run: obj => SUB.loopCutSelection(obj, { cuts: topoOptions.cuts, slide: topoOptions.slide }),
+    failure: 'El corte necesita un borde entre quads'
+  },
+  bevel: { run: obj => SUB.bevelSelection(obj, { width: topoOptions.width, segments: topoOptions.segments }) },
+  delete: { run: obj => SUB.deleteSelection(obj) },
+  dissolve: { run: obj => SUB.dissolveSelection(obj), failure: 'Nada que disolver sin abrir huecos' }
+};
+
+// Los elementos nuevos quedan seleccionados con el gizmo encima
+function applyTopologyTool(op) {
+  const tool = TOPOLOGY_TOOLS[op];
+  if (!tool || !isEditMode || !selectedObject) return;
+  if (!tool.free && !SUB.hasSelection()) {
+    showToast('Selecciona vértices, bordes o caras', true);
+    return;
+  }
+  const warning = tool.check?.();
+  if (warning) {
+    showToast(warning, true);
+    return;
+  }
+
+  const obj = selectedObject;
+  const before = snapshotGeometry(obj.geometry);
+  if (!tool.run(obj)) {
+    showToast(tool.failure ?? 'No se pudo aplicar la operación', true);
+    return;
+  }
+
+  addToHistory({
+    type: 'topology',
+    id: obj.userData.id,
+    before,
+    after: snapshotGeometry(obj.geometry),
+    droppedParams: releaseParams(obj)
+  });
+  HISTORY.seal();
+
+  closeWeldPanel();
+  attachSubGizmo();
+  updateEditValuesButton();
+}
+
+document.getElementById('sub-extrude').onclick = () => applyTopologyTool('extrude');
+document.getElementById('sub-inset').onclick = () => applyTopologyTool('inset');
+document.getElementById('sub-delete').onclick = () => applyTopologyTool('delete');
+document.getElementById('sub-dissolve').onclick = () => applyTopologyTool('dissolve');
+
+// Panel de opciones de subdividir / corte / bisel
+const TOPO_PANEL_TITLES = { subdivide: '⊞ Subdividir', loopcut: '⫼ Corte en bucle', bevel: '◠ Bisel' };
+let topoPanelTool = null;
+
+// Bordes que añadiría el corte, en mundo
+const loopCutPreview = new THREE.LineSegments(
+  new THREE.BufferGeometry(),
+  new THREE.LineBasicMaterial({ color: 0xffcc00, depthTest: false })
+);
+loopCutPreview.renderOrder = 999;
+loopCutPreview.visible = false;
+scene.add(loopCutPreview);
+
+function renderLoopCutPreview() {
+  const obj = selectedObject;
+  const segments = topoPanelTool === 'loopcut' && obj ? SUB.loopCutPreview(obj, topoOptions) : [];
+  obj?.updateWorldMatrix(true, false);
+  loopCutPreview.geometry.dispose();
+  loopCutPreview.geometry = new THREE.BufferGeometry().setFromPoints(
+    segments.flat().map(p => p.applyMatrix4(obj.matrixWorld))
+  );
+  loopCutPreview.visible = segments.length > 0;
+}
+
+function renderTopoPanel() {
+  document.getElementById('topo-title').textContent = TOPO_PANEL_TITLES[topoPanelTool];
+  ['subdivide', 'loopcut', 'bevel'].forEach(op => {
+    document.getElementById(`topo-${op}`).style.display = op === topoPanelTool ? 'flex' : 'none';
+  });
+  const smooth = document.getElementById('topo-smooth');
+  smooth.textContent = topoOptions.smooth ? 'Sí' : 'No';
+  smooth.classList.toggle('active', topoOptions.smooth);
+  renderLoopCutPreview();
+}
+
+function openTopoPanel(op) {
+  if (!isEditMode || !selectedObject) return;
+  if (op !== 'subdivide' && !SUB.hasSelection()) {
+    showToast(op === 'loopcut' ? 'Selecciona un borde' : 'Selecciona bordes o vértices', true);
+    return;
+  }
+  topoPanelTool = op;
+  document.getElementById('topo-cuts').value = topoOptions.cuts;
+  document.getElementById('topo-slide').value = formatValue(topoOptions.slide);
+  document.getElementById('topo-width').value = formatValue(topoOptions.width);
+  document.getElementById('topo-segments').value = topoOptions.segments;
+  document.querySelectorAll('#topo-panel .invalid').forEach(el => el.classList.remove('invalid'));
+  renderTopoPanel();
+  document.getElementById('topo-panel').classList.add('visible');
+}
+
+function closeTopoPanel() {
+  topoPanelTool = null;
+  document.getElementById('topo-panel').classList.remove('visible');
+  loopCutPreview.visible = false;
+}
+
+// Lee los campos del panel a topoOptions; false si alguno no es válido
+function readTopoPanel() {
+  const cuts = Math.round(Number(document.getElementById('topo-cuts').value));
+  const segments = Math.round(Number(document.getElementById('topo-segments').value));
+  const slide = readPanelInput('topo-slide', topoOptions.slide, 'scale');
+  const width = readPanelInput('topo-width', topoOptions.width, 'length');
+  if (slide === null || width === null) return false;
+  if (!(width > 0)) {
+    document.getElementById('topo-width').classList.add('invalid');
+    return false;
+  }
+  Object.assign(topoOptions, {
+    cuts: Number.isFinite(cuts) ? THREE.MathUtils.clamp(cuts, 1, 32) : topoOptions.cuts,
+    segments: Number.isFinite(segments) ? THREE.MathUtils.clamp(segments, 1, 8) : topoOptions.segments,
+    slide: THREE.MathUtils.clamp(slide, -1, 1),
+    width
+  });
+  return true;
+}
+
+['sub-subdivide', 'sub-loopcut', 'sub-bevel'].forEach(id => {
+  document.getElementById(id).onclick = () => openTopoPanel(id.slice(4));
+});
+
+document.getElementById('topo-smooth').onclick = () => {
+  topoOptions.smooth = !topoOptions.smooth;
+  renderTopoPanel();
+};
+
+['topo-cuts', 'topo-slide'].forEach(id => {
+  document.getElementById(id).onchange = () => {
+    if (readTopoPanel()) renderLoopCutPreview();
+  };
+});
+
+document.getElementById('btn-topo-apply').onclick = () => {
+  if (!readTopoPanel()) return;
+  const op = topoPanelTool;
+  closeTopoPanel();
+  applyTopologyTool(op);
+};
+
+document.getElementById('btn-topo-close').onclick = closeTopoPanel;
+
+// Delete
+document.getElementById('btn-delete').onclick = deleteSelected;
+
+// Color (el mismo para toda la selección)
+document.getElementById('btn-color').onclick = () => {
+  if (!selectedObjects.size) return;
+  const randomColor = Math.floor(Math.random() * 0xffffff);
+  HISTORY.pushBatch([...selectedObjects].map(obj => {
+    const before = obj.material.color.getHex();
+    obj.material.color.setHex(randomColor);
+    return { type: 'color', id: obj.userData.id, before, after: randomColor };
+  }));
+  renderPropsPanel();
+};
+
+// Duplicate / clipboard
+document.getElementById('btn-duplicate').onclick = duplicateSelection;
+document.getElementById('btn-copy').onclick = copySelection;
+document.getElementById('btn-paste').onclick = pasteClipboard;
+
+// Array
+const arrayOptions = { mode: 'linear', count: 3, offset: [2, 0, 0], angle: 360, axis: 'y', instanced: false };
+
+function renderArrayPanel() {
+  document.querySelectorAll('[data-array-mode]').forEach(b => {
+    b.classList.toggle('active', b.dataset.arrayMode === arrayOptions.mode);
+  });
+  document.querySelectorAll('[data-array-axis]').forEach(b => {
+    b.classList.toggle('active', b.dataset.arrayAxis === arrayOptions.axis);
+  });
+  document.getElementById('array-linear').style.display = arrayOptions.mode === 'linear' ? 'flex' : 'none';
+  document.getElementById('array-radial').style.display = arrayOptions.mode === 'radial' ? 'flex' : 'none';
+  const instanced = document.getElementById('array-instanced');
+  instanced.textContent = arrayOptions.instanced ? 'Sí' : 'No';
+  instanced.classList.toggle('active', arrayOptions.instanced);
+}
+
+function openArrayPanel() {
+  if (!selectedObjects.size) {
+    showToast('Selecciona los objetos a repetir', true);
+    return;
+  }
+  document.getElementById('array-count').value = arrayOptions.count;
+  AXES.forEach((axis, i) => {
+    document.getElementById(`array-offset-${axis}`).value = formatValue(arrayOptions.offset[i]);
+  });
+  document.getElementById('array-angle').value = formatValue(arrayOptions.angle);
+  document.querySelectorAll('#array-panel .invalid').forEach(el => el.classList.remove('invalid'));
+  renderArrayPanel();
+  document.getElementById('array-panel').classList.add('visible');
+}
+
+function readPanelInput(id, current, kind) {
+  const input = document.getElementById(id);
+  try {
+    const value = applyNumericInput(input.value, current, { kind });
+    input.classList.remove('invalid');
+    return value;
+  } catch (err) {
+    input.classList.add('invalid');
+    input.title = err.message;
+    return null;
+  }
+}
+
+document.getElementById('btn-array').onclick = openArrayPanel;
+
+document.querySelectorAll('[data-array-mode]').forEach(btn => {
+  btn.onclick = () => {
+    arrayOptions.mode = btn.dataset.arrayMode;
+    renderArrayPanel();
+  };
+});
+
+document.querySelectorAll('[data-array-axis]').forEach(btn => {
+  btn.onclick = () => {
+    arrayOptions.axis = btn.dataset.arrayAxis;
+    renderArrayPanel();
+  };
+});
+
+document.getElementById('array-instanced').onclick = () => {
+  arrayOptions.instanced = !arrayOptions.instanced;
+  renderArrayPanel();
+};
+
+document.getElementById('btn-array-apply').onclick = () => {
+  const count = Math.round(Number(document.getElementById('array-count').value));
+  const offset = AXES.map((axis, i) => readPanelInput(`array-offset-${axis}`, arrayOptions.offset[i], 'length'));
+  const angle = readPanelInput('array-angle', arrayOptions.angle, 'angle');
+  if (offset.includes(null) || angle === null) return;
+  if (!Number.isFinite(count) || count < 2) {
+    showToast('El array necesita al menos 2 elementos', true);
+    return;
+  }
+
+  Object.assign(arrayOptions, { count: Math.min(count, 500), offset, angle });
+  document.getElementById('array-panel').classList.remove('visible');
+  applyArray(arrayOptions);
+};
+
+document.getElementById('btn-array-close').onclick = () => {
+  document.getElementById('array-panel').classList.remove('visible');
+};
+
+// Groups
+document.getElementById('btn-group').onclick = groupSelection;
+document.getElementById('btn-ungroup').onclick = ungroupSelection;
+document.getElementById('btn-group-enter').onclick = () => {
+  if (currentGroup) exitGroup();
+  else enterGroup();
+};
+
+// Undo/Redo
+document.getElementById('btn-undo').onclick = () => {
+  if (HISTORY.undo()) syncAfterHistory();
+};
+
+document.getElementById('btn-redo').onclick = () => {
+  if (HISTORY.redo()) syncAfterHistory();
+};
+
+// Camera presets
+document.querySelectorAll('[data-cam]').forEach(btn => {
+  btn.onclick = () => {
+    const cam = btn.dataset.cam;
+    
+    switch(cam) {
+      case 'fitall':
+        camera.position.set(5, 4, 7);
+        orbit.target.set(0, 0, 0);
+        break;
+      case 'focus':
+        if (selectedObject) {
+          const box = new THREE.Box3();
+          selectedObjects.forEach(obj => box.expandByObject(obj));
+          const center = box.getCenter(new THREE.Vector3());
+          const size = box.getSize(new THREE.Vector3());
+          const maxDim = Math.max(size.x, size.y, size.z);
+          const fov = camera.fov * (Math.PI / 180);
+          let cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2));
+          cameraZ *= 2;
+          camera.position.set(center.x, center.y, center.z + cameraZ);
+          orbit.target.copy(center);
+        }
+        break;
+      case 'iso':
+        camera.position.set(5, 4, 5);
+        orbit.target.set(0, 0, 0);
+        break;
+      case 'top':
+        camera.position.set(0, 10, 0);
+        orbit.target.set(0, 0, 0);
+        break;
+      case 'front':
+        camera.position.set(0, 0, 10);
+        orbit.target.set(0, 0, 0);
+        break;
+      case 'right':
+        camera.position.set(10, 0, 0);
+        orbit.target.set(0, 0, 0);
+        break;
     }
+    
+    orbit.update();
   };
 });
 
-// Exit manipulation (SALIR DE MODO EDICIÓN)
-document.getElementById('exit-manipulation').onclick = () => {
-  isEditMode = false;
-  
-  document.getElementById('subtoolbar').classList.remove('visible');
-  document.getElementById('exit-manipulation').classList.remove('visible');
-  
-  if (selectedObject) {
-    if (selectedObject.userData.sub) {
-      selectedObject.userData.sub.vertexPoints.visible = false;
-      selectedObject.userData.sub.edgeLines.visible = false;
-      selectedObject.userData.sub.faceWire.visible = false;
+// Render modes: solo cambian cómo se dibuja (ver RENDER_MODES), nunca los materiales
+function setRenderMode(mode) {
+  currentRenderMode = mode;
+  document.querySelectorAll('.render-opt').forEach(b => {
+    b.classList.toggle('active', b.dataset.render === mode);
+  });
+  AUTOSAVE.markDirty();
+}
+
+document.querySelectorAll('[data-render]').forEach(btn => {
+  btn.onclick = () => setRenderMode(btn.dataset.render);
+});
+
+/* ===== SCENE FILES ===== */
+const SCENE_IO = setupSceneIO({
+  camera,
+  orbit,
+  getObjects: () => objects,
+  getGroups: groupsByDepth,
+  snapshotObject,
+  snapshotGroup,
+  restoreObject,
+  restoreGroup,
+  clearScene,
+  getNextId: () => nextId,
+  setNextId: (id) => { nextId = id; },
+  getMaterials: MATERIALS.serializeLibrary,
+  restoreMaterials: MATERIALS.restoreLibrary,
+  getSettings: () => ({ theme: currentTheme, renderMode: currentRenderMode }),
+  applySettings: (settings) => {
+    if (settings.theme) setTheme(settings.theme);
+    if (settings.renderMode) setRenderMode(settings.renderMode);
+  }
+});
+
+// Padres antes que hijos, para poder recrearlos en orden
+function groupsByDepth() {
+  const depth = (node) => (node.parent?.userData.type === 'group' ? 1 + depth(node.parent) : 0);
+  return groups.slice().sort((a, b) => depth(a) - depth(b));
+}
+
+// Vacía la escena (al cargar un archivo). No es una acción deshacible.
+function clearScene() {
+  if (isEditMode) exitEditMode();
+  selectObject(null);
+  objects.slice().forEach(obj => removeObject(obj));
+  groups.slice().forEach(group => removeGroup(group));
+  currentGroup = null;
+  isolation = null;
+  updateGroupButtons();
+  HISTORY.clear();
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function timestampForFilename() {
+  return new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+}
+
+document.getElementById('btn-save').onclick = () => {
+  const doc = SCENE_IO.serializeScene();
+  const blob = new Blob([JSON.stringify(doc)], { type: 'application/json' });
+  downloadBlob(blob, `escena-${timestampForFilename()}.mrscene.json`);
+  showToast(`💾 Escena guardada (${doc.objects.length} objetos)`);
+};
+
+document.getElementById('btn-open').onclick = () => {
+  document.getElementById('file-open').click();
+};
+
+document.getElementById('file-open').onchange = async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  try {
+    const doc = SCENE_IO.loadScene(await file.text());
+    hideOverlay();
+    AUTOSAVE.markDirty();
+    showToast(`📂 ${file.name}: ${doc.objects.length} objetos`);
+  } catch (err) {
+    console.error('Error cargando escena:', err);
+    showToast(`No se pudo abrir: ${err.message}`, true);
+  }
+};
+
+/* ===== NUMERIC INPUT DIALOG ===== */
+const AXES = ['x', 'y', 'z'];
+
+const axisDialog = {
+  target: null,      // 'object' | 'sub'
+  relative: false    // solo para subcomponentes: offset en vez de posición absoluta
+};
+
+function updateEditValuesButton() {
+  const show = isEditMode ? !!selectedObject && SUB.hasSelection() : !!selectedObject;
+  document.getElementById('edit-values-btn').classList.toggle('visible', show);
+  if (!show) closeAxisDialog();
+}
+
+function formatValue(v) {
+  return String(Number(v.toFixed(4)));
+}
+
+function objectFieldKind() {
+  if (currentMode === 'rotate') return 'angle';
+  if (currentMode === 'scale') return 'scale';
+  return 'length';
+}
+
+function currentAxisValues() {
+  if (axisDialog.target === 'sub') {
+    if (axisDialog.relative) return [0, 0, 0];
+    return SUB.getSelectionWorldCenter()?.toArray() ?? [0, 0, 0];
+  }
+  const obj = selectedObject;
+  if (currentMode === 'rotate') {
+    return [obj.rotation.x, obj.rotation.y, obj.rotation.z].map(THREE.MathUtils.radToDeg);
+  }
+  if (currentMode === 'scale') return obj.scale.toArray();
+  return obj.position.toArray();
+}
+
+function fillAxisDialog() {
+  const isSub = axisDialog.target === 'sub';
+  let title = 'Posición Exacta';
+  if (isSub) title = axisDialog.relative ? 'Desplazar Selección' : 'Centro de Selección';
+  else if (currentMode === 'rotate') title = 'Rotación (grados)';
+  else if (currentMode === 'scale') title = 'Escala';
+
+  document.getElementById('axis-title').textContent = title;
+  document.getElementById('axis-subtitle').textContent = 'Ej: 1.5 · +0.5 · *2 · 20cm · 45deg';
+  document.getElementById('axis-space-row').style.display = isSub ? 'flex' : 'none';
+  document.getElementById('btn-axis-absolute').classList.toggle('active', !axisDialog.relative);
+  document.getElementById('btn-axis-relative').classList.toggle('active', axisDialog.relative);
+
+  const values = currentAxisValues();
+  AXES.forEach((axis, i) => {
+    const input = document.getElementById(`input-${axis}`);
+    input.value = formatValue(values[i]);
+    input.classList.remove('invalid');
+  });
+}
+
+function openAxisDialog() {
+  if (!selectedObject) return;
+  if (isEditMode && !SUB.hasSelection()) return;
+
+  axisDialog.target = isEditMode ? 'sub' : 'object';
+  fillAxisDialog();
+  document.getElementById('axis-input-dialog').classList.add('visible');
+}
+
+function closeAxisDialog() {
+  document.getElementById('axis-input-dialog').classList.remove('visible');
+}
+
+// Devuelve los tres valores nuevos o null si algún campo no es válido
+function readAxisInputs(current, kind) {
+  let ok = true;
+  const values = AXES.map((axis, i) => {
+    const input = document.getElementById(`input-${axis}`);
+    try {
+      const v = applyNumericInput(input.value, current[i], { kind });
+      input.classList.remove('invalid');
+      return v;
+    } catch (err) {
+      input.classList.add('invalid');
+      input.title = err.message;
+      ok = false;
+      return current[i];
+    }
+  });
+  return ok ? values : null;
+}
+
+function applyAxisDialogToObject() {
+  const obj = selectedObject;
+  const values = readAxisInputs(currentAxisValues(), objectFieldKind());
+  if (!values) return false;
+
+  const before = snapshotTransform(obj);
+  if (currentMode === 'rotate') {
+    obj.rotation.set(...values.map(THREE.MathUtils.degToRad));
+  } else if (currentMode === 'scale') {
+    obj.scale.fromArray(values);
+  } else {
+    obj.position.fromArray(values);
+  }
+  obj.updateMatrixWorld(true);
+
+  addToHistory({
+    type: 'transform',
+    id: obj.userData.id,
+    before,
+    after: snapshotTransform(obj)
+  });
+  HISTORY.seal();
+  attachObjectGizmo();
+  return true;
+}
+
+function applyAxisDialogToSelection() {
+  const obj = selectedObject;
+  const center = SUB.getSelectionWorldCenter();
+  if (!center) return false;
+
+  const values = readAxisInputs(currentAxisValues(), 'length');
+  if (!values) return false;
+
+  const delta = axisDialog.relative
+    ? new THREE.Vector3().fromArray(values)
+    : new THREE.Vector3().fromArray(values).sub(center);
+  if (delta.lengthSq() < 1e-12) return true;
+
+  SUB.applySelectionWorldDelta(obj, delta);
+  const action = SUB.commitSelectionDeltaAsAction(obj.userData.id);
+  if (action) {
+    action.droppedParams = releaseParams(obj);
+    addToHistory(action);
+    HISTORY.seal();
+  }
+  SUB.setBaselineFromCurrent();
+  attachSubGizmo();
+  checkAndShowWeldPanel();
+  return true;
+}
+
+document.getElementById('edit-values-btn').onclick = openAxisDialog;
+
+document.getElementById('btn-apply').onclick = () => {
+  if (!selectedObject) return closeAxisDialog();
+  const ok = axisDialog.target === 'sub' ? applyAxisDialogToSelection() : applyAxisDialogToObject();
+  if (ok) closeAxisDialog();
+};
+
+document.getElementById('btn-close').onclick = closeAxisDialog;
+
+document.getElementById('btn-axis-absolute').onclick = () => {
+  axisDialog.relative = false;
+  fillAxisDialog();
+};
+
+document.getElementById('btn-axis-relative').onclick = () => {
+  axisDialog.relative = true;
+  fillAxisDialog();
+};
+
+AXES.forEach(axis => {
+  document.getElementById(`input-${axis}`).addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') document.getElementById('btn-apply').click();
+    if (e.key === 'Escape') closeAxisDialog();
+  });
+});
+
+/* ===== MODIFIER STACK ===== */
+// La pila (userData.modifiers) se evalúa sobre la jaula, que sigue siendo obj.geometry y
+// es lo que editan las herramientas, y el resultado se dibuja en un hijo ModifierResult
+// que comparte el material. animate() lo reevalúa cuando cambia la jaula o la pila: en
+// cada cambio si la última evaluación fue rápida; si no, cuando termina el arrastre de
+// subcomponentes y la jaula y la pila llevan MODIFIER_SETTLE_MS sin cambiar
+const MODIFIER_LIVE_MS = 16;
+const MODIFIER_SETTLE_MS = 250;
+let modifierEditStart = null; // pila antes de la interacción en curso (slider, campo)
+
+function modifiersOf(obj) {
+  return (obj.userData.modifiers ?? []).map(m => ({ ...m, params: { ...m.params } }));
+}
+
+function modifierResultOf(obj) {
+  return obj.children.find(c => c.userData.modifierResult) ?? null;
+}
+
+function setModifiers(obj, stack) {
+  const list = obj.isInstancedMesh ? [] : MODIFIERS.normalizeStack(stack);
+  if (list.length) obj.userData.modifiers = list;
+  else delete obj.userData.modifiers;
+  obj.userData.modifierRevision = (obj.userData.modifierRevision ?? 0) + 1;
+
+  const active = MODIFIERS.hasActive(list);
+  let result = modifierResultOf(obj);
+  if (active && !result) {
+    result = new THREE.Mesh(new THREE.BufferGeometry(), obj.material);
+    result.name = 'ModifierResult';
+    result.userData.modifierResult = true;
+    obj.add(result);
+  } else if (!active && result) {
+    result.removeFromParent();
+    result.geometry.dispose();
+  }
+  // La jaula deja de dibujarse; solo el modo edición la raycastea (habilitando CAGE_LAYER)
+  obj.layers.set(active ? CAGE_LAYER : 0);
+}
+
+// force: evalúa ya lo pendiente (exportar, booleanas)
+function updateModifierResults({ force = false } = {}) {
+  const now = performance.now();
+  for (const obj of objects) {
+    const result = obj.userData.modifiers && modifierResultOf(obj);
+    if (!result) continue;
+    result.material = obj.material;
+    const state = result.userData;
+    const key = `${obj.geometry.uuid}:${obj.geometry.attributes.position.version}:${obj.userData.modifierRevision}`;
+    if (state.key === key) continue;
+    if (state.pendingKey !== key) {
+      state.pendingKey = key;
+      state.changedAt = now;
+    }
+    const cheap = (state.cost ?? 0) < MODIFIER_LIVE_MS;
+    if (!force && !cheap && (subDragStarted || now - state.changedAt < MODIFIER_SETTLE_MS)) continue;
+    state.key = key;
+
+    // toBufferGeometry reescribe los mapas de buffer de la malla: nunca sobre la jaula
+    const cage = HE.getTopology(obj.geometry);
+    const start = performance.now();
+    let evaluated = cage;
+    try {
+      evaluated = MODIFIERS.evaluate(cage, obj.userData.modifiers);
+    } catch (err) {
+      // Se queda el último resultado bueno (o la jaula, si aún no hay ninguno)
+      showToast(err.message, true);
+      if (result.geometry.attributes.position) continue;
+    }
+    const old = result.geometry;
+    result.geometry = HE.toBufferGeometry(evaluated === cage ? HE.cloneMesh(cage) : evaluated);
+    old.dispose();
+    state.cost = performance.now() - start;
+  }
+}
+
+// Geometría que se ve (y se exporta): el resultado de la pila o la propia jaula
+function displayGeometry(obj) {
+  updateModifierResults({ force: true });
+  return modifierResultOf(obj)?.geometry ?? obj.geometry;
+}
+
+function changeModifiers(obj, mutate) {
+  const before = modifiersOf(obj);
+  const after = modifiersOf(obj);
+  mutate(after);
+  setModifiers(obj, after);
+  addToHistory({ type: 'modifiers', id: obj.userData.id, before, after: modifiersOf(obj) });
+  HISTORY.seal();
+  renderPropsPanel();
+}
+
+function editModifierParam(obj, index, key, value) {
+  if (!modifierEditStart) modifierEditStart = modifiersOf(obj);
+  const stack = modifiersOf(obj);
+  stack[index].params[key] = value;
+  setModifiers(obj, stack);
+}
+
+function commitModifierEdit(obj) {
+  if (!modifierEditStart) return;
+  const before = modifierEditStart;
+  modifierEditStart = null;
+
+  const after = modifiersOf(obj);
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+  addToHistory({ type: 'modifiers', id: obj.userData.id, before, after });
+}
+
+// Hornea en la jaula los modificadores activos de `indices` (en el orden de la pila) y
+// los quita de ella. Tienen que ser los primeros activos: uno de más abajo, horneado
+// sobre la jaula sin los de encima, no daría lo que muestra la vista previa
+function applyModifiers(obj, indices) {
+  const before = modifiersOf(obj);
+  const chosen = before.filter((m, i) => indices.includes(i) && m.enabled);
+  if (!chosen.length) return;
+  const active = before.filter(m => m.enabled);
+  if (chosen.some((m, k) => m !== active[k])) {
+    showToast('Solo se puede aplicar el primer modificador activo de la pila', true);
+    return;
+  }
+
+  const cage = HE.getTopology(obj.geometry);
+  let baked;
+  try {
+    baked = MODIFIERS.evaluate(cage, chosen);
+  } catch (err) {
+    showToast(err.message, true);
+    return;
+  }
+  const actions = [];
+  if (baked !== cage) {
+    const geometryBefore = snapshotGeometry(obj.geometry);
+    if (obj === selectedObject && isEditMode) {
+      SUB.clearSelection();
+      subTransform.detach();
+    }
+    const old = obj.geometry;
+    obj.geometry = HE.toBufferGeometry(baked);
+    old.dispose();
+    SUB.refreshObject(obj);
+    actions.push({
+      type: 'topology',
+      id: obj.userData.id,
+      before: geometryBefore,
+      after: snapshotGeometry(obj.geometry),
+      droppedParams: releaseParams(obj)
+    });
+  }
+
+  setModifiers(obj, before.filter(m => !chosen.includes(m)));
+  actions.push({ type: 'modifiers', id: obj.userData.id, before, after: modifiersOf(obj) });
+  HISTORY.pushBatch(actions);
+  HISTORY.seal();
+  renderPropsPanel();
+  showToast(chosen.length > 1 ? 'Modificadores aplicados' : `${MODIFIERS.labelOf(chosen[0].type)} aplicado`);
+}
+
+function toolButton(text, title, onclick, { active = false, disabled = false } = {}) {
+  const btn = document.createElement('button');
+  btn.className = 'sub-btn' + (active ? ' active' : '');
+  btn.textContent = text;
+  btn.title = title;
+  btn.disabled = disabled;
+  btn.onclick = onclick;
+  return btn;
+}
+
+function renderModifierSection(body, obj) {
+  const header = document.createElement('div');
+  header.className = 'props-section';
+  header.textContent = 'Modificadores';
+  body.appendChild(header);
+
+  const stack = modifiersOf(obj);
+  const firstActive = stack.findIndex(m => m.enabled);
+  stack.forEach((mod, index) => {
+    const row = document.createElement('div');
+    row.className = 'prop-row modifier-row' + (mod.enabled ? '' : ' disabled');
+
+    const label = document.createElement('label');
+    label.className = 'prop-label';
+    label.textContent = MODIFIERS.labelOf(mod.type);
+    row.append(
+      label,
+      toolButton(mod.enabled ? '●' : '○', mod.enabled ? 'Desactivar' : 'Activar', () => changeModifiers(obj, list => {
+        list[index].enabled = !list[index].enabled;
+      }), { active: mod.enabled }),
+      toolButton('↑', 'Subir', () => changeModifiers(obj, list => {
+        list.splice(index - 1, 0, list.splice(index, 1)[0]);
+      }), { disabled: index === 0 }),
+      toolButton('↓', 'Bajar', () => changeModifiers(obj, list => {
+        list.splice(index + 1, 0, list.splice(index, 1)[0]);
+      }), { disabled: index === stack.length - 1 }),
+      toolButton('✓', index === firstActive ? 'Aplicar' : 'Solo se aplica el primer modificador activo',
+        () => applyModifiers(obj, [index]), { disabled: index !== firstActive }),
+      toolButton('✕', 'Quitar', () => changeModifiers(obj, list => { list.splice(index, 1); }))
+    );
+    body.appendChild(row);
+
+    for (const field of MODIFIERS.getSchema(mod.type)) {
+      body.appendChild(fieldRow(field, {
+        read: () => modifiersOf(obj)[index].params[field.key],
+        edit: (value) => editModifierParam(obj, index, field.key, value),
+        commit: () => commitModifierEdit(obj)
+      }));
+    }
+  });
+
+  const add = document.createElement('div');
+  add.className = 'prop-row modifier-add';
+  for (const type of MODIFIER_TYPES) {
+    add.appendChild(toolButton(`+ ${MODIFIERS.labelOf(type)}`, 'Añadir modificador', () => changeModifiers(obj, list => {
+      list.push(MODIFIERS.createModifier(type));
+    })));
+  }
+  body.appendChild(add);
+
+  if (MODIFIERS.hasActive(stack)) {
+    const all = document.createElement('div');
+    all.className = 'prop-row';
+    all.appendChild(toolButton('Aplicar todo', 'Hornear la pila en la malla', () => applyModifiers(obj, stack.map((_, i) => i))));
+    body.appendChild(all);
+  }
+}
+
+/* ===== PROPERTIES PANEL ===== */
+let propsEditStart = null; // parámetros antes de la interacción en curso (slider, campo)
+
+function applyParams(obj, params) {
+  const geometry = PRIMS.buildGeometry(obj.userData.type, params);
+  if (!geometry) return;
+
+  const old = obj.geometry;
+  obj.geometry = geometry;
+  old.dispose();
+  obj.userData.params = PRIMS.normalizeParams(obj.userData.type, params);
+
+  // Los índices de la selección de subcomponentes ya no son válidos
+  if (obj === selectedObject && isEditMode) {
+    SUB.clearSelection();
+    subTransform.detach();
+  }
+  SUB.refreshObject(obj);
+}
+
+// Al editar la malla a mano deja de ser paramétrica; devuelve los parámetros descartados
+function releaseParams(obj) {
+  if (!PRIMS.isParametric(obj)) return null;
+  const params = obj.userData.params;
+  delete obj.userData.params;
+  renderPropsPanel();
+  return params;
+}
+
+function editParam(obj, key, value) {
+  if (!propsEditStart) propsEditStart = { ...obj.userData.params };
+  applyParams(obj, { ...obj.userData.params, [key]: value });
+}
+
+function commitParamsEdit(obj) {
+  if (!propsEditStart) return;
+  const before = propsEditStart;
+  propsEditStart = null;
+
+  const after = { ...obj.userData.params };
+  if (Object.keys(after).every(k => after[k] === before[k])) return;
+  addToHistory({ type: 'params', id: obj.userData.id, before, after });
+}
+
+/* ===== MATERIAL EDITOR ===== */
+// Material del objeto activo en el panel de propiedades. Si está enlazado a la
+// biblioteca se edita el material compartido (cambia en todos los que lo usan)
+let materialEditStart = null; // props antes de la interacción en curso (slider, color)
+
+function editMaterialProp(obj, key, value) {
+  if (!materialEditStart) materialEditStart = MATERIALS.propsOf(obj.material);
+  MATERIALS.applyProps(obj.material, { [key]: value });
+}
+
+function commitMaterialEdit(obj) {
+  if (!materialEditStart) return;
+  const before = materialEditStart;
+  materialEditStart = null;
+
+  const after = MATERIALS.propsOf(obj.material);
+  if (Object.keys(after).every(k => after[k] === before[k])) return;
+  addToHistory({ type: 'material', id: obj.userData.id, before, after });
+}
+
+function materialLinkAction(obj, mutate) {
+  const before = { materialId: MATERIALS.linkedId(obj), props: MATERIALS.propsOf(obj.material) };
+  mutate();
+  const after = { materialId: MATERIALS.linkedId(obj), props: MATERIALS.propsOf(obj.material) };
+  return before.materialId === after.materialId ? null : { type: 'materialLink', id: obj.userData.id, before, after };
+}
+
+// materialId null: cada objeto pasa a tener una copia propia del que usaba
+function linkMaterial(targets, materialId) {
+  HISTORY.pushBatch(targets.map(obj => materialLinkAction(obj, () => {
+    MATERIALS.assignMaterial(obj, materialId, MATERIALS.propsOf(obj.material));
+  })));
+  renderPropsPanel();
+}
+
+function saveMaterialToLibrary(obj) {
+  const name = prompt('Nombre del material', `Material ${MATERIALS.libraryList().length + 1}`)?.trim();
+  if (!name) return;
+  const entry = MATERIALS.putEntry({ name, props: MATERIALS.propsOf(obj.material) });
+  HISTORY.pushBatch([
+    { type: 'materialLibrary', before: null, after: MATERIALS.snapshotEntry(entry.id) },
+    materialLinkAction(obj, () => MATERIALS.assignMaterial(obj, entry.id))
+  ]);
+  renderPropsPanel();
+  showToast(`🎨 ${name} guardado en la biblioteca`);
+}
+
+function renameLibraryMaterial(id) {
+  const before = MATERIALS.snapshotEntry(id);
+  const name = prompt('Nombre del material', before.name)?.trim();
+  if (!name || name === before.name) return;
+  MATERIALS.putEntry({ ...before, name });
+  addToHistory({ type: 'materialLibrary', before, after: MATERIALS.snapshotEntry(id) });
+  renderPropsPanel();
+}
+
+// Los objetos que lo usaban se quedan con una copia propia
+function deleteLibraryMaterial(id) {
+  const users = objects.filter(o => MATERIALS.linkedId(o) === id);
+  const actions = users.map(obj => materialLinkAction(obj, () => {
+    MATERIALS.assignMaterial(obj, null, MATERIALS.propsOf(obj.material));
+  }));
+  const before = MATERIALS.snapshotEntry(id);
+  MATERIALS.removeEntry(id);
+  actions.push({ type: 'materialLibrary', before, after: null });
+  HISTORY.pushBatch(actions);
+  renderPropsPanel();
+  showToast(`🎨 ${before.name} borrado de la biblioteca`);
+}
+
+function renderMaterialSection(body, obj) {
+  const header = document.createElement('div');
+  header.className = 'props-section';
+  header.textContent = 'Material';
+  body.appendChild(header);
+
+  // El enlace se aplica a toda la selección: así se comparte un material entre objetos
+  const linked = MATERIALS.linkedId(obj);
+  const row = document.createElement('div');
+  row.className = 'prop-row';
+  const label = document.createElement('label');
+  label.className = 'prop-label';
+  label.textContent = 'Biblioteca';
+  const select = document.createElement('select');
+  select.className = 'prop-input';
+  select.add(new Option('Propio', ''));
+  for (const entry of MATERIALS.libraryList()) select.add(new Option(entry.name, String(entry.id)));
+  select.value = linked === null ? '' : String(linked);
+  select.onchange = () => linkMaterial([...selectedObjects], select.value === '' ? null : Number(select.value));
+  row.append(label, select);
+  body.appendChild(row);
+
+  const actions = document.createElement('div');
+  actions.className = 'prop-row modifier-add';
+  actions.appendChild(toolButton('+ Guardar', 'Guardar en la biblioteca', () => saveMaterialToLibrary(obj)));
+  if (linked !== null) {
+    actions.append(
+      toolButton('✎ Renombrar', 'Renombrar el material de la biblioteca', () => renameLibraryMaterial(linked)),
+      toolButton('✕ Borrar', 'Borrar de la biblioteca', () => deleteLibraryMaterial(linked))
+    );
+  }
+  body.appendChild(actions);
+
+  const props = () => MATERIALS.propsOf(obj.material);
+  for (const field of MATERIAL_FIELDS) {
+    body.appendChild(fieldRow(field, {
+      read: () => props()[field.key],
+      edit: (value) => editMaterialProp(obj, field.key, value),
+      commit: () => commitMaterialEdit(obj)
+    }));
+  }
+}
+
+function formatParam(field, value) {
+  if (field.kind === 'angle') return `${value}°`;
+  if (field.kind === 'factor') return value.toFixed(2);
+  return String(value);
+}
+
+function renderPropsPanel() {
+  const panel = document.getElementById('props-panel');
+  if (!panel.classList.contains('visible')) return;
+
+  const body = document.getElementById('props-body');
+  const title = document.getElementById('props-title');
+  body.innerHTML = '';
+  propsEditStart = null;
+  modifierEditStart = null;
+  materialEditStart = null;
+
+  const obj = selectedObject;
+  if (!obj) {
+    title.textContent = 'Propiedades';
+    body.innerHTML = '<div class="props-empty">Selecciona un objeto</div>';
+    return;
+  }
+
+  title.textContent = displayName(obj);
+
+  if (!PRIMS.isParametric(obj)) {
+    body.innerHTML = '<div class="props-empty">Mesh editado: ya no tiene parámetros de construcción</div>';
+  } else {
+    for (const field of PRIMS.getSchema(obj.userData.type)) {
+      body.appendChild(fieldRow(field, {
+        read: () => obj.userData.params[field.key],
+        edit: (value) => editParam(obj, field.key, value),
+        commit: () => commitParamsEdit(obj)
+      }));
     }
-    subTransform.detach();
-    transform.attach(selectedObject);
-    transform.setMode(currentMode);
   }
-  
-  SUB.clearSelection();
-  
-  // Volver a modo Move
-  document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
-  document.getElementById('btn-move').classList.add('active');
-};
 
-// Subtoolbar buttons
-document.getElementById('sub-verts').onclick = () => {
-  const flags = SUB.getFlags();
-  SUB.setFlags({ verts: !flags.verts });
-  document.getElementById('sub-verts').classList.toggle('active');
-  if (selectedObject) SUB.applySubVisibility(selectedObject);
-};
+  renderMaterialSection(body, obj);
+  if (!obj.isInstancedMesh) renderModifierSection(body, obj);
+}
 
-document.getElementById('sub-edges').onclick = () => {
-  const flags = SUB.getFlags();
-  SUB.setFlags({ edges: !flags.edges });
-  document.getElementById('sub-edges').classList.toggle('active');
-  if (selectedObject) SUB.applySubVisibility(selectedObject);
+// Fila de un campo de esquema (primitivos y modificadores): read() da el valor actual,
+// edit() lo cambia en vivo y commit() cierra la interacción en el historial
+function fieldRow(field, { read, edit, commit }) {
+  const row = document.createElement('div');
+  row.className = 'prop-row';
+
+  const label = document.createElement('label');
+  label.className = 'prop-label';
+  label.textContent = field.label;
+  row.appendChild(label);
+
+  const value = read();
+
+  if (field.kind === 'bool') {
+    const toggle = document.createElement('button');
+    toggle.className = 'sub-btn' + (value ? ' active' : '');
+    toggle.textContent = value ? 'Sí' : 'No';
+    toggle.onclick = () => {
+      edit(!read());
+      commit();
+      renderPropsPanel();
+    };
+    row.appendChild(toggle);
+  } else if (field.kind === 'color') {
+    const picker = document.createElement('input');
+    picker.type = 'color';
+    picker.className = 'prop-color';
+    picker.value = `#${value.toString(16).padStart(6, '0')}`;
+    picker.oninput = () => edit(parseInt(picker.value.slice(1), 16));
+    picker.onchange = commit;
+    row.appendChild(picker);
+  } else if (field.kind === 'number') {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'prop-input';
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.step;
+    input.value = value;
+    input.oninput = () => {
+      if (input.value !== '' && Number.isFinite(Number(input.value))) edit(Number(input.value));
+    };
+    input.onchange = () => {
+      commit();
+      input.value = read();
+    };
+    row.appendChild(input);
+  } else {
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'prop-slider';
+    slider.min = field.min;
+    slider.max = field.max;
+    slider.step = field.step;
+    slider.value = value;
+
+    const readout = document.createElement('span');
+    readout.className = 'prop-value';
+    readout.textContent = formatParam(field, value);
+
+    slider.oninput = () => {
+      edit(Number(slider.value));
+      readout.textContent = formatParam(field, read());
+    };
+    slider.onchange = commit;
+    row.append(slider, readout);
+  }
+  return row;
+}
+
+document.getElementById('btn-props').onclick = () => {
+  const panel = document.getElementById('props-panel');
+  panel.classList.toggle('visible');
+  document.getElementById('btn-props').classList.toggle('active', panel.classList.contains('visible'));
+  renderPropsPanel();
 };
 
-document.getElementById('sub-faces').onclick = () => {
-  const flags = SUB.getFlags();
-  SUB.setFlags({ faces: !flags.faces });
-  document.getElementById('sub-faces').classList.toggle('active');
-  if (selectedObject) SUB.applySubVisibility(selectedObject);
+document.getElementById('btn-props-close').onclick = () => {
+  document.getElementById('props-panel').classList.remove('visible');
+  document.getElementById('btn-props').classList.remove('active');
 };
 
-document.getElementById('sub-explode').onclick = () => {
-  const flags = SUB.getFlags();
-  SUB.setFlags({ explode: !flags.explode });
-  document.getElementById('sub-explode').classList.toggle('active');
-  SUB.clearSelection();
-  if (selectedObject) SUB.applySubVisibility(selectedObject);
+/* ===== OUTLINER ===== */
+// Árbol de la escena: grupos y objetos con visibilidad, bloqueo (no se pueden tocar en
+// el viewport), renombrado y reparentado arrastrando el asa ⠿ sobre otra fila
+let isolation = null; // Map nodo -> visibilidad previa mientras "Aislar" está activo
+let outlinerFrame = 0;
+let outlinerDrag = null; // { node, pointerId, target }
+
+function isShown(node) {
+  for (let n = node; n && n !== scene; n = n.parent) if (!n.visible) return false;
+  return true;
+}
+
+function isLocked(node) {
+  for (let n = node; n && n !== scene; n = n.parent) if (n.userData.locked) return true;
+  return false;
+}
+
+function isPickable(obj) {
+  return isShown(obj) && !isLocked(obj);
+}
+
+// Lo que se guarda es la visibilidad elegida por el usuario, no la del aislamiento
+function savedVisibility(obj) {
+  return isolation?.has(obj) ? isolation.get(obj) : obj.visible;
+}
+
+// Sin nombre, los objetos vuelven a "tipo #id"; los grupos siempre tienen uno
+function renameNode(node, name) {
+  if (!node) return;
+  if (name) node.userData.name = name;
+  else if (node.userData.type === 'group') node.userData.name = `Grupo ${node.userData.id}`;
+  else delete node.userData.name;
+}
+
+function promptRename(node) {
+  const before = node.userData.name ?? null;
+  const input = prompt('Nombre', displayName(node));
+  if (input === null) return;
+  const after = input.trim() || null;
+  if (after === before) return;
+  renameNode(node, after);
+  addToHistory({ type: 'rename', id: node.userData.id, before, after });
+  renderPropsPanel();
+  renderOutliner();
+}
+
+function toggleVisible(node) {
+  if (isolation?.has(node)) isolation.set(node, !isolation.get(node));
+  else node.visible = !node.visible;
+  // Lo oculto deja de estar seleccionado
+  const rest = [...selectedObjects].filter(isShown);
+  if (rest.length !== selectedObjects.size) setObjectSelection(rest, rest.includes(selectedObject) ? selectedObject : undefined);
+  AUTOSAVE.markDirty();
+  renderOutliner();
+}
+
+function toggleLocked(node) {
+  if (node.userData.locked) delete node.userData.locked;
+  else node.userData.locked = true;
+  AUTOSAVE.markDirty();
+  renderOutliner();
+}
+
+function toggleIsolation() {
+  if (isolation) {
+    isolation.forEach((visible, obj) => { obj.visible = visible; });
+    isolation = null;
+  } else {
+    if (!selectedObjects.size) {
+      showToast('Selecciona lo que quieres aislar', true);
+      return;
+    }
+    isolation = new Map();
+    objects.filter(o => !selectedObjects.has(o)).forEach(obj => {
+      isolation.set(obj, obj.visible);
+      obj.visible = false;
+    });
+  }
+  document.getElementById('btn-outliner-isolate').classList.toggle('active', !!isolation);
+  renderOutliner();
+}
+
+// Seleccionar desde la lista abre el grupo que contiene al nodo, si hace falta
+function selectFromOutliner(node) {
+  currentGroup = node.parent?.userData.type === 'group' ? node.parent : null;
+  const meshes = meshesOf(node);
+  setObjectSelection(meshes, meshes.includes(selectedObject) ? selectedObject : meshes[0]);
+}
+
+// target: grupo (dentro), objeto (junto a él) o null (raíz de la escena)
+function reparentNode(node, target) {
+  let parent = target?.userData.type === 'group' ? target : target?.parent ?? scene;
+  if (parent !== scene && parent.userData.type !== 'group') parent = scene;
+  if (parent === node || isInside(parent, node) || node.parent === parent) return;
+
+  const before = placement(node);
+  parent.attach(node);
+  addToHistory({ type: 'reparent', id: node.userData.id, before, after: placement(node) });
+  setObjectSelection([...selectedObjects], selectedObject);
+}
+
+function refreshOutliner() {
+  if (outlinerFrame) return;
+  outlinerFrame = requestAnimationFrame(() => {
+    outlinerFrame = 0;
+    renderOutliner();
+  });
+}
+
+function outlinerRow(node, depth) {
+  const isGroup = node.userData.type === 'group';
+  const meshes = isGroup ? meshesOf(node) : [node];
+  const row = document.createElement('div');
+  row.className = 'outliner-row';
+  row.dataset.id = node.userData.id;
+  row.style.paddingLeft = `${8 + depth * 14}px`;
+  row.classList.toggle('selected', meshes.length > 0 && meshes.every(o => selectedObjects.has(o)));
+  row.classList.toggle('hidden', !isShown(node));
+
+  const handle = document.createElement('span');
+  handle.className = 'outliner-handle';
+  handle.textContent = '⠿';
+  handle.onpointerdown = (e) => startOutlinerDrag(e, node);
+
+  const name = document.createElement('span');
+  name.className = 'outliner-name';
+  name.textContent = `${isGroup ? '🗂️' : '📦'} ${displayName(node)}`;
+  name.onclick = () => selectFromOutliner(node);
+
+  const rename = document.createElement('button');
+  rename.className = 'outliner-btn';
+  rename.textContent = '✏️';
+  rename.onclick = () => promptRename(node);
+
+  const visible = isolation?.has(node) ? isolation.get(node) : node.visible;
+  const eye = document.createElement('button');
+  eye.className = 'outliner-btn';
+  eye.textContent = visible ? '👁️' : '🚫';
+  eye.onclick = () => toggleVisible(node);
+
+  const lock = document.createElement('button');
+  lock.className = 'outliner-btn';
+  lock.textContent = node.userData.locked ? '🔒' : '🔓';
+  lock.onclick = () => toggleLocked(node);
+
+  row.append(handle, name, rename, eye, lock);
+  return row;
+}
+
+function renderOutliner() {
+  const panel = document.getElementById('outliner-panel');
+  if (!panel.classList.contains('visible')) return;
+
+  const list = document.getElementById('outliner-list');
+  list.innerHTML = '';
+  const walk = (parent, depth) => {
+    parent.children.filter(n => n.userData.id != null).forEach(node => {
+      list.appendChild(outlinerRow(node, depth));
+      if (node.userData.type === 'group') walk(node, depth + 1);
+    });
+  };
+  walk(scene, 0);
+
+  if (!list.children.length) {
+    list.innerHTML = '<div class="props-empty">La escena está vacía</div>';
+  }
+}
+
+function outlinerTargetAt(x, y) {
+  const el = document.elementFromPoint(x, y);
+  if (el?.closest('#outliner-root')) return { row: el.closest('#outliner-root'), node: null };
+  const row = el?.closest('.outliner-row');
+  return row ? { row, node: findNodeById(Number(row.dataset.id)) } : null;
+}
+
+function startOutlinerDrag(event, node) {
+  event.preventDefault();
+  outlinerDrag = { node, pointerId: event.pointerId, target: null };
+  window.addEventListener('pointermove', onOutlinerDragMove);
+  window.addEventListener('pointerup', onOutlinerDragEnd);
+  window.addEventListener('pointercancel', onOutlinerDragEnd);
+}
+
+function onOutlinerDragMove(event) {
+  if (!outlinerDrag || event.pointerId !== outlinerDrag.pointerId) return;
+  outlinerDrag.target?.row.classList.remove('drop-target');
+  outlinerDrag.target = outlinerTargetAt(event.clientX, event.clientY);
+  outlinerDrag.target?.row.classList.add('drop-target');
+}
+
+function onOutlinerDragEnd(event) {
+  if (!outlinerDrag || event.pointerId !== outlinerDrag.pointerId) return;
+  window.removeEventListener('pointermove', onOutlinerDragMove);
+  window.removeEventListener('pointerup', onOutlinerDragEnd);
+  window.removeEventListener('pointercancel', onOutlinerDragEnd);
+
+  const { node, target } = outlinerDrag;
+  outlinerDrag = null;
+  target?.row.classList.remove('drop-target');
+  if (event.type === 'pointerup' && target && target.node !== node) reparentNode(node, target.node);
+  renderOutliner();
+}
+
+document.getElementById('btn-outliner').onclick = () => {
+  const panel = document.getElementById('outliner-panel');
+  panel.classList.toggle('visible');
+  document.getElementById('btn-outliner').classList.toggle('active', panel.classList.contains('visible'));
+  renderOutliner();
 };
 
-document.getElementById('sub-clear').onclick = () => {
-  SUB.clearSelection();
-  subTransform.detach();
-  if (selectedObject) SUB.applySubVisibility(selectedObject);
+document.getElementById('btn-outliner-close').onclick = () => {
+  document.getElementById('outliner-panel').classList.remove('visible');
+  document.getElementById('btn-outliner').classList.remove('active');
 };
 
-// Delete
-document.getElementById('btn-delete').onclick = deleteSelected;
+document.getElementById('btn-outliner-isolate').onclick = toggleIsolation;
 
-// Color
-document.getElementById('btn-color').onclick = () => {
-  if (!selectedObject) return;
-  const randomColor = Math.random() * 0xffffff;
-  selectedObject.material.color.setHex(randomColor);
-  addToHistory({
-    type: 'color',
-    id: selectedObject.userData.id,
-    color: randomColor
+/* ===== IMPORT OBJ/STL ===== */
+const IMPORTER = setupImporter();
+
+const IMPORT_FIT_SIZE = 4;
+
+// Con índice (OBJ) la malla de edición sale de los vértices del archivo; sin él (STL),
+// de los triángulos sueltos
+function meshFromImportedPart(part) {
+  let geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(part.positions, 3));
+  if (part.index) geometry.setIndex(new THREE.BufferAttribute(part.index, 1));
+  geometry.computeBoundingBox();
+
+  // Pivote en el centro de la pieza conservando su posición original
+  const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+  geometry.translate(-center.x, -center.y, -center.z);
+  if (part.index) {
+    const topology = HE.fromBufferGeometry(geometry);
+    geometry.dispose();
+    geometry = HE.toBufferGeometry(topology);
+  } else {
+    geometry.computeVertexNormals();
+    geometry.computeBoundingSphere();
+  }
+
+  const color = part.color
+    ? new THREE.Color().setRGB(part.color[0], part.color[1], part.color[2], THREE.SRGBColorSpace).getHex()
+    : CFG.objectColor;
+
+  const mesh = createMesh(geometry, { type: part.source, name: part.name, material: { color } });
+  mesh.position.copy(center);
+  return mesh;
+}
+
+function fitImportedMeshes(meshes) {
+  const box = new THREE.Box3();
+  meshes.forEach(m => {
+    m.updateMatrixWorld(true);
+    box.expandByObject(m);
   });
+  const maxDim = Math.max(...box.getSize(new THREE.Vector3()).toArray());
+  if (!(maxDim > 0)) return;
+
+  // Modelos en mm o en km: escalar el conjunto para que quepa en la rejilla
+  if (maxDim > 50 || maxDim < 0.05) {
+    const s = IMPORT_FIT_SIZE / maxDim;
+    meshes.forEach(m => {
+      m.position.multiplyScalar(s);
+      m.scale.setScalar(s);
+    });
+  }
+}
+
+document.getElementById('btn-import').onclick = () => {
+  document.getElementById('file-import').click();
 };
 
-// Undo/Redo
-document.getElementById('btn-undo').onclick = () => {
-  if (history.past.length === 0) return;
-  const action = history.past.pop();
-  history.future.push(action);
-  
-  if (action.type === 'subEdit') {
-    SUB.applySubEditInverse(action);
+document.getElementById('file-import').onchange = async (e) => {
+  const files = Array.from(e.target.files);
+  e.target.value = '';
+  if (files.length === 0) return;
+
+  showToast('📥 Importando…');
+  try {
+    const parts = await IMPORTER.importFiles(files);
+    if (parts.length === 0) throw new Error('El archivo no contiene triángulos');
+
+    const meshes = parts.map(meshFromImportedPart);
+    fitImportedMeshes(meshes);
+
+    const items = meshes.map(mesh => {
+      addObject(mesh);
+      return { index: objects.length - 1, snapshot: snapshotObject(mesh) };
+    });
+    addToHistory({ type: 'createMany', id: null, items });
+
+    if (isEditMode) exitEditMode();
+    selectObject(meshes[meshes.length - 1]);
+    showToast(`📥 ${meshes.length} objetos importados`);
+  } catch (err) {
+    console.error('Error importando:', err);
+    showToast(`No se pudo importar: ${err.message}`, true);
   }
-  
-  updateUndoRedoButtons();
 };
 
-document.getElementById('btn-redo').onclick = () => {
-  if (history.future.length === 0) return;
-  const action = history.future.pop();
-  history.past.push(action);
-  
-  if (action.type === 'subEdit') {
-    SUB.applySubEditForward(action);
+/* ===== GLTF EXPORT ===== */
+const GLTF = setupGltfExport({
+  THREE,
+  GLTFExporter,
+  mergeVertices,
+  getObjects: () => objects,
+  getGroups: groupsByDepth,
+  displayGeometry
+});
+
+async function exportGltf(binary) {
+  if (objects.length === 0) {
+    showToast('No hay objetos para exportar', true);
+    return;
   }
-  
-  updateUndoRedoButtons();
+  try {
+    const blob = await GLTF.exportBlob({ binary });
+    downloadBlob(blob, `escena-${timestampForFilename()}.${binary ? 'glb' : 'gltf'}`);
+    document.getElementById('export-panel').classList.remove('visible');
+    showToast(`📤 Exportados ${objects.length} objetos`);
+  } catch (err) {
+    console.error('Error exportando glTF:', err);
+    showToast(`No se pudo exportar: ${err.message}`, true);
+  }
+}
+
+document.getElementById('btn-export').onclick = () => {
+  document.getElementById('export-panel').classList.add('visible');
+};
+document.getElementById('btn-export-glb').onclick = () => exportGltf(true);
+document.getElementById('btn-export-gltf').onclick = () => exportGltf(false);
+document.getElementById('btn-export-close').onclick = () => {
+  document.getElementById('export-panel').classList.remove('visible');
 };
 
-// Camera presets
-document.querySelectorAll('[data-cam]').forEach(btn => {
-  btn.onclick = () => {
-    const cam = btn.dataset.cam;
-    
-    switch(cam) {
-      case 'fitall':
-        camera.position.set(5, 4, 7);
-        orbit.target.set(0, 0, 0);
-        break;
-      case 'focus':
-        if (selectedObject) {
-          const box = new THREE.Box3().setFromObject(selectedObject);
-          const center = box.getCenter(new THREE.Vector3());
-          const size = box.getSize(new THREE.Vector3());
-          const maxDim = Math.max(size.x, size.y, size.z);
-          const fov = camera.fov * (Math.PI / 180);
-          let cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2));
-          cameraZ *= 2;
-          camera.position.set(center.x, center.y, center.z + cameraZ);
-          orbit.target.copy(center);
-        }
-        break;
-      case 'iso':
-        camera.position.set(5, 4, 5);
-        orbit.target.set(0, 0, 0);
-        break;
-      case 'top':
-        camera.position.set(0, 10, 0);
-        orbit.target.set(0, 0, 0);
-        break;
-      case 'front':
-        camera.position.set(0, 0, 10);
-        orbit.target.set(0, 0, 0);
-        break;
-      case 'right':
-        camera.position.set(10, 0, 0);
-        orbit.target.set(0, 0, 0);
-        break;
-    }
-    
-    orbit.update();
-  };
+/* ===== AUTOSAVE & SNAPSHOTS ===== */
+const AUTOSAVE = setupAutosave({
+  serializeScene: () => SCENE_IO.serializeScene(),
+  onError: (err) => console.warn('Autoguardado falló:', err)
 });
 
-// Render modes
-document.querySelectorAll('[data-render]').forEach(btn => {
-  btn.onclick = () => {
-    document.querySelectorAll('.render-opt').forEach(b => b.classList.remove('active'));
-    btn.classList.add('active');
-    
-    const mode = btn.dataset.render;
-    objects.forEach(obj => {
-      switch(mode) {
-        case 'flat':
-          obj.material.roughness = 0.5;
-          obj.material.metalness = 0.1;
-          break;
-        case 'clay':
-          obj.material.roughness = 1.0;
-          obj.material.metalness = 0.0;
-          break;
-        case 'tech':
-          obj.material.roughness = 0.2;
-          obj.material.metalness = 0.8;
-          break;
+let pendingRecovery = null;
+
+function formatDate(ms) {
+  return new Date(ms).toLocaleString('es', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function confirmReplaceScene() {
+  return objects.length === 0 || confirm('¿Reemplazar la escena actual?');
+}
+
+async function checkRecovery() {
+  try {
+    const record = await AUTOSAVE.getRecovery();
+    if (!record || record.objectCount === 0) return;
+    pendingRecovery = record;
+    document.getElementById('recovery-info').textContent =
+      `${formatDate(record.savedAt)} • ${record.objectCount} objetos`;
+    document.getElementById('recovery-box').classList.add('visible');
+  } catch (err) {
+    console.warn('No se pudo leer el autoguardado:', err);
+  }
+}
+
+document.getElementById('btn-recover').onclick = () => {
+  if (!pendingRecovery) return;
+  try {
+    SCENE_IO.loadScene(pendingRecovery.doc);
+    pendingRecovery = null;
+    hideOverlay();
+    showToast('♻️ Sesión restaurada');
+  } catch (err) {
+    console.error('Error restaurando sesión:', err);
+    showToast(`No se pudo restaurar: ${err.message}`, true);
+  }
+};
+
+document.getElementById('btn-discard-recovery').onclick = async () => {
+  pendingRecovery = null;
+  document.getElementById('recovery-box').classList.remove('visible');
+  try {
+    await AUTOSAVE.discardRecovery();
+  } catch (err) {
+    console.warn('No se pudo descartar el autoguardado:', err);
+  }
+};
+
+async function renderSnapshotList() {
+  const list = document.getElementById('snapshot-list');
+  list.innerHTML = '';
+
+  let snapshots = [];
+  try {
+    snapshots = await AUTOSAVE.listSnapshots();
+  } catch (err) {
+    list.textContent = 'Almacenamiento local no disponible';
+    return;
+  }
+
+  if (snapshots.length === 0) {
+    list.innerHTML = '<div class="snapshot-empty">Sin snapshots guardados</div>';
+    return;
+  }
+
+  snapshots.forEach(snap => {
+    const row = document.createElement('div');
+    row.className = 'snapshot-row';
+
+    const info = document.createElement('div');
+    info.className = 'snapshot-info';
+    const name = document.createElement('div');
+    name.className = 'snapshot-name';
+    name.textContent = snap.name;
+    const meta = document.createElement('div');
+    meta.className = 'snapshot-meta';
+    meta.textContent = `${formatDate(snap.createdAt)} • ${snap.objectCount} objetos`;
+    info.append(name, meta);
+
+    const open = document.createElement('button');
+    open.className = 'sub-btn';
+    open.textContent = 'Abrir';
+    open.onclick = async () => {
+      if (!confirmReplaceScene()) return;
+      try {
+        SCENE_IO.loadScene(await AUTOSAVE.readSnapshot(snap.id));
+        pendingRecovery = null;
+        hideOverlay();
+        AUTOSAVE.markDirty();
+        showToast(`🕘 ${snap.name}`);
+      } catch (err) {
+        showToast(`No se pudo abrir: ${err.message}`, true);
       }
-    });
-  };
+    };
+
+    const del = document.createElement('button');
+    del.className = 'sub-btn';
+    del.textContent = '🗑️';
+    del.onclick = async () => {
+      try {
+        await AUTOSAVE.deleteSnapshot(snap.id);
+        renderSnapshotList();
+      } catch (err) {
+        showToast(`No se pudo borrar: ${err.message}`, true);
+      }
+    };
+
+    row.append(info, open, del);
+    list.appendChild(row);
+  });
+}
+
+function openSnapshotsPanel() {
+  const onOverlay = document.getElementById('overlay').style.display !== 'none';
+  document.getElementById('snapshot-save-row').style.display = onOverlay ? 'none' : 'flex';
+  document.getElementById('snapshot-name').value = '';
+  document.getElementById('snapshots-panel').classList.add('visible');
+  renderSnapshotList();
+}
+
+document.getElementById('btn-snapshots').onclick = openSnapshotsPanel;
+document.getElementById('btn-overlay-snapshots').onclick = openSnapshotsPanel;
+
+document.getElementById('btn-snapshots-close').onclick = () => {
+  document.getElementById('snapshots-panel').classList.remove('visible');
+};
+
+document.getElementById('btn-snapshot-save').onclick = async () => {
+  const input = document.getElementById('snapshot-name');
+  const name = input.value.trim() || `Snapshot ${formatDate(Date.now())}`;
+  try {
+    await AUTOSAVE.saveSnapshot(name);
+    input.value = '';
+    showToast(`🕘 Snapshot "${name}" guardado`);
+    renderSnapshotList();
+  } catch (err) {
+    showToast(`No se pudo guardar: ${err.message}`, true);
+  }
+};
+
+// En móvil el sistema puede matar la pestaña en cuanto pasa a segundo plano
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') AUTOSAVE.flush();
 });
+window.addEventListener('pagehide', () => AUTOSAVE.flush());
+
+checkRecovery();
 
 /* ===== EVENT LISTENERS ===== */
 renderer.domElement.addEventListener('pointerdown', onPointerDown);
@@ -718,7 +4108,12 @@ window.addEventListener('resize', () => {
 function animate() {
   requestAnimationFrame(animate);
   orbit.update();
+  updateProportionalRing();
+  updateModifierResults();
+  // Modo de vista y resaltado de la selección se dibujan con copias de los materiales
+  const swapped = MATERIALS.beginView(objects, { mode: currentRenderMode, highlighted: selectedObjects });
   renderer.render(scene, camera);
+  MATERIALS.endView(swapped);
 }
 
 animate();
@@ -0,0 +1,18 @@
+/**
+ * editor-csg-worker.js
+ * Web Worker (module) que calcula las operaciones booleanas fuera del hilo principal
+ */
+
+import { booleanMeshes } from './editor-csg.js';
+
+self.onmessage = (e) => {
+  const { jobId, operation, meshes } = e.data;
+  try {
+    const mesh = booleanMeshes(operation, meshes);
+    // Las posiciones van en un buffer transferible: los resultados pueden ser grandes
+    const positions = Float64Array.from(mesh.positions);
+    self.postMessage({ jobId, mesh: { ...mesh, positions } }, [positions.buffer]);
+  } catch (err) {
+    self.postMessage({ jobId, error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,615 @@
+/**
+ * editor-csg.js
+ * Operaciones booleanas (CSG) entre mallas cerradas con árboles BSP, sin dependencias
+ * de three para poder ejecutarlas tanto en el Web Worker como en el hilo principal.
+ *
+ * Las mallas de entrada y la de salida usan el formato plano de editor-halfedge.js:
+ *   { positions: [x, y, z, ...], faces: [[v0, v1, ...], ...], uvs: [[u0, v0, ...], ...] | null }
+ * todas en el mismo espacio (el hilo principal las pasa al local del primer operando).
+ *
+ * Operaciones (se encadenan con todos los operandos en orden):
+ *   'union'         todo lo que está dentro de alguno
+ *   'difference'    el primero menos todos los demás
+ *   'intersection'  solo lo que está dentro de todos
+ *
+ * El resultado suelda los vértices, cierra las juntas en T que dejan los cortes y funde
+ * en un solo polígono cada zona de caras coplanarias que tenga un único contorno. Si
+ * aun así no es una superficie válida (bordes con más de dos caras, medias aristas
+ * repetidas, o abierta con operandos cerrados) se lanza un error.
+ */
+
+export const CSG_OPERATIONS = ['union', 'difference', 'intersection'];
+
+const EPS = 1e-5;        // tolerancia de los planos, relativa al tamaño de la operación
+const WELD_FACTOR = 4;   // la soldadura de vértices usa EPS * WELD_FACTOR
+
+const COPLANAR = 0;
+const FRONT = 1;
+const BACK = 2;
+const SPANNING = 3;
+
+/* ===== VECTORS ===== */
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const lerp = (a, b, t) => a.map((x, i) => x + (b[i] - x) * t);
+
+// Normal por Newell (válida para n-gonos) y distancia al origen; null si no tiene área
+function planeOf(points) {
+  const n = [0, 0, 0];
+  for (let k = 0; k < points.length; k++) {
+    const p = points[k];
+    const q = points[(k + 1) % points.length];
+    n[0] += (p[1] - q[1]) * (p[2] + q[2]);
+    n[1] += (p[2] - q[2]) * (p[0] + q[0]);
+    n[2] += (p[0] - q[0]) * (p[1] + q[1]);
+  }
+  const len = Math.hypot(n[0], n[1], n[2]);
+  if (len < 1e-20) return null;
+  const normal = n.map(x => x / len);
+  return { normal, w: dot(normal, points[0]) };
+}
+
+/* ===== POLYGONS ===== */
+// Polígono convexo o no: { verts: [{ p, uv }], plane }
+function makePolygon(verts, plane = planeOf(verts.map(v => v.p))) {
+  return plane ? { verts, plane } : null;
+}
+
+function flipPolygon(poly) {
+  poly.verts.reverse();
+  poly.plane = { normal: poly.plane.normal.map(x => -x), w: -poly.plane.w };
+}
+
+// Reparte `poly` en las listas según el plano, cortándolo si lo cruza
+function splitPolygon(plane, poly, eps, coplanarFront, coplanarBack, front, back) {
+  let type = 0;
+  const types = poly.verts.map(v => {
+    const t = dot(plane.normal, v.p) - plane.w;
+    const side = t < -eps ? BACK : t > eps ? FRONT : COPLANAR;
+    type |= side;
+    return side;
+  });
+
+  switch (type) {
+    case COPLANAR:
+      (dot(plane.normal, poly.plane.normal) > 0 ? coplanarFront : coplanarBack).push(poly);
+      break;
+    case FRONT:
+      front.push(poly);
+      break;
+    case BACK:
+      back.push(poly);
+      break;
+    default: {
+      const f = [];
+      const b = [];
+      const n = poly.verts.length;
+      for (let i = 0; i < n; i++) {
+        const j = (i + 1) % n;
+        const ti = types[i];
+        const tj = types[j];
+        const vi = poly.verts[i];
+        const vj = poly.verts[j];
+        if (ti !== BACK) f.push(vi);
+        if (ti !== FRONT) b.push(vi);
+        if ((ti | tj) === SPANNING) {
+          const t = (plane.w - dot(plane.normal, vi.p)) / dot(plane.normal, sub(vj.p, vi.p));
+          const v = { p: lerp(vi.p, vj.p, t), uv: vi.uv && vj.uv ? lerp(vi.uv, vj.uv, t) : null };
+          f.push(v);
+          b.push(v);
+        }
+      }
+      if (f.length >= 3) front.push({ verts: f, plane: poly.plane });
+      if (b.length >= 3) back.push({ verts: b, plane: poly.plane });
+    }
+  }
+}
+
+/* ===== BSP ===== */
+// Nodo: { plane, front, back, polygons }. Todo es iterativo: un árbol degenerado
+// puede ser tan profundo como caras tenga la malla
+function createNode(polygons, eps) {
+  const node = { plane: null, front: null, back: null, polygons: [] };
+  build(node, polygons, eps);
+  return node;
+}
+
+function build(root, polygons, eps) {
+  const stack = [[root, polygons]];
+  while (stack.length) {
+    const [node, list] = stack.pop();
+    if (!list.length) continue;
+    if (!node.plane) node.plane = { normal: list[0].plane.normal.slice(), w: list[0].plane.w };
+    const front = [];
+    const back = [];
+    for (const poly of list) splitPolygon(node.plane, poly, eps, node.polygons, node.polygons, front, back);
+    if (front.length) stack.push([node.front ??= { plane: null, front: null, back: null, polygons: [] }, front]);
+    if (back.length) stack.push([node.back ??= { plane: null, front: null, back: null, polygons: [] }, back]);
+  }
+}
+
+function forEachNode(root, fn) {
+  const stack = [root];
+  while (stack.length) {
+    const node = stack.pop();
+    fn(node);
+    if (node.front) stack.push(node.front);
+    if (node.back) stack.push(node.back);
+  }
+}
+
+// Sólido ↔ hueco: se invierten las caras, los planos y los lados de cada nodo
+function invert(root) {
+  forEachNode(root, node => {
+    node.polygons.forEach(flipPolygon);
+    if (node.plane) node.plane = { normal: node.plane.normal.map(x => -x), w: -node.plane.w };
+    [node.front, node.back] = [node.back, node.front];
+  });
+}
+
+// Parte de `polygons` que queda fuera del sólido del árbol
+function clipPolygons(root, polygons, eps) {
+  const out = [];
+  const stack = [[root, polygons]];
+  while (stack.length) {
+    const [node, list] = stack.pop();
+    if (!node.plane) {
+      for (const poly of list) out.push(poly);
+      continue;
+    }
+    const front = [];
+    const back = [];
+    for (const poly of list) splitPolygon(node.plane, poly, eps, front, back, front, back);
+    if (node.front) stack.push([node.front, front]);
+    else for (const poly of front) out.push(poly);
+    if (node.back) stack.push([node.back, back]);
+  }
+  return out;
+}
+
+// Quita de `a` lo que queda dentro de `b`
+function clipTo(a, b, eps) {
+  forEachNode(a, node => { node.polygons = clipPolygons(b, node.polygons, eps); });
+}
+
+function allPolygons(root) {
+  const out = [];
+  forEachNode(root, node => node.polygons.forEach(poly => out.push(poly)));
+  return out;
+}
+
+function combine(operation, polysA, polysB, eps) {
+  const a = createNode(polysA, eps);
+  const b = createNode(polysB, eps);
+  switch (operation) {
+    case 'union':
+      clipTo(a, b, eps);
+      clipTo(b, a, eps);
+      invert(b);
+      clipTo(b, a, eps);
+      invert(b);
+      build(a, allPolygons(b), eps);
+      return allPolygons(a);
+    case 'difference':
+      invert(a);
+      clipTo(a, b, eps);
+      clipTo(b, a, eps);
+      invert(b);
+      clipTo(b, a, eps);
+      invert(b);
+      build(a, allPolygons(b), eps);
+      invert(a);
+      return allPolygons(a);
+    case 'intersection':
+      invert(a);
+      clipTo(b, a, eps);
+      invert(b);
+      clipTo(a, b, eps);
+      clipTo(b, a, eps);
+      build(a, allPolygons(b), eps);
+      invert(a);
+      return allPolygons(a);
+    default:
+      throw new Error(`Operación booleana desconocida: ${operation}`);
+  }
+}
+
+/* ===== INPUT ===== */
+// Triángulos (por orejas, en la proyección sobre el plano) de un polígono cóncavo o
+// alabeado; el corte del BSP solo es correcto con polígonos planos y convexos
+function earClip(verts, normal) {
+  const axis = normal.map(Math.abs).indexOf(Math.max(...normal.map(Math.abs)));
+  const [u, w] = [[1, 2], [2, 0], [0, 1]][axis];
+  const sign = normal[axis] < 0 ? -1 : 1;
+  const at = (v) => [v.p[u], v.p[w]];
+  const cross = (o, a, b) => ((a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0])) * sign;
+  const inside = (p, a, b, c) => cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+
+  const idx = verts.map((_, i) => i);
+  const tris = [];
+  let guard = idx.length * idx.length;
+  while (idx.length > 3 && guard-- > 0) {
+    let cut = false;
+    for (let i = 0; i < idx.length && !cut; i++) {
+      const [ia, ib, ic] = [idx[(i + idx.length - 1) % idx.length], idx[i], idx[(i + 1) % idx.length]];
+      const [a, b, c] = [at(verts[ia]), at(verts[ib]), at(verts[ic])];
+      if (cross(a, b, c) <= 0) continue;
+      if (idx.some(j => j !== ia && j !== ib && j !== ic && inside(at(verts[j]), a, b, c))) continue;
+      tris.push([verts[ia], verts[ib], verts[ic]]);
+      idx.splice(i, 1);
+      cut = true;
+    }
+    if (!cut) break;
+  }
+  // Si no quedan orejas (polígono degenerado), abanico con lo que falte
+  for (let k = 1; k < idx.length - 1; k++) tris.push([verts[idx[0]], verts[idx[k]], verts[idx[k + 1]]]);
+  return tris;
+}
+
+function isFlatConvex(verts, plane, eps) {
+  const n = verts.length;
+  for (let k = 0; k < n; k++) {
+    if (Math.abs(dot(plane.normal, verts[k].p) - plane.w) > eps) return false;
+    const e1 = sub(verts[(k + 1) % n].p, verts[k].p);
+    const e2 = sub(verts[(k + 2) % n].p, verts[(k + 1) % n].p);
+    const c = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+    if (dot(c, plane.normal) < -eps * eps) return false;
+  }
+  return true;
+}
+
+function polygonsOf(mesh, eps) {
+  const out = [];
+  mesh.faces.forEach((face, f) => {
+    const verts = face.map((v, k) => ({
+      p: [mesh.positions[v * 3], mesh.positions[v * 3 + 1], mesh.positions[v * 3 + 2]],
+      uv: mesh.uvs ? [mesh.uvs[f][k * 2], mesh.uvs[f][k * 2 + 1]] : [0, 0]
+    }));
+    const poly = makePolygon(verts);
+    if (!poly) return;
+    if (verts.length === 3 || isFlatConvex(verts, poly.plane, eps)) {
+      out.push(poly);
+      return;
+    }
+    for (const tri of earClip(verts, poly.plane.normal)) {
+      const piece = makePolygon(tri);
+      if (piece) out.push(piece);
+    }
+  });
+  return out;
+}
+
+// Diagonal de la caja de todas las mallas: escala de las tolerancias
+function extentOf(meshes) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const mesh of meshes) {
+    for (let i = 0; i < mesh.positions.length; i += 3) {
+      for (let c = 0; c < 3; c++) {
+        min[c] = Math.min(min[c], mesh.positions[i + c]);
+        max[c] = Math.max(max[c], mesh.positions[i + c]);
+      }
+    }
+  }
+  return Number.isFinite(min[0]) ? Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) : 1;
+}
+
+/* ===== CLEANUP ===== */
+// Rejilla de puntos para buscar vecinos a menos de `tol`
+function pointGrid(cell) {
+  const cells = new Map();
+  const key = (i, j, k) => `${i}_${j}_${k}`;
+  const index = (x) => Math.floor(x / cell);
+  return {
+    add(id, p) {
+      const k = key(index(p[0]), index(p[1]), index(p[2]));
+      if (!cells.has(k)) cells.set(k, []);
+      cells.get(k).push(id);
+    },
+    // Ids en las celdas que toca la caja [min, max]
+    forEachIn(min, max, fn) {
+      for (let i = index(min[0]); i <= index(max[0]); i++) {
+        for (let j = index(min[1]); j <= index(max[1]); j++) {
+          for (let k = index(min[2]); k <= index(max[2]); k++) {
+            const bucket = cells.get(key(i, j, k));
+            if (bucket) bucket.forEach(fn);
+          }
+        }
+      }
+    }
+  };
+}
+
+// Vértices únicos a partir de los polígonos: cada polígono pasa a ser una cara con ids
+function weldPolygons(polygons, tol) {
+  const points = [];
+  const grid = pointGrid(tol * 4);
+  const idOf = (p) => {
+    let found = -1;
+    grid.forEachIn(p.map(x => x - tol), p.map(x => x + tol), id => {
+      if (found < 0 && Math.hypot(...sub(points[id], p)) <= tol) found = id;
+    });
+    if (found >= 0) return found;
+    points.push(p);
+    grid.add(points.length - 1, p);
+    return points.length - 1;
+  };
+
+  const faces = [];
+  for (const poly of polygons) {
+    const verts = [];
+    const uvs = [];
+    for (const v of poly.verts) {
+      const id = idOf(v.p);
+      if (verts[verts.length - 1] === id) continue;
+      verts.push(id);
+      uvs.push(v.uv);
+    }
+    while (verts.length > 1 && verts[0] === verts[verts.length - 1]) {
+      verts.pop();
+      uvs.pop();
+    }
+    if (new Set(verts).size >= 3) faces.push({ verts, uvs, plane: poly.plane });
+  }
+  return { points, faces };
+}
+
+// Inserta en cada borde los vértices que quedan sobre él (juntas en T de los cortes),
+// sin moverlos. La lista de cada borde se calcula una vez para los dos sentidos: las
+// dos caras que lo comparten se parten igual
+function fixTJunctions(points, faces, tol) {
+  let cell = 0;
+  let edges = 0;
+  for (const face of faces) {
+    for (let k = 0; k < face.verts.length; k++) {
+      cell += Math.hypot(...sub(points[face.verts[(k + 1) % face.verts.length]], points[face.verts[k]]));
+      edges++;
+    }
+  }
+  const grid = pointGrid(Math.max(edges ? cell / edges : 1, tol * 4));
+  points.forEach((p, id) => grid.add(id, p));
+
+  // Vértices sobre el borde a-b (a < b), ordenados de a hacia b
+  const onEdge = new Map();
+  const contained = (a, b) => {
+    const key = `${a}_${b}`;
+    if (onEdge.has(key)) return onEdge.get(key);
+    const pa = points[a];
+    const pb = points[b];
+    const d = sub(pb, pa);
+    const len2 = dot(d, d);
+    const on = [];
+    if (len2 > tol * tol) {
+      const min = pa.map((x, c) => Math.min(x, pb[c]) - tol);
+      const max = pa.map((x, c) => Math.max(x, pb[c]) + tol);
+      grid.forEachIn(min, max, id => {
+        if (id === a || id === b) return;
+        const t = dot(sub(points[id], pa), d) / len2;
+        if (t <= 0 || t >= 1) return;
+        const off = sub(points[id], lerp(pa, pb, t));
+        if (dot(off, off) <= tol * tol) on.push({ id, t });
+      });
+      on.sort((x, y) => x.t - y.t);
+    }
+    onEdge.set(key, on);
+    return on;
+  };
+
+  for (const face of faces) {
+    const verts = [];
+    const uvs = [];
+    const n = face.verts.length;
+    for (let k = 0; k < n; k++) {
+      const a = face.verts[k];
+      const b = face.verts[(k + 1) % n];
+      verts.push(a);
+      uvs.push(face.uvs[k]);
+      const on = a < b ? contained(a, b) : contained(b, a).map(x => ({ id: x.id, t: 1 - x.t })).reverse();
+      for (const { id, t } of on) {
+        verts.push(id);
+        uvs.push(lerp(face.uvs[k], face.uvs[(k + 1) % n], t));
+      }
+    }
+    collapseSpikes(verts, uvs);
+    face.verts = verts;
+    face.uvs = uvs;
+  }
+  return faces.filter(face => new Set(face.verts).size >= 3);
+}
+
+// Quita las idas y vueltas x -> v -> x (y los vértices repetidos seguidos) que deja un
+// vértice insertado en dos bordes casi alineados: sus dos medias aristas se anulan y
+// las caras vecinas quedan cosidas entre sí
+function collapseSpikes(verts, uvs) {
+  for (let changed = true; changed && verts.length >= 3; ) {
+    changed = false;
+    const n = verts.length;
+    for (let k = 0; k < n; k++) {
+      const prev = verts[(k + n - 1) % n];
+      const next = verts[(k + 1) % n];
+      if (verts[k] !== next && prev !== next) continue;
+      // Repetido: se quita uno. Pico: se quitan el vértice y la vuelta
+      const drop = verts[k] === next ? [k] : [k, (k + 1) % n];
+      drop.sort((x, y) => y - x).forEach(i => {
+        verts.splice(i, 1);
+        uvs.splice(i, 1);
+      });
+      changed = true;
+      break;
+    }
+  }
+}
+
+// Funde cada zona conexa de caras coplanarias (mismo plano y sentido) con un único
+// contorno simple en un polígono; las que tienen agujeros se dejan en trozos
+function mergeCoplanar(faces, tol) {
+  const root = faces.map((_, i) => i);
+  const find = (i) => {
+    while (root[i] !== i) i = root[i] = root[root[i]];
+    return i;
+  };
+  const samePlane = (p, q) => dot(p.normal, q.normal) > 1 - 1e-6 && Math.abs(p.w - q.w) <= tol;
+
+  const byEdge = new Map();
+  faces.forEach((face, i) => {
+    face.verts.forEach((a, k) => {
+      const b = face.verts[(k + 1) % face.verts.length];
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      if (!byEdge.has(key)) byEdge.set(key, []);
+      byEdge.get(key).push(i);
+    });
+  });
+  byEdge.forEach(list => {
+    if (list.length !== 2) return;
+    const [i, j] = list;
+    if (!samePlane(faces[i].plane, faces[j].plane)) return;
+    const a = find(i);
+    const b = find(j);
+    if (a !== b) root[Math.max(a, b)] = Math.min(a, b);
+  });
+
+  const regions = new Map();
+  faces.forEach((_, i) => {
+    const r = find(i);
+    if (!regions.has(r)) regions.set(r, []);
+    regions.get(r).push(i);
+  });
+
+  const out = [];
+  regions.forEach(region => {
+    if (region.length === 1) {
+      out.push(faces[region[0]]);
+      return;
+    }
+    // Bordes dirigidos sin su opuesto dentro de la región = contorno
+    const directed = new Set();
+    region.forEach(i => faces[i].verts.forEach((a, k, vs) => directed.add(`${a}>${vs[(k + 1) % vs.length]}`)));
+    const next = new Map();
+    let simple = true;
+    region.forEach(i => {
+      const { verts, uvs } = faces[i];
+      verts.forEach((a, k) => {
+        const b = verts[(k + 1) % verts.length];
+        if (directed.has(`${b}>${a}`)) return;
+        if (next.has(a)) simple = false;
+        next.set(a, { b, uv: uvs[k] });
+      });
+    });
+
+    const start = next.keys().next().value;
+    const verts = [];
+    const uvs = [];
+    for (let v = start; simple && verts.length <= next.size; ) {
+      const step = next.get(v);
+      if (!step) { simple = false; break; }
+      verts.push(v);
+      uvs.push(step.uv);
+      v = step.b;
+      if (v === start) break;
+    }
+    if (simple && verts.length === next.size && verts.length >= 3) {
+      out.push({ verts, uvs, plane: faces[region[0]].plane });
+    } else {
+      region.forEach(i => out.push(faces[i]));
+    }
+  });
+  return out;
+}
+
+// Quita los vértices que solo unen dos bordes en línea recta (restos de los cortes)
+function dropCollinear(points, faces, tol) {
+  const neighbors = new Map();
+  faces.forEach(face => face.verts.forEach((v, k, vs) => {
+    if (!neighbors.has(v)) neighbors.set(v, new Set());
+    neighbors.get(v).add(vs[(k + 1) % vs.length]);
+    neighbors.get(v).add(vs[(k + vs.length - 1) % vs.length]);
+  }));
+  const removable = new Set();
+  neighbors.forEach((set, v) => {
+    if (set.size !== 2) return;
+    const [a, b] = [...set];
+    const d = sub(points[b], points[a]);
+    const len2 = dot(d, d);
+    if (len2 <= tol * tol) return;
+    const t = dot(sub(points[v], points[a]), d) / len2;
+    const off = sub(points[v], lerp(points[a], points[b], t));
+    if (t > 0 && t < 1 && dot(off, off) <= tol * tol) removable.add(v);
+  });
+  for (const face of faces) {
+    if (!face.verts.some(v => removable.has(v))) continue;
+    const keep = face.verts.map(v => !removable.has(v));
+    if (keep.filter(Boolean).length < 3) continue;
+    face.uvs = face.uvs.filter((_, k) => keep[k]);
+    face.verts = face.verts.filter((_, k) => keep[k]);
+  }
+}
+
+// Bordes con una sola cara, con más de dos y medias aristas repetidas (dos caras que
+// recorren un borde en el mismo sentido)
+function surfaceDefects(faces) {
+  const directed = new Set();
+  const uses = new Map();
+  let duplicate = 0;
+  for (const face of faces) {
+    face.forEach((a, k) => {
+      const b = face[(k + 1) % face.length];
+      if (directed.has(`${a}>${b}`)) duplicate++;
+      directed.add(`${a}>${b}`);
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      uses.set(key, (uses.get(key) ?? 0) + 1);
+    });
+  }
+  let open = 0;
+  let nonManifold = 0;
+  uses.forEach(n => {
+    if (n === 1) open++;
+    else if (n > 2) nonManifold++;
+  });
+  return { open, nonManifold, duplicate };
+}
+
+/* ===== OPERATION ===== */
+// meshes: operandos en orden (el primero es la base). Devuelve la malla resultante en
+// el mismo formato, con uvs si alguno de los operandos las tenía
+export function booleanMeshes(operation, meshes) {
+  if (!CSG_OPERATIONS.includes(operation)) throw new Error(`Operación booleana desconocida: ${operation}`);
+  if (meshes.length < 2) throw new Error('Hacen falta al menos dos mallas');
+
+  const eps = EPS * Math.max(1, extentOf(meshes));
+  let polygons = polygonsOf(meshes[0], eps);
+  for (let i = 1; i < meshes.length; i++) {
+    polygons = combine(operation, polygons, polygonsOf(meshes[i], eps), eps);
+  }
+
+  const tol = eps * WELD_FACTOR;
+  const { points, faces: welded } = weldPolygons(polygons, tol);
+  const faces = mergeCoplanar(fixTJunctions(points, welded, tol), tol);
+  dropCollinear(points, faces, tol);
+
+  // Compactar: solo los vértices que usa alguna cara
+  const remap = new Map();
+  const positions = [];
+  for (const face of faces) {
+    for (const v of face.verts) {
+      if (remap.has(v)) continue;
+      remap.set(v, positions.length / 3);
+      positions.push(...points[v]);
+    }
+  }
+  const result = faces.map(face => face.verts.map(v => remap.get(v)));
+
+  // Con operandos cerrados el resultado también debe serlo: mejor fallar que devolver
+  // una malla rota
+  const defects = surfaceDefects(result);
+  const closed = meshes.every(m => surfaceDefects(m.faces).open === 0);
+  if (defects.nonManifold || defects.duplicate || (closed && defects.open)) {
+    throw new Error('el resultado no es una superficie válida; prueba a mover un poco los objetos');
+  }
+
+  const withUV = meshes.some(m => m.uvs);
+  return {
+    positions,
+    faces: result,
+    uvs: withUV ? faces.map(face => face.uvs.flat()) : null
+  };
+}
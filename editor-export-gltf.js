@@ -0,0 +1,141 @@
+/**
+ * editor-export-gltf.js
+ * Exportación de la escena editada a glTF 2.0 (.gltf JSON) y binario (.glb)
+ */
+
+export function setupGltfExport(api) {
+  const { THREE, GLTFExporter, mergeVertices, getObjects, getGroups = () => [], displayGeometry = (obj) => obj.geometry } = api;
+
+  const MERGE_TOLERANCE = 1e-4;
+  const EXPORT_ATTRIBUTES = ['position', 'normal', 'uv'];
+
+  /* ===== GEOMETRY ===== */
+  // La geometría de edición es una sopa de triángulos no indexada: se limpia de
+  // atributos auxiliares y se re-indexa uniendo los vértices coincidentes
+  function buildExportGeometry(source) {
+    const geometry = new THREE.BufferGeometry();
+    for (const name of EXPORT_ATTRIBUTES) {
+      const attr = source.attributes[name];
+      if (attr) geometry.setAttribute(name, attr.clone());
+    }
+    if (source.index) geometry.setIndex(source.index.clone());
+    if (!geometry.attributes.normal) geometry.computeVertexNormals();
+
+    const indexed = mergeVertices(geometry, MERGE_TOLERANCE);
+    if (indexed !== geometry) geometry.dispose();
+    return indexed;
+  }
+
+  // Los materiales de la biblioteca llevan nombre y se exportan una sola vez
+  function buildExportMaterial(obj) {
+    const src = obj.material;
+    return new THREE.MeshStandardMaterial({
+      name: src.name || `${exportName(obj)}_mat`,
+      color: src.color.clone(),
+      roughness: src.roughness,
+      metalness: src.metalness,
+      emissive: src.emissive.clone(),
+      emissiveIntensity: src.emissiveIntensity,
+      opacity: src.opacity,
+      transparent: src.transparent,
+      side: src.side
+    });
+  }
+
+  function exportName(obj) {
+    return obj.userData.name || `${obj.userData.type}_${obj.userData.id}`;
+  }
+
+  function copyTransform(target, source) {
+    target.position.copy(source.position);
+    target.quaternion.copy(source.quaternion);
+    target.scale.copy(source.scale);
+  }
+
+  // Un InstancedMesh se exporta como un nodo con un hijo por instancia; todos
+  // comparten geometría y material
+  function instancedNode(obj, geometry, material) {
+    const node = new THREE.Group();
+    node.name = exportName(obj);
+    copyTransform(node, obj);
+    const matrix = new THREE.Matrix4();
+    for (let i = 0; i < obj.count; i++) {
+      obj.getMatrixAt(i, matrix);
+      const instance = new THREE.Mesh(geometry, material);
+      instance.name = `${node.name}_${i}`;
+      matrix.decompose(instance.position, instance.quaternion, instance.scale);
+      node.add(instance);
+    }
+    return node;
+  }
+
+  /* ===== SCENE ===== */
+  // Solo se exportan los meshes de `objects` y los grupos que los contienen: los hijos
+  // VertexPoints/EdgeLines/FaceWire (y el resaltado de selección) nunca llegan al archivo.
+  // getGroups() devuelve los padres antes que los hijos
+  function buildExportScene() {
+    const exportScene = new THREE.Scene();
+    exportScene.name = 'MR Studio';
+
+    const nodes = new Map();
+    const materials = new Map(); // material del editor -> material exportado
+    const parentOf = (obj) => nodes.get(obj.parent?.userData.id) ?? exportScene;
+
+    for (const group of getGroups()) {
+      const node = new THREE.Group();
+      node.name = exportName(group);
+      copyTransform(node, group);
+      parentOf(group).add(node);
+      nodes.set(group.userData.id, node);
+    }
+
+    for (const obj of getObjects()) {
+      // Con modificadores se exporta lo que se ve, no la jaula de edición
+      const geometry = buildExportGeometry(displayGeometry(obj));
+      if (!materials.has(obj.material)) materials.set(obj.material, buildExportMaterial(obj));
+      const material = materials.get(obj.material);
+      if (obj.isInstancedMesh) {
+        parentOf(obj).add(instancedNode(obj, geometry, material));
+        continue;
+      }
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.name = exportName(obj);
+      copyTransform(mesh, obj);
+      parentOf(obj).add(mesh);
+    }
+    return exportScene;
+  }
+
+  function disposeExportScene(exportScene) {
+    exportScene.traverse(child => {
+      child.geometry?.dispose();
+      child.material?.dispose();
+    });
+  }
+
+  /* ===== EXPORT ===== */
+  // binary=true devuelve un ArrayBuffer (GLB); si no, el objeto JSON de glTF con los buffers embebidos
+  async function exportScene({ binary = true } = {}) {
+    const exportScene = buildExportScene();
+    try {
+      const exporter = new GLTFExporter();
+      return await exporter.parseAsync(exportScene, { binary, onlyVisible: false });
+    } finally {
+      disposeExportScene(exportScene);
+    }
+  }
+
+  async function exportBlob({ binary = true } = {}) {
+    const result = await exportScene({ binary });
+    return binary
+      ? new Blob([result], { type: 'model/gltf-binary' })
+      : new Blob([JSON.stringify(result)], { type: 'model/gltf+json' });
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    buildExportScene,
+    exportScene,
+    exportBlob
+  };
+}
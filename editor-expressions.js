@@ -0,0 +1,121 @@
+/**
+ * editor-expressions.js
+ * Entrada numérica con expresiones y unidades para el diálogo de valores exactos.
+ *
+ *   "1.5", "-2", "(1+2)/4"   valor absoluto
+ *   "+0.5", "-=0.5"           suma/resta al valor actual
+ *   "*2", "/4"                multiplica/divide el valor actual
+ *   "20cm", "1m + 5mm"        unidades de longitud (el resultado se expresa en metros)
+ *   "90deg", "0.5rad", "45°"  unidades de ángulo (el resultado se expresa en grados)
+ *   "50%"                     porcentaje (escala)
+ */
+
+const UNITS = {
+  length: { m: 1, cm: 0.01, mm: 0.001, km: 1000, in: 0.0254, ft: 0.3048 },
+  angle: { deg: 1, '°': 1, rad: 180 / Math.PI, turn: 360 },
+  scale: { '%': 0.01, x: 1 }
+};
+
+/* ===== TOKENIZER ===== */
+function tokenize(text) {
+  const tokens = [];
+  const re = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z°%]+)|([-+*/()]))/giy;
+  let m;
+  let last = 0;
+  while (last < text.length && (m = re.exec(text)) !== null) {
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: parseFloat(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: 'unit', value: m[2].toLowerCase() });
+    else tokens.push({ type: 'op', value: m[3] });
+    last = re.lastIndex;
+  }
+  if (text.slice(last).trim() !== '') throw new Error(`Carácter no válido: "${text.slice(last).trim()[0]}"`);
+  return tokens;
+}
+
+/* ===== PARSER ===== */
+// expr := term (('+'|'-') term)* ; term := factor (('*'|'/') factor)*
+// factor := ('+'|'-') factor | number unit? | '(' expr ')'
+function parse(tokens, units) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function factor() {
+    const t = next();
+    if (!t) throw new Error('Expresión incompleta');
+    if (t.type === 'op' && (t.value === '-' || t.value === '+')) {
+      const v = factor();
+      return t.value === '-' ? -v : v;
+    }
+    if (t.type === 'op' && t.value === '(') {
+      const v = expr();
+      const close = next();
+      if (!close || close.value !== ')') throw new Error('Falta ")"');
+      return v;
+    }
+    if (t.type === 'num') {
+      const u = peek();
+      if (u && u.type === 'unit') {
+        next();
+        if (!(u.value in units)) throw new Error(`Unidad no válida: ${u.value}`);
+        return t.value * units[u.value];
+      }
+      return t.value;
+    }
+    throw new Error(`Token inesperado: ${t.value}`);
+  }
+
+  function term() {
+    let v = factor();
+    while (peek() && (peek().value === '*' || peek().value === '/')) {
+      const op = next().value;
+      const rhs = factor();
+      if (op === '/' && rhs === 0) throw new Error('División por cero');
+      v = op === '*' ? v * rhs : v / rhs;
+    }
+    return v;
+  }
+
+  function expr() {
+    let v = term();
+    while (peek() && (peek().value === '+' || peek().value === '-')) {
+      const op = next().value;
+      const rhs = term();
+      v = op === '+' ? v + rhs : v - rhs;
+    }
+    return v;
+  }
+
+  const value = expr();
+  if (pos < tokens.length) throw new Error(`Token inesperado: ${tokens[pos].value}`);
+  return value;
+}
+
+export function evaluateExpression(text, { kind = 'length' } = {}) {
+  const tokens = tokenize(String(text).replace(/,/g, '.'));
+  if (tokens.length === 0) throw new Error('Valor vacío');
+  const value = parse(tokens, UNITS[kind] ?? {});
+  if (!Number.isFinite(value)) throw new Error('Resultado no válido');
+  return value;
+}
+
+// Devuelve el nuevo valor a partir del actual; un campo vacío conserva el valor actual
+export function applyNumericInput(text, current, { kind = 'length' } = {}) {
+  const src = String(text).trim();
+  if (src === '') return current;
+
+  const rel = /^([-+*/])=?(.*)$/.exec(src);
+  // "-2" es un valor absoluto negativo; "-=2" resta al actual
+  if (rel && !(rel[1] === '-' && !src.startsWith('-='))) {
+    const operand = evaluateExpression(rel[2], { kind });
+    switch (rel[1]) {
+      case '+': return current + operand;
+      case '-': return current - operand;
+      case '*': return current * operand;
+      case '/':
+        if (operand === 0) throw new Error('División por cero');
+        return current / operand;
+    }
+  }
+  return evaluateExpression(src, { kind });
+}
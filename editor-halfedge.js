@@ -0,0 +1,625 @@
+/**
+ * editor-halfedge.js
+ * Topología indexada (half-edge) detrás del editor de subcomponentes.
+ *
+ * Datos básicos (lo que se guarda y se copia):
+ *   positions  número[]            xyz por vértice (espacio local del objeto)
+ *   faces      número[][]          vértices de cada cara en orden CCW (triángulos, quads o n-gons)
+ *   uvs        (número[])[] | null uv por esquina de cada cara, en el mismo orden que faces
+ *   wires      [a, b][]            bordes sueltos (sin cara), p. ej. al extruir vértices
+ *
+ * Datos derivados (buildTopology):
+ *   he.vert/face/next/prev/twin/edge   arrays por half-edge (twin = -1 en bordes abiertos)
+ *   faceHe, vertexHe                   un half-edge por cara / uno saliente por vértice
+ *   edges [a, b][], edgeFaces, vertexFaces, edgeIndex (Map "a_b" -> id de borde)
+ *
+ * Render: la BufferGeometry del objeto sigue siendo la que se dibuja; bufferVertex
+ * (vértice de buffer -> vértice) y triangleFace (triángulo -> cara) enlazan ambas, y la
+ * topología viaja con la geometría en geometry.userData.topology.
+ *
+ * Búsquedas por cercanía: spatialIndex(mesh) crea bajo demanda un hash espacial
+ * (editor-spatial-hash.js) en mesh.spatial que setPosition, translateVertices, addVertex
+ * y unsplitCorner mantienen al día. Quien escriba mesh.positions a mano debe pasar por
+ * setPosition.
+ */
+
+const WELD_EPS = 1e-4;
+const AREA_EPS = 1e-12;
+const COPLANAR_COS = 0.9999;
+
+export function setupHalfEdge(api) {
+  const { THREE, spatialHash: SPATIAL } = api;
+
+  /* ===== CONSTRUCTION ===== */
+  function createMesh({ positions = [], faces = [], uvs = null, wires = [] } = {}) {
+    const mesh = {
+      positions: Array.from(positions),
+      faces: faces.map(f => Array.from(f)),
+      uvs: uvs ? uvs.map(u => Array.from(u)) : null,
+      wires: wires.map(w => [w[0], w[1]]),
+      bufferVertex: null,
+      triangleFace: null
+    };
+    return buildTopology(mesh);
+  }
+
+  function cloneMesh(mesh) {
+    return createMesh(mesh);
+  }
+
+  function edgeKey(a, b) {
+    return a < b ? `${a}_${b}` : `${b}_${a}`;
+  }
+
+  // Recalcula las estructuras derivadas; se llama tras cualquier cambio de caras o bordes
+  function buildTopology(mesh) {
+    const vertexCount = mesh.positions.length / 3;
+    let total = 0;
+    mesh.faces.forEach(f => { total += f.length; });
+
+    const he = {
+      vert: new Int32Array(total),
+      face: new Int32Array(total),
+      next: new Int32Array(total),
+      prev: new Int32Array(total),
+      twin: new Int32Array(total).fill(-1),
+      edge: new Int32Array(total)
+    };
+    const faceHe = new Int32Array(mesh.faces.length);
+    const vertexHe = new Int32Array(vertexCount).fill(-1);
+    const vertexFaces = Array.from({ length: vertexCount }, () => []);
+    const edges = [];
+    const edgeFaces = [];
+    const edgeIndex = new Map();
+    const directed = new Map();
+
+    const edgeFor = (a, b) => {
+      const key = edgeKey(a, b);
+      let e = edgeIndex.get(key);
+      if (e === undefined) {
+        e = edges.length;
+        edges.push([a, b]);
+        edgeFaces.push([]);
+        edgeIndex.set(key, e);
+      }
+      return e;
+    };
+
+    let h = 0;
+    mesh.faces.forEach((f, fi) => {
+      const start = h;
+      faceHe[fi] = start;
+      for (let k = 0; k < f.length; k++, h++) {
+        const a = f[k];
+        const b = f[(k + 1) % f.length];
+        he.vert[h] = a;
+        he.face[h] = fi;
+        he.next[h] = start + (k + 1) % f.length;
+        he.prev[h] = start + (k + f.length - 1) % f.length;
+        he.edge[h] = edgeFor(a, b);
+        edgeFaces[he.edge[h]].push(fi);
+        if (vertexHe[a] < 0) vertexHe[a] = h;
+        if (!vertexFaces[a].includes(fi)) vertexFaces[a].push(fi);
+        const dkey = `${a}>${b}`;
+        if (!directed.has(dkey)) directed.set(dkey, h);
+      }
+    });
+
+    for (let i = 0; i < total; i++) {
+      const twin = directed.get(`${he.vert[he.next[i]]}>${he.vert[i]}`);
+      if (twin !== undefined && twin !== i) he.twin[i] = twin;
+    }
+
+    mesh.wires.forEach(([a, b]) => edgeFor(a, b));
+
+    if (mesh.spatial && mesh.spatial.keys.length !== vertexCount) mesh.spatial = null;
+
+    Object.assign(mesh, { he, faceHe, vertexHe, vertexFaces, edges, edgeFaces, edgeIndex });
+    return mesh;
+  }
+
+  /* ===== ACCESSORS ===== */
+  function vertexCount(mesh) {
+    return mesh.positions.length / 3;
+  }
+
+  function getPosition(mesh, v, target = new THREE.Vector3()) {
+    return target.fromArray(mesh.positions, v * 3);
+  }
+
+  function setPosition(mesh, v, p) {
+    mesh.positions[v * 3] = p.x;
+    mesh.positions[v * 3 + 1] = p.y;
+    mesh.positions[v * 3 + 2] = p.z;
+    if (mesh.spatial) SPATIAL.move(mesh.spatial, v, p.x, p.y, p.z);
+  }
+
+  function addVertex(mesh, p) {
+    mesh.positions.push(p.x, p.y, p.z);
+    const v = vertexCount(mesh) - 1;
+    if (mesh.spatial) SPATIAL.insert(mesh.spatial, v, p.x, p.y, p.z);
+    return v;
+  }
+
+  function translateVertices(mesh, verts, d) {
+    const pos = mesh.positions;
+    for (const v of verts) {
+      pos[v * 3] += d.x;
+      pos[v * 3 + 1] += d.y;
+      pos[v * 3 + 2] += d.z;
+      if (mesh.spatial) SPATIAL.move(mesh.spatial, v, pos[v * 3], pos[v * 3 + 1], pos[v * 3 + 2]);
+    }
+  }
+
+  // Hash espacial de los vértices (espacio local), persistente mientras la malla viva
+  function spatialIndex(mesh) {
+    if (!mesh.spatial) mesh.spatial = SPATIAL.createHash(mesh.positions);
+    return mesh.spatial;
+  }
+
+  function edgeId(mesh, a, b) {
+    return mesh.edgeIndex.get(edgeKey(a, b)) ?? -1;
+  }
+
+  // Normal de Newell: válida también para quads no planos y n-gons cóncavos
+  function faceNormal(mesh, f, target = new THREE.Vector3()) {
+    const verts = mesh.faces[f];
+    target.set(0, 0, 0);
+    const p = new THREE.Vector3();
+    const q = new THREE.Vector3();
+    for (let k = 0; k < verts.length; k++) {
+      getPosition(mesh, verts[k], p);
+      getPosition(mesh, verts[(k + 1) % verts.length], q);
+      target.x += (p.y - q.y) * (p.z + q.z);
+      target.y += (p.z - q.z) * (p.x + q.x);
+      target.z += (p.x - q.x) * (p.y + q.y);
+    }
+    return target.lengthSq() > AREA_EPS ? target.normalize() : target.set(0, 0, 0);
+  }
+
+  function faceCentroid(mesh, f, target = new THREE.Vector3()) {
+    return centroid(mesh, mesh.faces[f], target);
+  }
+
+  function centroid(mesh, verts, target = new THREE.Vector3()) {
+    target.set(0, 0, 0);
+    const p = new THREE.Vector3();
+    for (const v of verts) target.add(getPosition(mesh, v, p));
+    return target.multiplyScalar(1 / Math.max(1, verts.length));
+  }
+
+  function vertexNormal(mesh, v, target = new THREE.Vector3()) {
+    target.set(0, 0, 0);
+    const n = new THREE.Vector3();
+    for (const f of mesh.vertexFaces[v] ?? []) target.add(faceNormal(mesh, f, n));
+    return target.lengthSq() > AREA_EPS ? target.normalize() : target;
+  }
+
+  // Vértices unidos por un borde (de cara o suelto)
+  function vertexNeighbors(mesh, v) {
+    const out = new Set();
+    for (const f of mesh.vertexFaces[v] ?? []) {
+      const verts = mesh.faces[f];
+      const k = verts.indexOf(v);
+      out.add(verts[(k + 1) % verts.length]);
+      out.add(verts[(k + verts.length - 1) % verts.length]);
+    }
+    mesh.wires.forEach(([a, b]) => {
+      if (a === v) out.add(b);
+      else if (b === v) out.add(a);
+    });
+    out.delete(v);
+    return Array.from(out);
+  }
+
+  function cornerUV(mesh, f, v) {
+    if (!mesh.uvs) return null;
+    const k = mesh.faces[f].indexOf(v);
+    return k < 0 ? null : [mesh.uvs[f][k * 2], mesh.uvs[f][k * 2 + 1]];
+  }
+
+  /* ===== TRAVERSAL ===== */
+  function edgeCount(mesh, v) {
+    return vertexNeighbors(mesh, v).length;
+  }
+
+  // Siguiente borde del loop al cruzar el vértice v viniendo por el borde e. En vértices
+  // de valencia 4 es el borde que no comparte cara con e; en el contorno abierto, el otro
+  // borde de contorno del vértice
+  function loopStep(mesh, e, v) {
+    const faces = mesh.edgeFaces[e];
+    const boundary = faces.length === 1;
+    const options = vertexNeighbors(mesh, v)
+      .map(w => edgeId(mesh, v, w))
+      .filter(c => c !== e)
+      .filter(c => boundary
+        ? mesh.edgeFaces[c].length === 1
+        : !mesh.edgeFaces[c].some(f => faces.includes(f)));
+    if (options.length !== 1) return -1;
+    if (!boundary && edgeCount(mesh, v) !== 4) return -1;
+    return options[0];
+  }
+
+  function edgeLoop(mesh, e) {
+    const edges = [e];
+    const seen = new Set(edges);
+    for (const start of mesh.edges[e]) {
+      let current = e;
+      let v = start;
+      for (;;) {
+        const next = loopStep(mesh, current, v);
+        if (next < 0 || seen.has(next)) break;
+        edges.push(next);
+        seen.add(next);
+        const [a, b] = mesh.edges[next];
+        v = a === v ? b : a;
+        current = next;
+      }
+    }
+    return edges;
+  }
+
+  // Anillo: bordes opuestos a través de quads consecutivos, y las caras que atraviesa
+  function edgeRing(mesh, e) {
+    const edges = [e];
+    const faces = [];
+    const seenEdges = new Set(edges);
+    const seenFaces = new Set();
+    for (const firstFace of mesh.edgeFaces[e]) {
+      let current = e;
+      let f = firstFace;
+      while (f !== undefined && !seenFaces.has(f) && mesh.faces[f].length === 4) {
+        seenFaces.add(f);
+        faces.push(f);
+        const verts = mesh.faces[f];
+        const [a, b] = mesh.edges[current];
+        const k = verts.findIndex((v, i) => {
+          const w = verts[(i + 1) % 4];
+          return (v === a && w === b) || (v === b && w === a);
+        });
+        const opposite = edgeId(mesh, verts[(k + 2) % 4], verts[(k + 3) % 4]);
+        if (seenEdges.has(opposite)) break;
+        edges.push(opposite);
+        seenEdges.add(opposite);
+        current = opposite;
+        f = mesh.edgeFaces[opposite].find(g => g !== f);
+      }
+    }
+    return { edges, faces };
+  }
+
+  // Todos los vértices conectados (por bordes) a los iniciales
+  function linkedVertices(mesh, seeds) {
+    const seen = new Set(seeds);
+    const stack = Array.from(seen);
+    while (stack.length) {
+      for (const w of vertexNeighbors(mesh, stack.pop())) {
+        if (!seen.has(w)) { seen.add(w); stack.push(w); }
+      }
+    }
+    return seen;
+  }
+
+  /* ===== TRIANGULATION ===== */
+  // Devuelve triples de esquinas (índices dentro de la cara) con el mismo sentido que la cara
+  function triangulateFace(mesh, f) {
+    const verts = mesh.faces[f];
+    const n = verts.length;
+    if (n === 3) return [[0, 1, 2]];
+
+    const normal = faceNormal(mesh, f);
+    const pts = verts.map(v => getPosition(mesh, v));
+
+    let convex = true;
+    const e1 = new THREE.Vector3();
+    const e2 = new THREE.Vector3();
+    for (let k = 0; k < n && convex; k++) {
+      e1.subVectors(pts[(k + 1) % n], pts[k]);
+      e2.subVectors(pts[(k + 2) % n], pts[(k + 1) % n]);
+      if (e1.cross(e2).dot(normal) < -AREA_EPS) convex = false;
+    }
+    if (convex) {
+      const tris = [];
+      for (let k = 1; k < n - 1; k++) tris.push([0, k, k + 1]);
+      return tris;
+    }
+
+    // Cóncavo: proyectar al plano de la cara y triangular en 2D
+    const u = Math.abs(normal.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    u.addScaledVector(normal, -u.dot(normal)).normalize();
+    const w = new THREE.Vector3().crossVectors(normal, u);
+    const contour = pts.map(p => new THREE.Vector2(p.dot(u), p.dot(w)));
+    const tris = THREE.ShapeUtils.triangulateShape(contour, []);
+    return tris.map(t => {
+      const a = pts[t[0]], b = pts[t[1]], c = pts[t[2]];
+      const tn = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a));
+      return tn.dot(normal) < 0 ? [t[0], t[2], t[1]] : t;
+    });
+  }
+
+  /* ===== BUFFERGEOMETRY CONVERSION ===== */
+  // Qué esquinas son el mismo vértice: con índice, las que comparten vértice de buffer;
+  // sin él (triángulos sueltos, p. ej. STL) las que tienen exactamente la misma posición.
+  // `weld` une además las posiciones a menos de WELD_EPS: solo para geometría cuyas
+  // costuras duplican vértices que deberían ser uno (primitivas de three, escenas
+  // guardadas sin topología), porque también uniría vértices distintos que coinciden.
+  // Las parejas de triángulos coplanares que comparten su diagonal vuelven a ser quads
+  function fromBufferGeometry(geometry, { weld = false } = {}) {
+    const pos = geometry.attributes.position;
+    const uvAttr = geometry.attributes.uv;
+    const index = geometry.index;
+
+    const positions = [];
+    const byKey = new Map();
+    const bufferVertex = new Int32Array(pos.count);
+    for (let i = 0; i < pos.count; i++) {
+      const x = pos.getX(i), y = pos.getY(i), z = pos.getZ(i);
+      let key = i;
+      if (weld) key = `${Math.round(x / WELD_EPS)}_${Math.round(y / WELD_EPS)}_${Math.round(z / WELD_EPS)}`;
+      else if (!index) key = `${x}_${y}_${z}`;
+      let v = byKey.get(key);
+      if (v === undefined) {
+        v = positions.length / 3;
+        positions.push(x, y, z);
+        byKey.set(key, v);
+      }
+      bufferVertex[i] = v;
+    }
+
+    const triCount = (index ? index.count : pos.count) / 3;
+    const corner = (t, k) => (index ? index.getX(t * 3 + k) : t * 3 + k);
+    const tris = [];
+    for (let t = 0; t < triCount; t++) {
+      const c = [corner(t, 0), corner(t, 1), corner(t, 2)];
+      const v = c.map(i => bufferVertex[i]);
+      if (v[0] === v[1] || v[1] === v[2] || v[2] === v[0]) {
+        tris.push(null);
+        continue;
+      }
+      const uv = uvAttr ? c.flatMap(i => [uvAttr.getX(i), uvAttr.getY(i)]) : null;
+      tris.push({ v, uv });
+    }
+
+    const merged = mergeTrianglePairs(positions, tris);
+    const triangleFace = new Int32Array(triCount).fill(-1);
+    const faces = [];
+    const uvs = uvAttr ? [] : null;
+    merged.forEach(item => {
+      const f = faces.length;
+      faces.push(item.verts);
+      if (uvs) uvs.push(item.uv);
+      item.tris.forEach(t => { triangleFace[t] = f; });
+    });
+
+    const mesh = createMesh({ positions, faces, uvs });
+    mesh.bufferVertex = bufferVertex;
+    mesh.triangleFace = triangleFace;
+    return mesh;
+  }
+
+  function mergeTrianglePairs(positions, tris) {
+    const p = (v) => new THREE.Vector3().fromArray(positions, v * 3);
+    const normalOf = (v) => new THREE.Vector3().subVectors(p(v[1]), p(v[0]))
+      .cross(new THREE.Vector3().subVectors(p(v[2]), p(v[0]))).normalize();
+    const longestSide = (v) => {
+      let best = 0, bestLen = -1;
+      for (let k = 0; k < 3; k++) {
+        const len = p(v[k]).distanceToSquared(p(v[(k + 1) % 3]));
+        if (len > bestLen + AREA_EPS) { bestLen = len; best = k; }
+      }
+      return best;
+    };
+
+    const byEdge = new Map();
+    tris.forEach((tri, t) => {
+      if (!tri) return;
+      for (let k = 0; k < 3; k++) {
+        const key = edgeKey(tri.v[k], tri.v[(k + 1) % 3]);
+        const list = byEdge.get(key);
+        if (list) list.push(t);
+        else byEdge.set(key, [t]);
+      }
+    });
+
+    const used = new Uint8Array(tris.length);
+    const out = [];
+    tris.forEach((tri, t) => {
+      if (!tri || used[t]) return;
+      used[t] = 1;
+
+      const k = longestSide(tri.v);
+      const s = tri.v[k], e = tri.v[(k + 1) % 3], x = tri.v[(k + 2) % 3];
+      const partners = byEdge.get(edgeKey(s, e));
+      const o = partners.length === 2 ? partners.find(q => q !== t) : undefined;
+      const other = o !== undefined && !used[o] ? tris[o] : null;
+
+      if (other) {
+        const ko = other.v.indexOf(e);
+        const sharesDiagonal = other.v[(ko + 1) % 3] === s && longestSide(other.v) === ko;
+        const y = other.v[(ko + 2) % 3];
+        const quad = [x, s, y, e];
+        if (sharesDiagonal && normalOf(tri.v).dot(normalOf(other.v)) > COPLANAR_COS &&
+            isConvexQuad(quad.map(p), normalOf(tri.v)) &&
+            sameUV(tri, other, s, e)) {
+          used[o] = 1;
+          const uv = tri.uv
+            ? [...uvOf(tri, x), ...uvOf(tri, s), ...uvOf(other, y), ...uvOf(tri, e)]
+            : null;
+          out.push({ verts: quad, uv, tris: [t, o] });
+          return;
+        }
+      }
+      out.push({ verts: tri.v.slice(), uv: tri.uv ? tri.uv.slice() : null, tris: [t] });
+    });
+    return out;
+  }
+
+  function uvOf(tri, v) {
+    const k = tri.v.indexOf(v);
+    return [tri.uv[k * 2], tri.uv[k * 2 + 1]];
+  }
+
+  // Una costura de UV en la diagonal impide unir los triángulos sin perder coordenadas
+  function sameUV(a, b, s, e) {
+    if (!a.uv) return true;
+    const close = (m, n) => Math.abs(m[0] - n[0]) < 1e-6 && Math.abs(m[1] - n[1]) < 1e-6;
+    return close(uvOf(a, s), uvOf(b, s)) && close(uvOf(a, e), uvOf(b, e));
+  }
+
+  function isConvexQuad(pts, normal) {
+    const e1 = new THREE.Vector3();
+    const e2 = new THREE.Vector3();
+    for (let k = 0; k < 4; k++) {
+      e1.subVectors(pts[(k + 1) % 4], pts[k]);
+      e2.subVectors(pts[(k + 2) % 4], pts[(k + 1) % 4]);
+      if (e1.cross(e2).dot(normal) <= AREA_EPS) return false;
+    }
+    return true;
+  }
+
+  // Geometría de render (triángulos no indexados) a partir de la topología
+  function toBufferGeometry(mesh) {
+    const positions = [];
+    const uvs = mesh.uvs ? [] : null;
+    const bufferVertex = [];
+    const triangleFace = [];
+
+    mesh.faces.forEach((verts, f) => {
+      for (const tri of triangulateFace(mesh, f)) {
+        for (const k of tri) {
+          const v = verts[k];
+          positions.push(mesh.positions[v * 3], mesh.positions[v * 3 + 1], mesh.positions[v * 3 + 2]);
+          if (uvs) uvs.push(mesh.uvs[f][k * 2], mesh.uvs[f][k * 2 + 1]);
+          bufferVertex.push(v);
+        }
+        triangleFace.push(f);
+      }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+    if (uvs) geometry.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(uvs), 2));
+    geometry.computeVertexNormals();
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    mesh.bufferVertex = new Int32Array(bufferVertex);
+    mesh.triangleFace = new Int32Array(triangleFace);
+    geometry.userData.topology = mesh;
+    return geometry;
+  }
+
+  // Copia las posiciones de la topología al buffer de render (sin cambios de topología)
+  function syncPositions(mesh, geometry) {
+    const pos = geometry.attributes.position;
+    const map = mesh.bufferVertex;
+    for (let i = 0; i < pos.count; i++) {
+      const v = map[i];
+      pos.setXYZ(i, mesh.positions[v * 3], mesh.positions[v * 3 + 1], mesh.positions[v * 3 + 2]);
+    }
+    pos.needsUpdate = true;
+    geometry.computeVertexNormals();
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+  }
+
+  // Topología de una geometría de render; se deriva la primera vez que se necesita
+  function getTopology(geometry) {
+    if (!geometry.userData.topology) geometry.userData.topology = fromBufferGeometry(geometry);
+    return geometry.userData.topology;
+  }
+
+  /* ===== CORNER SPLIT ===== */
+  // Separa la esquina `corner` de la cara `f` en un vértice propio (modo Explode)
+  function splitCorner(mesh, f, corner) {
+    const v = mesh.faces[f][corner];
+    const nv = addVertex(mesh, getPosition(mesh, v));
+    mesh.faces[f][corner] = nv;
+    buildTopology(mesh);
+    return nv;
+  }
+
+  // Inverso de splitCorner: solo válido si el vértice separado es el último creado
+  function unsplitCorner(mesh, f, corner, original) {
+    const nv = mesh.faces[f][corner];
+    if (nv !== vertexCount(mesh) - 1) throw new Error('unsplitCorner fuera de orden');
+    mesh.faces[f][corner] = original;
+    mesh.positions.length -= 3;
+    if (mesh.spatial) SPATIAL.removeLast(mesh.spatial);
+    buildTopology(mesh);
+  }
+
+  /* ===== SERIALIZATION ===== */
+  // Arrays tipados para el historial y el formato de escena (base64 en editor-scene-io)
+  function serialize(mesh) {
+    return {
+      positions: new Float32Array(mesh.positions),
+      faceSizes: Uint32Array.from(mesh.faces, f => f.length),
+      faceVerts: Uint32Array.from(mesh.faces.flat()),
+      uvs: mesh.uvs ? new Float32Array(mesh.uvs.flat()) : null,
+      wires: Uint32Array.from(mesh.wires.flat()),
+      bufferVertex: mesh.bufferVertex ? mesh.bufferVertex.slice() : null,
+      triangleFace: mesh.triangleFace ? mesh.triangleFace.slice() : null
+    };
+  }
+
+  function deserialize(data) {
+    const faces = [];
+    const uvs = data.uvs ? [] : null;
+    let offset = 0;
+    for (const size of data.faceSizes) {
+      faces.push(Array.from(data.faceVerts.subarray(offset, offset + size)));
+      if (uvs) uvs.push(Array.from(data.uvs.subarray(offset * 2, (offset + size) * 2)));
+      offset += size;
+    }
+    const wires = [];
+    for (let i = 0; i < data.wires.length; i += 2) wires.push([data.wires[i], data.wires[i + 1]]);
+
+    const mesh = createMesh({ positions: data.positions, faces, uvs, wires });
+    mesh.bufferVertex = data.bufferVertex ? Int32Array.from(data.bufferVertex) : null;
+    mesh.triangleFace = data.triangleFace ? Int32Array.from(data.triangleFace) : null;
+    return mesh;
+  }
+
+  function serializedBytes(data) {
+    return Object.values(data).reduce((sum, a) => sum + (a ? a.byteLength : 0), 0);
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    createMesh,
+    cloneMesh,
+    buildTopology,
+
+    vertexCount,
+    getPosition,
+    setPosition,
+    addVertex,
+    translateVertices,
+    spatialIndex,
+    edgeId,
+    faceNormal,
+    faceCentroid,
+    centroid,
+    vertexNormal,
+    vertexNeighbors,
+    cornerUV,
+
+    edgeLoop,
+    edgeRing,
+    linkedVertices,
+
+    triangulateFace,
+    fromBufferGeometry,
+    toBufferGeometry,
+    syncPositions,
+    getTopology,
+
+    splitCorner,
+    unsplitCorner,
+
+    serialize,
+    deserialize,
+    serializedBytes
+  };
+}
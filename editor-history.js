@@ -0,0 +1,171 @@
+/**
+ * editor-history.js
+ * Sistema de comandos para Undo/Redo: cada acción guarda su estado antes/después
+ * y un handler registrado por tipo sabe revertirla y reaplicarla.
+ */
+
+export function setupHistory(api = {}) {
+  const { onChange } = api;
+
+  const LIMITS = {
+    maxEntries: api.maxEntries ?? 200,
+    maxBytes: api.maxBytes ?? 48 * 1024 * 1024,
+    coalesceMs: api.coalesceMs ?? 600
+  };
+
+  const state = {
+    past: [],
+    future: [],
+    bytes: 0,
+    replaying: false
+  };
+
+  const handlers = new Map();
+
+  /* ===== HANDLERS ===== */
+  // handler = { undo(action), redo(action), size?(action), merge?(prev, next) }
+  function register(type, handler) {
+    handlers.set(type, handler);
+  }
+
+  // Varias acciones que se deshacen juntas (operaciones sobre varios objetos)
+  register('batch', {
+    undo: (a) => a.actions.slice().reverse().forEach(child => handlers.get(child.type)?.undo(child)),
+    redo: (a) => a.actions.forEach(child => handlers.get(child.type)?.redo(child)),
+    size: (a) => a.actions.reduce((sum, child) => sum + sizeOf(child), 0)
+  });
+
+  function sizeOf(action) {
+    const h = handlers.get(action.type);
+    return (h?.size ? h.size(action) : 0) + 256;
+  }
+
+  /* ===== MEMORY BUDGET ===== */
+  function enforceBudget() {
+    while (state.past.length > 0 &&
+           (state.past.length + state.future.length > LIMITS.maxEntries || state.bytes > LIMITS.maxBytes)) {
+      const dropped = state.past.shift();
+      state.bytes -= dropped._bytes;
+    }
+  }
+
+  function notify() {
+    if (onChange) onChange({ canUndo: canUndo(), canRedo: canRedo() });
+  }
+
+  /* ===== PUSH ===== */
+  function push(action) {
+    if (!action || state.replaying) return;
+    if (!handlers.has(action.type)) {
+      console.warn(`history: sin handler para acciones "${action.type}"`);
+      return;
+    }
+
+    action.time = Date.now();
+
+    // Descartar el futuro libera su memoria
+    state.future.forEach(a => { state.bytes -= a._bytes; });
+    state.future = [];
+
+    // Coalescing: fusionar con la acción anterior si es del mismo tipo/objeto y reciente
+    const last = state.past[state.past.length - 1];
+    const h = handlers.get(action.type);
+    if (last && !last.sealed && h.merge && last.type === action.type &&
+        last.id === action.id && action.time - last.time <= LIMITS.coalesceMs) {
+      const merged = h.merge(last, action);
+      if (merged) {
+        state.bytes -= last._bytes;
+        merged.time = action.time;
+        merged._bytes = sizeOf(merged);
+        state.bytes += merged._bytes;
+        state.past[state.past.length - 1] = merged;
+        enforceBudget();
+        notify();
+        return;
+      }
+    }
+
+    action._bytes = sizeOf(action);
+    state.bytes += action._bytes;
+    state.past.push(action);
+    enforceBudget();
+    notify();
+  }
+
+  // Una sola acción se guarda tal cual; varias, como un 'batch'
+  function pushBatch(actions) {
+    const list = actions.filter(Boolean);
+    if (list.length === 1) push(list[0]);
+    else if (list.length > 1) push({ type: 'batch', actions: list });
+  }
+
+  // Evita que la siguiente acción se fusione con la última (p.ej. al cambiar de selección)
+  function seal() {
+    const last = state.past[state.past.length - 1];
+    if (last) last.sealed = true;
+  }
+
+  /* ===== UNDO/REDO ===== */
+  function replay(action, direction) {
+    const h = handlers.get(action.type);
+    if (!h) return;
+    state.replaying = true;
+    try {
+      h[direction](action);
+    } finally {
+      state.replaying = false;
+    }
+  }
+
+  function undo() {
+    if (!canUndo()) return null;
+    const action = state.past.pop();
+    replay(action, 'undo');
+    action.sealed = true;
+    state.future.push(action);
+    notify();
+    return action;
+  }
+
+  function redo() {
+    if (!canRedo()) return null;
+    const action = state.future.pop();
+    replay(action, 'redo');
+    state.past.push(action);
+    notify();
+    return action;
+  }
+
+  function canUndo() { return state.past.length > 0; }
+  function canRedo() { return state.future.length > 0; }
+
+  function clear() {
+    state.past = [];
+    state.future = [];
+    state.bytes = 0;
+    notify();
+  }
+
+  function getStats() {
+    return {
+      past: state.past.length,
+      future: state.future.length,
+      bytes: state.bytes
+    };
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    register,
+    push,
+    pushBatch,
+    seal,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    clear,
+    getStats,
+    isReplaying: () => state.replaying
+  };
+}
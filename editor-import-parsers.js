@@ -0,0 +1,191 @@
+/**
+ * editor-import-parsers.js
+ * Parsers de Wavefront OBJ/MTL y STL (binario y ASCII) sin dependencias de three,
+ * para poder ejecutarlos tanto en el Web Worker como en el hilo principal.
+ *
+ * Cada parser devuelve "partes": { name, material, color, positions, index }. En OBJ
+ * positions son los vértices de la parte e index (Uint32Array) sus triángulos, para que la
+ * malla de edición conserve qué vértices son el mismo; STL no tiene esa información:
+ * index es null y positions son triángulos sueltos (igual que la geometría del editor).
+ */
+
+/* ===== MTL ===== */
+export function parseMTL(text) {
+  const materials = {};
+  let current = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line[0] === '#') continue;
+    const parts = line.split(/\s+/);
+    const key = parts[0].toLowerCase();
+
+    if (key === 'newmtl') {
+      current = { name: parts.slice(1).join(' '), color: null, opacity: 1 };
+      materials[current.name] = current;
+    } else if (!current) {
+      continue;
+    } else if (key === 'kd' && parts.length >= 4) {
+      current.color = [parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])];
+    } else if (key === 'd') {
+      current.opacity = parseFloat(parts[1]);
+    } else if (key === 'tr') {
+      current.opacity = 1 - parseFloat(parts[1]);
+    }
+  }
+  return materials;
+}
+
+/* ===== OBJ ===== */
+// Divide el modelo en una parte por combinación objeto/grupo + material (usemtl)
+export function parseOBJ(text, materials = {}) {
+  const vertices = [];
+  const partsByKey = new Map();
+  let objectName = '';
+  let materialName = null;
+  let current = null;
+
+  function currentPart() {
+    if (current) return current;
+    const key = `${objectName}\u0000${materialName ?? ''}`;
+    current = partsByKey.get(key);
+    if (!current) {
+      current = {
+        name: [objectName, materialName].filter(Boolean).join('_'),
+        material: materialName,
+        color: materialName && materials[materialName] ? materials[materialName].color : null,
+        local: new Map(), // vértice del archivo -> vértice de la parte
+        vertices: [],
+        indices: []
+      };
+      partsByKey.set(key, current);
+    }
+    return current;
+  }
+
+  function resolveIndex(token) {
+    const idx = parseInt(token.split('/')[0], 10);
+    if (Number.isNaN(idx)) return -1;
+    return idx < 0 ? vertices.length / 3 + idx : idx - 1;
+  }
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line[0] === '#') continue;
+    const parts = line.split(/\s+/);
+
+    switch (parts[0]) {
+      case 'v':
+        vertices.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+        break;
+      case 'f': {
+        const idx = parts.slice(1).map(resolveIndex);
+        if (idx.length < 3 || idx.some(i => i < 0 || i * 3 >= vertices.length)) break;
+        const part = currentPart();
+        const local = idx.map(i => {
+          let v = part.local.get(i);
+          if (v === undefined) {
+            v = part.vertices.length / 3;
+            part.vertices.push(vertices[i * 3], vertices[i * 3 + 1], vertices[i * 3 + 2]);
+            part.local.set(i, v);
+          }
+          return v;
+        });
+        // Triangulación en abanico de polígonos
+        for (let k = 1; k < local.length - 1; k++) part.indices.push(local[0], local[k], local[k + 1]);
+        break;
+      }
+      case 'o':
+      case 'g':
+        objectName = parts.slice(1).join(' ') || objectName;
+        current = null;
+        break;
+      case 'usemtl':
+        materialName = parts.slice(1).join(' ');
+        current = null;
+        break;
+    }
+  }
+
+  return Array.from(partsByKey.values())
+    .filter(p => p.indices.length > 0)
+    .map(p => ({
+      name: p.name,
+      material: p.material,
+      color: p.color,
+      positions: new Float32Array(p.vertices),
+      index: new Uint32Array(p.indices)
+    }));
+}
+
+/* ===== STL ===== */
+function isBinarySTL(buffer) {
+  if (buffer.byteLength < 84) return false;
+  const view = new DataView(buffer);
+  const faces = view.getUint32(80, true);
+  if (84 + faces * 50 === buffer.byteLength) return true;
+
+  // Algunos exportadores binarios empiezan igualmente con "solid": comprobar si hay texto
+  const head = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 512));
+  const text = String.fromCharCode.apply(null, head);
+  return !/^\s*solid/.test(text) || !/facet/.test(text);
+}
+
+function parseBinarySTL(buffer, name) {
+  const view = new DataView(buffer);
+  const faces = Math.min(view.getUint32(80, true), Math.floor((buffer.byteLength - 84) / 50));
+  const positions = new Float32Array(faces * 9);
+
+  for (let f = 0; f < faces; f++) {
+    const start = 84 + f * 50 + 12; // saltar la normal
+    for (let v = 0; v < 9; v++) {
+      positions[f * 9 + v] = view.getFloat32(start + v * 4, true);
+    }
+  }
+  return [{ name, material: null, color: null, positions, index: null }];
+}
+
+function parseAsciiSTL(text, name) {
+  const parts = [];
+  const solidRe = /solid\s*([^\r\n]*)([\s\S]*?)endsolid/g;
+  const vertexRe = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  let solid;
+
+  while ((solid = solidRe.exec(text)) !== null) {
+    const data = [];
+    let v;
+    vertexRe.lastIndex = 0;
+    while ((v = vertexRe.exec(solid[2])) !== null) {
+      data.push(parseFloat(v[1]), parseFloat(v[2]), parseFloat(v[3]));
+    }
+    // Descartar vértices sueltos si el archivo está truncado
+    data.length -= data.length % 9;
+    if (data.length) {
+      parts.push({ name: solid[1].trim() || name, material: null, color: null, positions: new Float32Array(data), index: null });
+    }
+  }
+  return parts;
+}
+
+export function parseSTL(buffer, name = 'stl') {
+  if (isBinarySTL(buffer)) return parseBinarySTL(buffer, name);
+  return parseAsciiSTL(new TextDecoder().decode(buffer), name);
+}
+
+/* ===== FILES ===== */
+// files: [{ name, kind: 'obj' | 'mtl' | 'stl', data: string | ArrayBuffer }]
+export function parseImportFiles(files) {
+  const materials = {};
+  files.filter(f => f.kind === 'mtl').forEach(f => Object.assign(materials, parseMTL(f.data)));
+
+  const parts = [];
+  for (const f of files) {
+    const base = f.name.replace(/\.[^.]+$/, '');
+    if (f.kind === 'obj') {
+      parseOBJ(f.data, materials).forEach(p => parts.push({ ...p, name: p.name || base, source: 'obj', file: base }));
+    } else if (f.kind === 'stl') {
+      parseSTL(f.data, base).forEach(p => parts.push({ ...p, source: 'stl', file: base }));
+    }
+  }
+  return parts;
+}
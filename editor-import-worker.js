@@ -0,0 +1,18 @@
+/**
+ * editor-import-worker.js
+ * Web Worker (module) que parsea OBJ/MTL/STL fuera del hilo principal
+ */
+
+import { parseImportFiles } from './editor-import-parsers.js';
+
+self.onmessage = (e) => {
+  const { jobId, files } = e.data;
+  try {
+    const parts = parseImportFiles(files);
+    // Transferir los buffers evita copiar mallas grandes de vuelta al hilo principal
+    const buffers = parts.flatMap(p => (p.index ? [p.positions.buffer, p.index.buffer] : [p.positions.buffer]));
+    self.postMessage({ jobId, parts }, buffers);
+  } catch (err) {
+    self.postMessage({ jobId, error: err.message || String(err) });
+  }
+};
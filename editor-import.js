@@ -0,0 +1,102 @@
+/**
+ * editor-import.js
+ * Importación de archivos OBJ (+MTL) y STL: lectura en el hilo principal,
+ * parseo en un Web Worker (con fallback síncrono si el navegador no lo permite)
+ */
+
+import { parseImportFiles } from './editor-import-parsers.js';
+
+const KINDS = { obj: 'obj', mtl: 'mtl', stl: 'stl' };
+
+export function setupImporter() {
+  const state = {
+    worker: null,
+    workerFailed: false,
+    nextJobId: 1,
+    jobs: new Map()
+  };
+
+  /* ===== WORKER ===== */
+  function getWorker() {
+    if (state.worker || state.workerFailed) return state.worker;
+    try {
+      state.worker = new Worker(new URL('./editor-import-worker.js', import.meta.url), { type: 'module' });
+      state.worker.onmessage = (e) => {
+        const job = state.jobs.get(e.data.jobId);
+        if (!job) return;
+        state.jobs.delete(e.data.jobId);
+        if (e.data.error) job.reject(new Error(e.data.error));
+        else job.resolve(e.data.parts);
+      };
+      state.worker.onerror = (e) => {
+        // Si el worker no carga (p.ej. sin soporte de module workers), usar el hilo principal
+        console.warn('Import worker no disponible:', e.message);
+        state.workerFailed = true;
+        state.worker.terminate();
+        state.worker = null;
+        const pending = Array.from(state.jobs.values());
+        state.jobs.clear();
+        pending.forEach(job => job.fallback());
+      };
+    } catch (err) {
+      console.warn('Import worker no disponible:', err);
+      state.workerFailed = true;
+      state.worker = null;
+    }
+    return state.worker;
+  }
+
+  function parseInWorker(files) {
+    return new Promise((resolve, reject) => {
+      const parseHere = () => {
+        try {
+          resolve(parseImportFiles(files));
+        } catch (err) {
+          reject(err);
+        }
+      };
+
+      const worker = getWorker();
+      if (!worker) {
+        parseHere();
+        return;
+      }
+
+      const jobId = state.nextJobId++;
+      state.jobs.set(jobId, { resolve, reject, fallback: parseHere });
+      // Los ArrayBuffer de STL no se transfieren: el fallback los necesita si el worker falla
+      worker.postMessage({ jobId, files });
+    });
+  }
+
+  /* ===== FILES ===== */
+  function kindOf(file) {
+    const ext = file.name.split('.').pop().toLowerCase();
+    return KINDS[ext] ?? null;
+  }
+
+  async function readFiles(fileList) {
+    const files = [];
+    for (const file of Array.from(fileList)) {
+      const kind = kindOf(file);
+      if (!kind) continue;
+      const data = kind === 'stl' ? await file.arrayBuffer() : await file.text();
+      files.push({ name: file.name, kind, data });
+    }
+    return files;
+  }
+
+  // Devuelve las partes parseadas: [{ name, file, source, color, positions, index }]
+  async function importFiles(fileList) {
+    const files = await readFiles(fileList);
+    if (!files.some(f => f.kind !== 'mtl')) {
+      throw new Error('Selecciona al menos un archivo .obj o .stl');
+    }
+    return parseInWorker(files);
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    importFiles
+  };
+}
@@ -0,0 +1,276 @@
+/**
+ * editor-materials.js
+ * Materiales PBR por objeto y biblioteca de materiales con nombre.
+ *
+ * Cada objeto dibuja con un MeshStandardMaterial propio o, si está enlazado a una
+ * entrada de la biblioteca (userData.materialId), con el material compartido de esa
+ * entrada: editarlo cambia todos los objetos que lo usan. Lo editable es un objeto plano
+ *   { color, roughness, metalness, emissive, emissiveIntensity, opacity, doubleSided, flatShading }
+ * que es lo que guardan las instantáneas, el historial y los archivos de escena.
+ *
+ * Los modos de vista ('clay', 'tech') y el resaltado de la selección no modifican esos
+ * materiales: mientras se dibuja el frame cada objeto afectado usa una copia propia
+ * (material de vista) que se sincroniza con el original.
+ */
+
+// Mismos kinds que los esquemas de editor-primitives.js, más 'color' (hex) y 'factor'
+// (deslizador con decimales)
+export const MATERIAL_FIELDS = [
+  { key: 'color', label: 'Color', kind: 'color', default: 0x555555 },
+  { key: 'roughness', label: 'Rugosidad', kind: 'factor', min: 0, max: 1, step: 0.01, default: 0.5 },
+  { key: 'metalness', label: 'Metalizado', kind: 'factor', min: 0, max: 1, step: 0.01, default: 0.1 },
+  { key: 'emissive', label: 'Emisión', kind: 'color', default: 0x000000 },
+  { key: 'emissiveIntensity', label: 'Int. emisión', kind: 'factor', min: 0, max: 10, step: 0.1, default: 1 },
+  { key: 'opacity', label: 'Opacidad', kind: 'factor', min: 0, max: 1, step: 0.01, default: 1 },
+  { key: 'doubleSided', label: 'Doble cara', kind: 'bool', default: false },
+  { key: 'flatShading', label: 'Sombreado plano', kind: 'bool', default: false }
+];
+
+// null: se ven los materiales tal cual; si no, se sustituyen estos valores al dibujar
+export const RENDER_MODES = {
+  flat: null,
+  clay: { roughness: 1.0, metalness: 0.0 },
+  tech: { roughness: 0.2, metalness: 0.8 }
+};
+
+export function setupMaterials(api) {
+  const { THREE, CFG = {} } = api;
+
+  const library = new Map(); // id -> { id, name, material }
+  let nextLibraryId = 1;
+  const views = new WeakMap(); // objeto -> { material, key }
+
+  /* ===== PROPERTIES ===== */
+  function normalizeProps(props = {}) {
+    const out = {};
+    for (const f of MATERIAL_FIELDS) {
+      let v = props[f.key] ?? (f.key === 'color' ? CFG.objectColor : undefined) ?? f.default;
+      if (f.kind === 'bool') {
+        out[f.key] = !!v;
+        continue;
+      }
+      v = Number(v);
+      if (!Number.isFinite(v)) v = f.default;
+      out[f.key] = f.kind === 'color' ? (v & 0xffffff) : THREE.MathUtils.clamp(v, f.min, f.max);
+    }
+    return out;
+  }
+
+  function propsOf(material) {
+    return {
+      color: material.color.getHex(),
+      roughness: material.roughness,
+      metalness: material.metalness,
+      emissive: material.emissive.getHex(),
+      emissiveIntensity: material.emissiveIntensity,
+      opacity: material.opacity,
+      doubleSided: material.side === THREE.DoubleSide,
+      flatShading: material.flatShading
+    };
+  }
+
+  // props puede ser parcial: solo se tocan las claves presentes
+  function applyProps(material, props) {
+    const program = `${material.side}:${material.transparent}:${material.flatShading}`;
+    if (props.color !== undefined) material.color.setHex(props.color);
+    if (props.roughness !== undefined) material.roughness = props.roughness;
+    if (props.metalness !== undefined) material.metalness = props.metalness;
+    if (props.emissive !== undefined) material.emissive.setHex(props.emissive);
+    if (props.emissiveIntensity !== undefined) material.emissiveIntensity = props.emissiveIntensity;
+    if (props.opacity !== undefined) {
+      material.opacity = props.opacity;
+      material.transparent = props.opacity < 1;
+    }
+    if (props.doubleSided !== undefined) material.side = props.doubleSided ? THREE.DoubleSide : THREE.FrontSide;
+    if (props.flatShading !== undefined) material.flatShading = props.flatShading;
+    // side, transparent y flatShading cambian el shader
+    if (`${material.side}:${material.transparent}:${material.flatShading}` !== program) material.needsUpdate = true;
+  }
+
+  // Mismo material compartido o materiales propios con los mismos valores
+  function sameMaterial(a, b) {
+    if (a === b) return true;
+    const pa = propsOf(a);
+    const pb = propsOf(b);
+    return Object.keys(pa).every(k => pa[k] === pb[k]);
+  }
+
+  function createMaterial(props) {
+    const material = new THREE.MeshStandardMaterial();
+    applyProps(material, normalizeProps(props));
+    return material;
+  }
+
+  /* ===== LIBRARY ===== */
+  function libraryList() {
+    return Array.from(library.values()).map(entry => ({ id: entry.id, name: entry.name }));
+  }
+
+  function getEntry(id) {
+    return library.get(id) ?? null;
+  }
+
+  function isShared(material) {
+    for (const entry of library.values()) if (entry.material === material) return true;
+    return false;
+  }
+
+  // Instantánea de una entrada: { id, name, props }
+  function snapshotEntry(id) {
+    const entry = library.get(id);
+    return entry ? { id: entry.id, name: entry.name, props: propsOf(entry.material) } : null;
+  }
+
+  // Crea la entrada o actualiza la existente conservando su material (y sus usuarios)
+  function putEntry({ id = nextLibraryId, name, props }) {
+    let entry = library.get(id);
+    if (!entry) {
+      entry = { id, name, material: createMaterial(props) };
+      library.set(id, entry);
+    } else {
+      entry.name = name;
+      applyProps(entry.material, normalizeProps(props));
+    }
+    entry.material.name = name;
+    nextLibraryId = Math.max(nextLibraryId, id + 1);
+    return entry;
+  }
+
+  // Solo se debe quitar sin objetos enlazados: su material se libera
+  function removeEntry(id) {
+    const entry = library.get(id);
+    if (!entry) return;
+    library.delete(id);
+    entry.material.dispose();
+  }
+
+  function clearLibrary() {
+    library.forEach(entry => entry.material.dispose());
+    library.clear();
+    nextLibraryId = 1;
+  }
+
+  function serializeLibrary() {
+    return libraryList().map(({ id }) => {
+      const { name, props } = snapshotEntry(id);
+      return { id, name, ...props };
+    });
+  }
+
+  function restoreLibrary(list = []) {
+    clearLibrary();
+    for (const { id, name, ...props } of list) {
+      if (Number.isInteger(id)) putEntry({ id, name: String(name ?? `Material ${id}`), props });
+    }
+  }
+
+  /* ===== OBJECT MATERIALS ===== */
+  // Material compartido si la entrada existe; si no (portapapeles de otra sesión,
+  // entrada borrada), uno propio con las propiedades guardadas
+  function materialFor(materialId, props) {
+    const entry = materialId != null ? library.get(materialId) : null;
+    return entry ? entry.material : createMaterial(props);
+  }
+
+  function linkedId(obj) {
+    const id = obj.userData.materialId;
+    return id != null && library.get(id)?.material === obj.material ? id : null;
+  }
+
+  // materialId null: material propio con `props`
+  function assignMaterial(obj, materialId, props) {
+    const old = obj.material;
+    obj.material = materialFor(materialId, props);
+    if (library.get(materialId)?.material === obj.material) obj.userData.materialId = materialId;
+    else delete obj.userData.materialId;
+    if (old !== obj.material && !isShared(old)) old.dispose();
+  }
+
+  /* ===== VIEW MATERIALS ===== */
+  function hasOverride(mode) {
+    return !!RENDER_MODES[mode];
+  }
+
+  function viewMaterial(obj, mode, highlight) {
+    const source = obj.material;
+    let view = views.get(obj);
+    if (!view) {
+      view = { material: new THREE.MeshStandardMaterial(), key: '' };
+      views.set(obj, view);
+    }
+    const m = view.material;
+    m.color.copy(source.color);
+    m.roughness = source.roughness;
+    m.metalness = source.metalness;
+    m.emissive.copy(source.emissive);
+    m.emissiveIntensity = source.emissiveIntensity;
+    m.opacity = source.opacity;
+    m.transparent = source.transparent;
+    m.side = source.side;
+    m.flatShading = source.flatShading;
+    if (RENDER_MODES[mode]) Object.assign(m, RENDER_MODES[mode]);
+    if (highlight) {
+      m.emissive.setHex(CFG.selectionColor);
+      m.emissiveIntensity = CFG.selectionIntensity;
+    }
+
+    const key = `${m.side}:${m.transparent}:${m.flatShading}`;
+    if (key !== view.key) {
+      view.key = key;
+      m.needsUpdate = true;
+    }
+    return m;
+  }
+
+  // Sustituye los materiales para el frame y devuelve lo necesario para deshacerlo.
+  // Los hijos que comparten el material del objeto (resultado de modificadores) también
+  function beginView(objects, { mode, highlighted }) {
+    const swapped = [];
+    const override = hasOverride(mode);
+    for (const obj of objects) {
+      const highlight = highlighted.has(obj);
+      if (!override && !highlight) continue;
+      const source = obj.material;
+      const view = viewMaterial(obj, mode, highlight);
+      obj.traverse(child => {
+        if (child.material !== source) return;
+        swapped.push([child, source]);
+        child.material = view;
+      });
+    }
+    return swapped;
+  }
+
+  function endView(swapped) {
+    swapped.forEach(([child, material]) => { child.material = material; });
+  }
+
+  function releaseView(obj) {
+    views.get(obj)?.material.dispose();
+    views.delete(obj);
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    normalizeProps,
+    propsOf,
+    applyProps,
+    sameMaterial,
+    createMaterial,
+    libraryList,
+    getEntry,
+    isShared,
+    snapshotEntry,
+    putEntry,
+    removeEntry,
+    clearLibrary,
+    serializeLibrary,
+    restoreLibrary,
+    materialFor,
+    linkedId,
+    assignMaterial,
+    beginView,
+    endView,
+    releaseView
+  };
+}
@@ -0,0 +1,1186 @@
+/**
+ * editor-mesh-ops.js
+ * Operaciones de topología sobre la malla half-edge (editor-halfedge.js):
+ * extrusión de caras/bordes/vértices, inset de caras, fusión de vértices, simetría,
+ * subdivisión, corte en bucle, biselado de bordes y vértices, borrado y disolución.
+ *
+ * Cada operación recibe la malla actual y devuelve { mesh, selection } con una malla
+ * NUEVA (la original no se toca) y los elementos creados para seleccionarlos:
+ *   selection: [{ kind: 'v' | 'e' | 'f', verts: [...], face? }]   (ids de la topología)
+ * o null si no hay nada que hacer. Las caras existentes conservan su id, salvo en la
+ * fusión, la simetría, la subdivisión, el corte, el bisel, el borrado y la disolución,
+ * que rehacen vértices y caras.
+ */
+
+const AREA_EPS = 1e-12;
+
+export function setupMeshOps(api) {
+  const { THREE, halfEdge: HE, spatialHash: SPATIAL } = api;
+
+  /* ===== UTILITIES ===== */
+  function anyPerpendicular(v) {
+    const ref = Math.abs(v.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+    return new THREE.Vector3().crossVectors(ref, v).normalize();
+  }
+
+  // Longitud media de los bordes de las caras dadas: escala por defecto de las operaciones
+  function typicalEdgeLength(mesh, faces) {
+    let sum = 0;
+    let n = 0;
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    for (const f of faces) {
+      const verts = mesh.faces[f];
+      for (let k = 0; k < verts.length; k++) {
+        const d = HE.getPosition(mesh, verts[k], a).distanceTo(HE.getPosition(mesh, verts[(k + 1) % verts.length], b));
+        if (d > 0) { sum += d; n++; }
+      }
+    }
+    return n ? sum / n : 1;
+  }
+
+  function facesOfVertices(mesh, verts) {
+    const faces = new Set();
+    verts.forEach(v => (mesh.vertexFaces[v] ?? []).forEach(f => faces.add(f)));
+    return Array.from(faces);
+  }
+
+  function addFace(mesh, verts, uv) {
+    mesh.faces.push(verts);
+    if (mesh.uvs) mesh.uvs.push(uv ?? new Array(verts.length * 2).fill(0));
+  }
+
+  // Pared entre el borde a→b de la cara `f` y su copia a'→b' (quad a, b, b', a')
+  function addWall(mesh, f, a, b, a2, b2) {
+    const uvA = f >= 0 ? HE.cornerUV(mesh, f, a) : null;
+    const uvB = f >= 0 ? HE.cornerUV(mesh, f, b) : null;
+    const uv = uvA && uvB ? [...uvA, ...uvB, ...uvB, ...uvA] : null;
+    addFace(mesh, [a, b, b2, a2], uv);
+  }
+
+  // Malla nueva con las caras (y UVs) y bordes sueltos dados, sin los vértices que ya
+  // no usa ninguno; los ids de cara se conservan
+  function compactMesh(positions, faces, uvs, wires) {
+    const used = new Set();
+    faces.forEach(f => f.forEach(v => used.add(v)));
+    wires.forEach(([a, b]) => { used.add(a); used.add(b); });
+    const remap = new Int32Array(positions.length / 3).fill(-1);
+    const compact = [];
+    for (let v = 0; v < remap.length; v++) {
+      if (!used.has(v)) continue;
+      remap[v] = compact.length / 3;
+      compact.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]);
+    }
+    return HE.createMesh({
+      positions: compact,
+      faces: faces.map(f => f.map(v => remap[v])),
+      uvs,
+      wires: wires.map(([a, b]) => [remap[a], remap[b]])
+    });
+  }
+
+  /* ===== FACE REGIONS ===== */
+  // Bordes del contorno de la región: los usados por una sola cara de la región, con
+  // la dirección que tienen en esa cara (la región queda a su izquierda)
+  function regionBoundary(mesh, region) {
+    const out = [];
+    for (const f of region) {
+      const verts = mesh.faces[f];
+      for (let k = 0; k < verts.length; k++) {
+        const a = verts[k];
+        const b = verts[(k + 1) % verts.length];
+        const e = HE.edgeId(mesh, a, b);
+        const inside = mesh.edgeFaces[e].filter(g => region.has(g)).length;
+        if (inside === 1) out.push({ a, b, f });
+      }
+    }
+    return out;
+  }
+
+  function faceSelection(mesh, faces) {
+    return faces.map(f => ({ kind: 'f', face: f, verts: mesh.faces[f].slice() }));
+  }
+
+  /* ===== EXTRUDE ===== */
+  // La región se desplaza según la normal media de sus caras y se cierra con paredes
+  // en su contorno. Los vértices interiores se mueven; los del contorno se duplican
+  function extrudeFaces(source, faceIds, { distance } = {}) {
+    const faces = Array.from(new Set(faceIds));
+    if (!faces.length) return null;
+    const mesh = HE.cloneMesh(source);
+    const region = new Set(faces);
+    const d = distance ?? typicalEdgeLength(mesh, faces) * 0.5;
+
+    const normals = new Map();
+    const n = new THREE.Vector3();
+    for (const f of faces) {
+      HE.faceNormal(mesh, f, n);
+      for (const v of mesh.faces[f]) {
+        if (!normals.has(v)) normals.set(v, new THREE.Vector3());
+        normals.get(v).add(n);
+      }
+    }
+
+    const boundary = regionBoundary(mesh, region);
+    const onBoundary = new Set(boundary.flatMap(e => [e.a, e.b]));
+    const onWire = new Set(mesh.wires.flat());
+
+    const moved = new Map();
+    normals.forEach((sum, v) => {
+      if (sum.lengthSq() < AREA_EPS) return;
+      const offset = sum.normalize().multiplyScalar(d);
+      const shared = onBoundary.has(v) || onWire.has(v) ||
+        mesh.vertexFaces[v].some(f => !region.has(f));
+      const target = shared ? HE.addVertex(mesh, HE.getPosition(mesh, v)) : v;
+      HE.setPosition(mesh, target, HE.getPosition(mesh, v).add(offset));
+      moved.set(v, target);
+    });
+    if (!moved.size) return null;
+
+    const to = (v) => moved.get(v) ?? v;
+    for (const e of boundary) addWall(mesh, e.f, e.a, e.b, to(e.a), to(e.b));
+    for (const f of faces) mesh.faces[f] = mesh.faces[f].map(to);
+
+    HE.buildTopology(mesh);
+    return { mesh, selection: faceSelection(mesh, faces) };
+  }
+
+  // edges: [[a, b], ...]. Cada borde genera un quad nuevo; si el borde pertenece a una cara,
+  // el quad continúa esa superficie hacia fuera y con la misma orientación
+  function extrudeEdges(source, edges, { distance } = {}) {
+    if (!edges.length) return null;
+    const mesh = HE.cloneMesh(source);
+
+    const sides = [];
+    const dirs = new Map();
+    const addDir = (v, dir) => {
+      if (!dirs.has(v)) dirs.set(v, new THREE.Vector3());
+      dirs.get(v).add(dir);
+    };
+
+    for (const [i, j] of edges) {
+      const e = HE.edgeId(mesh, i, j);
+      if (e < 0) continue;
+
+      // El quad nuevo recorre el borde en sentido contrario a la cara vecina
+      let a = i, b = j, f = -1;
+      for (const g of mesh.edgeFaces[e]) {
+        const verts = mesh.faces[g];
+        const k = verts.indexOf(i);
+        if (verts[(k + 1) % verts.length] === j) { a = j; b = i; }
+        f = g;
+        break;
+      }
+
+      const along = HE.getPosition(mesh, b).sub(HE.getPosition(mesh, a));
+      const out = f >= 0
+        ? new THREE.Vector3().crossVectors(HE.faceNormal(mesh, f), along).normalize()
+        : anyPerpendicular(along.clone().normalize());
+
+      sides.push({ a, b, f });
+      addDir(a, out);
+      addDir(b, out);
+    }
+    if (!sides.length) return null;
+
+    const d = distance ?? typicalEdgeLength(mesh, facesOfVertices(mesh, Array.from(dirs.keys()))) * 0.5;
+    const copies = new Map();
+    dirs.forEach((dir, v) => {
+      const p = HE.getPosition(mesh, v);
+      if (dir.lengthSq() > AREA_EPS) p.addScaledVector(dir.normalize(), d);
+      copies.set(v, HE.addVertex(mesh, p));
+    });
+
+    const selection = [];
+    for (const { a, b, f } of sides) {
+      addWall(mesh, f, a, b, copies.get(a), copies.get(b));
+      selection.push({ kind: 'e', verts: [copies.get(a), copies.get(b)] });
+    }
+
+    // Los bordes sueltos extruidos pasan a formar parte de la cara nueva
+    const extruded = new Set(sides.map(s => `${Math.min(s.a, s.b)}_${Math.max(s.a, s.b)}`));
+    mesh.wires = mesh.wires.filter(([a, b]) => !extruded.has(`${Math.min(a, b)}_${Math.max(a, b)}`));
+
+    HE.buildTopology(mesh);
+    return { mesh, selection };
+  }
+
+  // Cada vértice genera un borde suelto hacia fuera (según su normal, o prolongando
+  // el borde suelto del que forma parte)
+  function extrudeVertices(source, verts, { distance } = {}) {
+    if (!verts.length) return null;
+    const mesh = HE.cloneMesh(source);
+
+    const adjacent = facesOfVertices(mesh, verts);
+    const d = distance ?? (adjacent.length ? typicalEdgeLength(mesh, adjacent) * 0.5 : 0.5);
+
+    const selection = [];
+    for (const v of Array.from(new Set(verts))) {
+      const p = HE.getPosition(mesh, v);
+      const dir = HE.vertexNormal(mesh, v);
+      if (dir.lengthSq() < AREA_EPS) {
+        HE.vertexNeighbors(mesh, v).forEach(w => dir.add(p.clone().sub(HE.getPosition(mesh, w))));
+        if (dir.lengthSq() < AREA_EPS) dir.set(0, 1, 0);
+        dir.normalize();
+      }
+      const nv = HE.addVertex(mesh, p.addScaledVector(dir, d));
+      mesh.wires.push([v, nv]);
+      selection.push({ kind: 'v', verts: [nv] });
+    }
+
+    HE.buildTopology(mesh);
+    return { mesh, selection };
+  }
+
+  /* ===== INSET ===== */
+  // Encoge la región hacia dentro en su propio plano: los vértices del contorno se
+  // duplican y se desplazan `thickness` hacia el interior, y el anillo se rellena con quads
+  function insetFaces(source, faceIds, { thickness } = {}) {
+    const faces = Array.from(new Set(faceIds));
+    if (!faces.length) return null;
+    const mesh = HE.cloneMesh(source);
+    const region = new Set(faces);
+
+    const boundary = regionBoundary(mesh, region);
+    if (!boundary.length) return null;
+
+    const t = thickness ?? typicalEdgeLength(mesh, faces) * 0.2;
+
+    // Perpendicular hacia el interior de cada borde (dentro del plano de su cara)
+    const inward = new Map();
+    for (const e of boundary) {
+      const along = HE.getPosition(mesh, e.b).sub(HE.getPosition(mesh, e.a));
+      const perp = new THREE.Vector3().crossVectors(HE.faceNormal(mesh, e.f), along).normalize();
+      for (const v of [e.a, e.b]) {
+        if (!inward.has(v)) inward.set(v, []);
+        inward.get(v).push(perp);
+      }
+    }
+
+    // En las esquinas se alarga el desplazamiento (inglete) para mantener el grosor
+    const moved = new Map();
+    inward.forEach((perps, v) => {
+      const dir = perps.reduce((acc, p) => acc.add(p), new THREE.Vector3());
+      if (dir.lengthSq() < AREA_EPS) return;
+      dir.normalize();
+      const cos = Math.max(0.2, Math.min(...perps.map(p => p.dot(dir))));
+      moved.set(v, HE.addVertex(mesh, HE.getPosition(mesh, v).addScaledVector(dir, t / cos)));
+    });
+
+    const to = (v) => moved.get(v) ?? v;
+    for (const e of boundary) addWall(mesh, e.f, e.a, e.b, to(e.a), to(e.b));
+    for (const f of faces) mesh.faces[f] = mesh.faces[f].map(to);
+
+    HE.buildTopology(mesh);
+    return { mesh, selection: faceSelection(mesh, faces) };
+  }
+
+  /* ===== MERGE ===== */
+  // Área (por Newell) del polígono `verts` con las posiciones de `mesh`
+  function polygonArea(mesh, verts) {
+    const n = new THREE.Vector3();
+    const p = new THREE.Vector3();
+    const q = new THREE.Vector3();
+    for (let k = 0; k < verts.length; k++) {
+      HE.getPosition(mesh, verts[k], p);
+      HE.getPosition(mesh, verts[(k + 1) % verts.length], q);
+      n.x += (p.y - q.y) * (p.z + q.z);
+      n.y += (p.z - q.z) * (p.x + q.x);
+      n.z += (p.x - q.x) * (p.y + q.y);
+    }
+    return n.length() / 2;
+  }
+
+  // Grupos de vértices a menos de `threshold` entre sí (por cadenas de vecinos), con su
+  // centro como destino. verts: candidatos (por defecto toda la malla). Con `matrix` las
+  // distancias se miden tras aplicarla (matrixWorld: umbral en unidades de mundo)
+  function distanceGroups(mesh, threshold, verts = null, matrix = null) {
+    const candidates = verts ? Array.from(new Set(verts)) : Array.from({ length: HE.vertexCount(mesh) }, (_, v) => v);
+    const allowed = verts ? new Set(candidates) : null;
+    const root = new Map(candidates.map(v => [v, v]));
+    const find = (v) => {
+      while (root.get(v) !== v) {
+        root.set(v, root.get(root.get(v)));
+        v = root.get(v);
+      }
+      return v;
+    };
+
+    for (const v of candidates) {
+      for (const { id: w } of neighborsWithin(mesh, v, threshold, matrix)) {
+        if (w === v || (allowed && !allowed.has(w))) continue;
+        const a = find(v);
+        const b = find(w);
+        if (a !== b) root.set(Math.max(a, b), Math.min(a, b));
+      }
+    }
+
+    const clusters = new Map();
+    for (const v of candidates) {
+      const r = find(v);
+      if (!clusters.has(r)) clusters.set(r, []);
+      clusters.get(r).push(v);
+    }
+    return Array.from(clusters.values())
+      .filter(group => group.length > 1)
+      .map(group => ({ verts: group.sort((a, b) => a - b), target: HE.centroid(mesh, group) }));
+  }
+
+  // Vértices a menos de `threshold` de v: [{ id, dist }] (incluye a v). Con `matrix` la
+  // distancia se mide tras aplicarla; el hash de la malla es local, así que se consulta
+  // con un radio que cubre el umbral con cualquier escala (‖A⁻¹‖ de Frobenius acota la
+  // mayor dilatación de la inversa) y se filtran los candidatos por su distancia real
+  function neighborsWithin(mesh, v, threshold, matrix = null) {
+    const index = HE.spatialIndex(mesh);
+    const p = HE.getPosition(mesh, v);
+    const q = new THREE.Vector3();
+    if (!matrix) {
+      return SPATIAL.queryRadius(index, mesh.positions, p, threshold)
+        .map(id => ({ id, dist: p.distanceTo(HE.getPosition(mesh, id, q)) }));
+    }
+    const radius = threshold * localScaleBound(matrix);
+    const world = p.clone().applyMatrix4(matrix);
+    const out = [];
+    for (const id of SPATIAL.queryRadius(index, mesh.positions, p, radius)) {
+      const dist = world.distanceTo(HE.getPosition(mesh, id, q).applyMatrix4(matrix));
+      if (dist <= threshold) out.push({ id, dist });
+    }
+    return out;
+  }
+
+  function localScaleBound(matrix) {
+    const inverse = new THREE.Matrix3().setFromMatrix4(matrix).invert().elements;
+    const norm = Math.sqrt(inverse.reduce((sum, x) => sum + x * x, 0));
+    return Number.isFinite(norm) && norm > 0 ? norm : 1;
+  }
+
+  // groups: [{ verts, target }]. Cada grupo se colapsa en su primer vértice, colocado en
+  // target; las caras que se quedan sin área desaparecen y los vértices absorbidos se
+  // eliminan. La selección devuelta son los vértices resultantes
+  function mergeVertices(source, groups) {
+    if (!groups?.length) return null;
+    const mesh = HE.cloneMesh(source);
+
+    const into = new Map();
+    const kept = [];
+    for (const { verts, target } of groups) {
+      const unique = Array.from(new Set(verts));
+      if (!unique.length) continue;
+      unique.forEach(v => into.set(v, unique[0]));
+      HE.setPosition(mesh, unique[0], target);
+      kept.push(unique[0]);
+    }
+    const to = (v) => into.get(v) ?? v;
+
+    const faces = [];
+    const uvs = mesh.uvs ? [] : null;
+    mesh.faces.forEach((f, fi) => {
+      const verts = [];
+      const uv = [];
+      f.forEach((v, k) => {
+        const w = to(v);
+        if (verts.includes(w)) return;
+        verts.push(w);
+        if (uvs) uv.push(mesh.uvs[fi][k * 2], mesh.uvs[fi][k * 2 + 1]);
+      });
+      if (verts.length < 3 || polygonArea(mesh, verts) < AREA_EPS) return;
+      faces.push(verts);
+      if (uvs) uvs.push(uv);
+    });
+
+    const wireKeys = new Set();
+    const wires = [];
+    for (const [a0, b0] of mesh.wires) {
+      const a = to(a0);
+      const b = to(b0);
+      const key = `${Math.min(a, b)}_${Math.max(a, b)}`;
+      if (a === b || wireKeys.has(key)) continue;
+      wireKeys.add(key);
+      wires.push([a, b]);
+    }
+
+    // Compactar: fuera los vértices absorbidos por otro
+    const remap = new Int32Array(HE.vertexCount(mesh)).fill(-1);
+    const positions = [];
+    for (let v = 0; v < remap.length; v++) {
+      if (to(v) !== v) continue;
+      remap[v] = positions.length / 3;
+      positions.push(mesh.positions[v * 3], mesh.positions[v * 3 + 1], mesh.positions[v * 3 + 2]);
+    }
+
+    const merged = HE.createMesh({
+      positions,
+      faces: faces.map(f => f.map(v => remap[v])),
+      uvs,
+      wires: wires.map(([a, b]) => [remap[a], remap[b]])
+    });
+    return { mesh: merged, selection: kept.map(v => ({ kind: 'v', verts: [remap[v]] })) };
+  }
+
+  /* ===== MIRROR ===== */
+  // Añade la copia reflejada en cada eje local de `axes` (uno tras otro, así x+z da las
+  // cuatro partes) con el giro de las caras invertido. Los vértices a menos de
+  // `tolerance` del plano se sueldan con su reflejo y las caras que quedan enteras
+  // sobre el plano no se duplican
+  function mirrorMesh(source, axes, { tolerance = 1e-3 } = {}) {
+    if (!axes?.length) return null;
+    let mesh = source;
+    for (const axis of axes) {
+      const a = 'xyz'.indexOf(axis);
+      if (a < 0) continue;
+      const n = HE.vertexCount(mesh);
+      const onPlane = (v) => Math.abs(mesh.positions[v * 3 + a]) <= tolerance;
+
+      const positions = Array.from(mesh.positions);
+      for (let v = 0; v < n; v++) {
+        const p = mesh.positions.slice(v * 3, v * 3 + 3);
+        p[a] = -p[a];
+        positions.push(...p);
+      }
+
+      const faces = mesh.faces.map(f => f.slice());
+      const uvs = mesh.uvs ? mesh.uvs.map(uv => uv.slice()) : null;
+      mesh.faces.forEach((f, fi) => {
+        if (f.every(onPlane)) return;
+        faces.push(f.map(v => v + n).reverse());
+        if (!uvs) return;
+        const uv = [];
+        for (let k = f.length - 1; k >= 0; k--) uv.push(mesh.uvs[fi][k * 2], mesh.uvs[fi][k * 2 + 1]);
+        uvs.push(uv);
+      });
+      const wires = [...mesh.wires.map(w => w.slice()), ...mesh.wires.map(([i, j]) => [i + n, j + n])];
+
+      const doubled = HE.createMesh({ positions, faces, uvs, wires });
+      const groups = [];
+      for (let v = 0; v < n; v++) {
+        if (!onPlane(v)) continue;
+        const target = HE.getPosition(mesh, v);
+        target.setComponent(a, 0);
+        groups.push({ verts: [v, v + n], target });
+      }
+      mesh = groups.length ? mergeVertices(doubled, groups).mesh : doubled;
+    }
+    return mesh === source ? null : { mesh, selection: [] };
+  }
+
+  /* ===== SUBDIVIDE ===== */
+  // Divide cada cara de `faceIds` (todas si es null) de n lados en n quads (centro de
+  // cara, puntos medios de borde); las caras vecinas reciben el punto medio de los bordes
+  // cortados para no dejar vértices en T. Con smooth = true es Catmull-Clark dentro de
+  // la región: los bordes abiertos se suavizan como curva y los vértices del contorno de
+  // la región (o con más de dos bordes abiertos) no se mueven
+  function subdivideMesh(source, { smooth = true, faces: faceIds = null } = {}) {
+    const mesh = source;
+    const region = new Set(faceIds ?? mesh.faces.map((_, f) => f));
+    region.forEach(f => { if (!mesh.faces[f]) region.delete(f); });
+    if (!region.size) return null;
+
+    const n = HE.vertexCount(mesh);
+    const positions = Array.from(mesh.positions);
+    const p = new THREE.Vector3();
+    const q = new THREE.Vector3();
+    const inRegion = (faces) => faces.filter(f => region.has(f));
+
+    const facePoint = new Map();
+    region.forEach(f => {
+      HE.faceCentroid(mesh, f).toArray(positions, positions.length);
+      facePoint.set(f, positions.length / 3 - 1);
+    });
+
+    const edgePoint = new Map();
+    mesh.edges.forEach(([a, b], e) => {
+      const faces = mesh.edgeFaces[e];
+      if (!inRegion(faces).length) return;
+      HE.getPosition(mesh, a, p).add(HE.getPosition(mesh, b, q));
+      if (smooth && faces.length === 2 && inRegion(faces).length === 2) {
+        faces.forEach(f => p.add(HE.faceCentroid(mesh, f, q)));
+        p.multiplyScalar(0.25);
+      } else {
+        p.multiplyScalar(0.5);
+      }
+      p.toArray(positions, positions.length);
+      edgePoint.set(e, positions.length / 3 - 1);
+    });
+
+    if (smooth) {
+      const sum = new THREE.Vector3();
+      for (let v = 0; v < n; v++) {
+        const faces = mesh.vertexFaces[v];
+        if (!faces.length || inRegion(faces).length !== faces.length) continue;
+        const edges = HE.vertexNeighbors(mesh, v).map(w => HE.edgeId(mesh, v, w)).filter(e => mesh.edgeFaces[e]?.length);
+        const open = edges.filter(e => mesh.edgeFaces[e].length === 1);
+        HE.getPosition(mesh, v, p);
+        if (open.length === 2) {
+          // Contorno: (vecino + 6·P + vecino) / 8
+          sum.copy(p).multiplyScalar(6);
+          open.forEach(e => sum.add(HE.getPosition(mesh, mesh.edges[e].find(w => w !== v), q)));
+          sum.multiplyScalar(1 / 8).toArray(positions, v * 3);
+        } else if (!open.length) {
+          // Interior: (F + 2R + (k - 3)·P) / k
+          const k = faces.length;
+          const F = new THREE.Vector3();
+          faces.forEach(f => F.add(HE.faceCentroid(mesh, f, q)));
+          F.multiplyScalar(1 / k);
+          const R = new THREE.Vector3();
+          edges.forEach(e => {
+            const [a, b] = mesh.edges[e];
+            R.add(HE.getPosition(mesh, a, q)).add(HE.getPosition(mesh, b, q));
+          });
+          R.multiplyScalar(0.5 / edges.length);
+          sum.copy(F).addScaledVector(R, 2).addScaledVector(p, k - 3).multiplyScalar(1 / k).toArray(positions, v * 3);
+        }
+      }
+    }
+
+    const faces = [];
+    const uvs = mesh.uvs ? [] : null;
+    const created = [];
+    mesh.faces.forEach((verts, f) => {
+      const m = verts.length;
+      const ep = verts.map((v, k) => edgePoint.get(HE.edgeId(mesh, v, verts[(k + 1) % m])));
+      const uv = mesh.uvs?.[f];
+      const mid = (k) => {
+        const j = (k + 1) % m;
+        return [(uv[k * 2] + uv[j * 2]) / 2, (uv[k * 2 + 1] + uv[j * 2 + 1]) / 2];
+      };
+
+      if (!region.has(f)) {
+        // Vecina: solo gana los puntos medios de los bordes que comparte con la región
+        const poly = [];
+        const polyUV = [];
+        verts.forEach((v, k) => {
+          poly.push(v);
+          if (uv) polyUV.push(uv[k * 2], uv[k * 2 + 1]);
+          if (ep[k] === undefined) return;
+          poly.push(ep[k]);
+          if (uv) polyUV.push(...mid(k));
+        });
+        faces.push(poly);
+        if (uvs) uvs.push(polyUV);
+        return;
+      }
+
+      let center = null;
+      if (uv) {
+        center = [0, 0];
+        for (let k = 0; k < m; k++) { center[0] += uv[k * 2] / m; center[1] += uv[k * 2 + 1] / m; }
+      }
+      for (let k = 0; k < m; k++) {
+        const prev = (k + m - 1) % m;
+        created.push(faces.length);
+        faces.push([verts[k], ep[k], facePoint.get(f), ep[prev]]);
+        if (uvs) uvs.push([uv[k * 2], uv[k * 2 + 1], ...mid(k), ...center, ...mid(prev)]);
+      }
+    });
+
+    const subdivided = HE.createMesh({ positions, faces, uvs, wires: mesh.wires });
+    return { mesh: subdivided, selection: faceSelection(subdivided, created) };
+  }
+
+  /* ===== LOOP CUT ===== */
+  // Bordes del anillo que pasa por `edge` (raíles), todos orientados en el sentido a0 -> b0
+  // del inicial, y los quads que atraviesa: { face, from, to } con from[0]-to[0] y
+  // from[1]-to[1] unidos por un lado del quad
+  function orientedRing(mesh, edge) {
+    const [a0, b0] = mesh.edges[edge];
+    const rails = [[a0, b0]];
+    const quads = [];
+    const seen = new Set([edge]);
+    // Quad (distinto de `skip`) que recorre a -> b
+    const quadAlong = (a, b, skip) => mesh.edgeFaces[HE.edgeId(mesh, a, b)].find(f =>
+      f !== skip && mesh.faces[f].length === 4 && mesh.faces[f][(mesh.faces[f].indexOf(a) + 1) % 4] === b);
+
+    for (const forward of [true, false]) {
+      let [a, b] = forward ? [a0, b0] : [b0, a0];
+      let skip = -1;
+      for (;;) {
+        const f = quadAlong(a, b, skip);
+        if (f === undefined) break;
+        const verts = mesh.faces[f];
+        const k = verts.indexOf(a);
+        const c = verts[(k + 2) % 4];
+        const d = verts[(k + 3) % 4];
+        const to = forward ? [d, c] : [c, d];
+        quads.push({ face: f, from: forward ? [a, b] : [b, a], to });
+        const e = HE.edgeId(mesh, c, d);
+        if (seen.has(e)) return { rails, quads, closed: true };
+        seen.add(e);
+        if (forward) rails.push(to);
+        else rails.unshift(to);
+        // El quad siguiente recorre d -> c
+        [a, b] = [d, c];
+        skip = f;
+      }
+    }
+    return { rails, quads, closed: false };
+  }
+
+  // Corta el anillo de quads que cruza `edge` con `cuts` loops repartidos; slide (-1..1)
+  // los desplaza juntos hacia un lado del anillo. Las caras no quad de los extremos
+  // reciben los puntos de corte. selection: los bordes de los loops nuevos
+  function loopCut(source, edge, { cuts = 1, slide = 0 } = {}) {
+    const mesh = source;
+    if (!mesh.edges[edge] || !mesh.edgeFaces[edge]?.length) return null;
+    const { rails, quads } = orientedRing(mesh, edge);
+    if (!quads.length) return null;
+
+    const count = Math.max(1, Math.floor(cuts));
+    const base = Array.from({ length: count }, (_, i) => (i + 1) / (count + 1));
+    const room = Math.min(base[0], 1 - base[count - 1]) * 0.98;
+    const ts = base.map(t => t + THREE.MathUtils.clamp(slide, -1, 1) * room);
+
+    const positions = Array.from(mesh.positions);
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    // Puntos de corte (y su parámetro t) de cada borde del anillo, en ambos sentidos
+    const cutsOf = new Map();
+    for (const [ra, rb] of rails) {
+      HE.getPosition(mesh, ra, a);
+      HE.getPosition(mesh, rb, b);
+      const ids = ts.map(t => {
+        a.clone().lerp(b, t).toArray(positions, positions.length);
+        return positions.length / 3 - 1;
+      });
+      cutsOf.set(`${ra}>${rb}`, { ids, ts });
+      cutsOf.set(`${rb}>${ra}`, { ids: ids.slice().reverse(), ts: ts.map(t => 1 - t).reverse() });
+    }
+
+    const ringFaces = new Map(quads.map(q => [q.face, q]));
+    const faces = [];
+    const uvs = mesh.uvs ? [] : null;
+    const cornerUV = (f, k) => [mesh.uvs[f][k * 2], mesh.uvs[f][k * 2 + 1]];
+    const lerpUV = (u, w, t) => [u[0] + (w[0] - u[0]) * t, u[1] + (w[1] - u[1]) * t];
+    const selection = [];
+
+    mesh.faces.forEach((verts, f) => {
+      const m = verts.length;
+      const quad = ringFaces.get(f);
+      if (quad) {
+        // Orden de la cara: a, b, b', a' con (a, b) = from y (a', b') = to
+        const [fa, fb] = quad.from;
+        const [ta, tb] = quad.to;
+        const P = cutsOf.get(`${fa}>${fb}`).ids;
+        const Q = cutsOf.get(`${ta}>${tb}`).ids;
+        const k = verts.indexOf(fa);
+        const fromAB = verts[(k + 1) % 4] === fb;
+        const row = (i) => (i === 0 ? [fa, ta] : i === count + 1 ? [fb, tb] : [P[i - 1], Q[i - 1]]);
+        const uvRow = (i) => {
+          if (!uvs) return null;
+          const kFa = verts.indexOf(fa), kFb = verts.indexOf(fb), kTa = verts.indexOf(ta), kTb = verts.indexOf(tb);
+          if (i === 0) return [cornerUV(f, kFa), cornerUV(f, kTa)];
+          if (i === count + 1) return [cornerUV(f, kFb), cornerUV(f, kTb)];
+          const t = ts[i - 1];
+          return [lerpUV(cornerUV(f, kFa), cornerUV(f, kFb), t), lerpUV(cornerUV(f, kTa), cornerUV(f, kTb), t)];
+        };
+        for (let i = 0; i <= count; i++) {
+          const [p0, q0] = row(i);
+          const [p1, q1] = row(i + 1);
+          const poly = fromAB ? [p0, p1, q1, q0] : [q0, q1, p1, p0];
+          faces.push(poly);
+          if (uvs) {
+            const [u0, w0] = uvRow(i);
+            const [u1, w1] = uvRow(i + 1);
+            uvs.push((fromAB ? [u0, u1, w1, w0] : [w0, w1, u1, u0]).flat());
+          }
+          if (i > 0) selection.push({ kind: 'e', verts: [p0, q0] });
+        }
+        return;
+      }
+
+      // Cara fuera del anillo: se le insertan los cortes de los bordes que toca
+      const poly = [];
+      const polyUV = [];
+      verts.forEach((v, k) => {
+        const w = verts[(k + 1) % m];
+        poly.push(v);
+        if (uvs) polyUV.push(...cornerUV(f, k));
+        const cut = cutsOf.get(`${v}>${w}`);
+        if (!cut) return;
+        poly.push(...cut.ids);
+        if (uvs) cut.ts.forEach(t => polyUV.push(...lerpUV(cornerUV(f, k), cornerUV(f, (k + 1) % m), t)));
+      });
+      faces.push(poly);
+      if (uvs) uvs.push(polyUV);
+    });
+
+    // Los bordes sueltos que coinciden con un borde cortado se parten igual
+    const wires = [];
+    mesh.wires.forEach(([i, j]) => {
+      const cut = cutsOf.get(`${i}>${j}`);
+      const chain = cut ? [i, ...cut.ids, j] : [i, j];
+      for (let k = 0; k < chain.length - 1; k++) wires.push([chain[k], chain[k + 1]]);
+    });
+
+    const cut = HE.createMesh({ positions, faces, uvs, wires });
+    return { mesh: cut, selection };
+  }
+
+  /* ===== BEVEL ===== */
+  // Bisel de bordes: cada borde de `edges` se sustituye por `segments` caras que cubren
+  // un ancho `width` (medido a lo largo de las caras vecinas), redondeadas con una curva
+  // que tiene el vértice original como control, y cada vértice afectado por un polígono
+  // que cierra la esquina. Solo se biselan bordes con dos caras
+  function bevelEdges(source, edges, { width, segments = 1 } = {}) {
+    const bevelled = new Set(edges.filter(e => source.edgeFaces[e]?.length === 2));
+    if (!bevelled.size) return null;
+    return bevel(source, bevelled, new Set(), { width, segments });
+  }
+
+  // Bisel de vértices: cada vértice de `verts` se recorta a `width` por todos sus bordes
+  // y el hueco se cierra con un polígono (siempre de un segmento)
+  function bevelVertices(source, verts, { width } = {}) {
+    const cut = new Set(verts.filter(v => source.vertexFaces[v]?.length));
+    if (!cut.size) return null;
+    return bevel(source, new Set(), cut, { width, segments: 1 });
+  }
+
+  function bevel(mesh, bevelled, cut, { width, segments }) {
+    const offset = width ?? typicalEdgeLength(mesh, mesh.faces.map((_, f) => f)) * 0.1;
+    const segs = Math.max(1, Math.floor(segments));
+
+    const isBevelled = (a, b) => bevelled.has(HE.edgeId(mesh, a, b));
+    const touched = new Set(cut);
+    bevelled.forEach(e => mesh.edges[e].forEach(v => touched.add(v)));
+
+    // Borde sin biselar por el que se desliza un vértice: el de una esquina cuyo otro
+    // borde sí se bisela, o cualquiera de un vértice recortado
+    const slides = new Set();
+    mesh.faces.forEach(verts => {
+      const m = verts.length;
+      verts.forEach((v, k) => {
+        const prev = verts[(k + m - 1) % m];
+        const next = verts[(k + 1) % m];
+        const inB = isBevelled(prev, v);
+        const outB = isBevelled(v, next);
+        if ((inB || cut.has(v)) && !outB) slides.add(`${v}>${next}`);
+        if ((outB || cut.has(v)) && !inB) slides.add(`${v}>${prev}`);
+      });
+    });
+
+    const positions = Array.from(mesh.positions);
+    const ids = new Map();
+    const point = (key, make) => {
+      if (!ids.has(key)) {
+        make().toArray(positions, positions.length);
+        ids.set(key, positions.length / 3 - 1);
+      }
+      return ids.get(key);
+    };
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    // Desplazamiento desde v hacia w, como mucho hasta el 45 % del borde
+    const along = (v, w) => {
+      const len = HE.getPosition(mesh, w, b).sub(HE.getPosition(mesh, v, a)).length();
+      return len > 0 ? b.multiplyScalar(Math.min(offset, len * 0.45) / len) : b.set(0, 0, 0);
+    };
+    const slid = (v, to) => point(`s${v}>${to}`, () => HE.getPosition(mesh, v).add(along(v, to)));
+    const uvAlong = (f, k, j) => {
+      const uv = mesh.uvs[f];
+      const v = mesh.faces[f][k];
+      const to = mesh.faces[f][j];
+      const len = HE.getPosition(mesh, to, b).distanceTo(HE.getPosition(mesh, v, a));
+      const t = len > 0 ? Math.min(offset, len * 0.45) / len : 0;
+      return [(uv[j * 2] - uv[k * 2]) * t, (uv[j * 2 + 1] - uv[k * 2 + 1]) * t];
+    };
+
+    // Esquinas nuevas de cada cara: corners[f][k] = [{ id, uv }] del lado del borde de
+    // entrada al de salida
+    const corners = mesh.faces.map((verts, f) => {
+      const m = verts.length;
+      return verts.map((v, k) => {
+        const kp = (k + m - 1) % m;
+        const kn = (k + 1) % m;
+        const prev = verts[kp];
+        const next = verts[kn];
+        const inB = isBevelled(prev, v);
+        const outB = isBevelled(v, next);
+        const uv0 = mesh.uvs ? [mesh.uvs[f][k * 2], mesh.uvs[f][k * 2 + 1]] : null;
+        const at = (id, ...offsets) => ({
+          id,
+          uv: uv0 && offsets.reduce((acc, o) => [acc[0] + o[0], acc[1] + o[1]], uv0)
+        });
+        if (inB && outB) {
+          const id = point(`q${f}:${k}`, () => HE.getPosition(mesh, v).add(along(v, prev)).add(along(v, next)));
+          return [at(id, ...(mesh.uvs ? [uvAlong(f, k, kp), uvAlong(f, k, kn)] : []))];
+        }
+        if (inB) return [at(slid(v, next), ...(mesh.uvs ? [uvAlong(f, k, kn)] : []))];
+        if (outB) return [at(slid(v, prev), ...(mesh.uvs ? [uvAlong(f, k, kp)] : []))];
+        const list = [];
+        const push = (c) => { if (!list.some(x => x.id === c.id)) list.push(c); };
+        push(slides.has(`${v}>${prev}`) ? at(slid(v, prev), ...(mesh.uvs ? [uvAlong(f, k, kp)] : [])) : at(v));
+        push(slides.has(`${v}>${next}`) ? at(slid(v, next), ...(mesh.uvs ? [uvAlong(f, k, kn)] : [])) : at(v));
+        return list;
+      });
+    });
+
+    const faces = [];
+    const uvs = mesh.uvs ? [] : null;
+    const created = [];
+    // Medias aristas a -> b ya usadas (null: hay que recalcularlas tras spliceCollinear)
+    let directed = null;
+    const halfEdges = () => {
+      if (!directed) {
+        directed = new Set();
+        faces.forEach(face => face.forEach((i, k) => directed.add(`${i}>${face[(k + 1) % face.length]}`)));
+      }
+      return directed;
+    };
+    const addPolygon = (list, keep = false) => {
+      const ids = list.map(c => c.id);
+      if (new Set(ids).size < 3) return -1;
+      faces.push(ids);
+      if (directed) ids.forEach((i, k) => directed.add(`${i}>${ids[(k + 1) % ids.length]}`));
+      if (uvs) uvs.push(list.flatMap(c => c.uv ?? [0, 0]));
+      if (!keep) created.push(faces.length - 1);
+      return faces.length - 1;
+    };
+
+    mesh.faces.forEach((_, f) => addPolygon(corners[f].flat(), true));
+
+    // Puntos de la curva del bisel en el extremo v, de la esquina A (lado de f1) a la B
+    // (lado de f2); el punto que cae sobre v (esquina plana) reutiliza v. Dos bordes
+    // biselados que acaban en las mismas esquinas comparten la curva
+    const curves = new Map(); // v -> [Set de ids de cada curva]
+    const profile = (A, v, B) => {
+      const pv = HE.getPosition(mesh, v);
+      const pa = new THREE.Vector3().fromArray(positions, A.id * 3);
+      const pb = new THREE.Vector3().fromArray(positions, B.id * 3);
+      const out = [A];
+      for (let i = 1; i < segs; i++) {
+        const t = i / segs;
+        const p = pa.clone().multiplyScalar((1 - t) * (1 - t))
+          .addScaledVector(pv, 2 * t * (1 - t))
+          .addScaledVector(pb, t * t);
+        const key = A.id < B.id ? `c${v}:${A.id}:${B.id}:${i}` : `c${v}:${B.id}:${A.id}:${segs - i}`;
+        const id = p.distanceToSquared(pv) < AREA_EPS ? v : point(key, () => p);
+        const uv = A.uv && B.uv ? [A.uv[0] + (B.uv[0] - A.uv[0]) * t, A.uv[1] + (B.uv[1] - A.uv[1]) * t] : null;
+        out.push({ id, uv });
+      }
+      out.push(B);
+      if (!curves.has(v)) curves.set(v, []);
+      curves.get(v).push(new Set(out.map(c => c.id)));
+      return out;
+    };
+
+    // Caras del bisel: `segs` por borde, entre las dos caras vecinas
+    const cornerOf = (f, v) => corners[f][mesh.faces[f].indexOf(v)];
+    const mids = new Map(); // `${e}:${v}` -> puntos intermedios de la curva en v, de f1 a f2
+    for (const e of bevelled) {
+      const [va, vb] = mesh.edges[e];
+      const [f1, f2] = mesh.edgeFaces[e];
+      const verts = mesh.faces[f1];
+      const k = verts.indexOf(va);
+      // f1 recorre a -> b; f2 recorre b -> a
+      const [from, to] = verts[(k + 1) % verts.length] === vb ? [va, vb] : [vb, va];
+      const c1from = cornerOf(f1, from);
+      const c1to = cornerOf(f1, to);
+      const c2from = cornerOf(f2, from);
+      const c2to = cornerOf(f2, to);
+      const m0 = profile(c1from[c1from.length - 1], from, c2from[0]);
+      const m1 = profile(c1to[0], to, c2to[c2to.length - 1]);
+      mids.set(`${e}:${from}`, m0.slice(1, -1));
+      mids.set(`${e}:${to}`, m1.slice(1, -1));
+      for (let i = 0; i < segs; i++) addPolygon([m1[i], m0[i], m0[i + 1], m1[i + 1]]);
+    }
+
+    // Esquinas alineadas (bordes sin biselar en línea recta a ambos lados): en vez de un
+    // polígono sin área, los puntos intermedios se insertan en los bordes de las caras
+    // que pasan por encima de ellos, con la UV interpolada en cada cara
+    const spliceCollinear = (list) => {
+      const inList = new Set(list.map(c => c.id));
+      faces.forEach((face, f) => {
+        for (let k = 0; k < face.length; k++) {
+          const i = face[k];
+          const j = face[(k + 1) % face.length];
+          if (!inList.has(i) || !inList.has(j)) continue;
+          const pi = new THREE.Vector3().fromArray(positions, i * 3);
+          const pj = new THREE.Vector3().fromArray(positions, j * 3);
+          const span = pi.distanceToSquared(pj);
+          const between = list
+            .filter(c => !face.includes(c.id))
+            .map(c => {
+              const p = new THREE.Vector3().fromArray(positions, c.id * 3);
+              return { id: c.id, t: p.distanceToSquared(pi), s: p.distanceToSquared(pj) };
+            })
+            .filter(x => x.t < span && x.s < span)
+            .sort((x, y) => x.t - y.t);
+          if (!between.length) continue;
+          face.splice(k + 1, 0, ...between.map(x => x.id));
+          directed = null;
+          if (uvs) {
+            const uv = uvs[f];
+            const kj = (k + 1) % (uv.length / 2);
+            const lerp = (x, c) => uv[k * 2 + c] + (uv[kj * 2 + c] - uv[k * 2 + c]) * Math.sqrt(x.t / span);
+            uv.splice((k + 1) * 2, 0, ...between.flatMap(x => [lerp(x, 0), lerp(x, 1)]));
+          }
+          k += between.length;
+        }
+      });
+    };
+
+    // Polígono de cada vértice: las esquinas nuevas alrededor de v en orden de abanico
+    const n = new THREE.Vector3();
+    const pts = [];
+    for (const v of touched) {
+      const fan = vertexFan(mesh, v);
+      if (!fan) continue;
+      const list = [];
+      const push = (c) => { if (!list.some(x => x.id === c.id)) list.push(c); };
+      for (const f of fan.faces) {
+        cornerOf(f, v).forEach(push);
+        // Al cruzar a la cara siguiente por un borde biselado se pasa por su curva
+        const verts = mesh.faces[f];
+        const e = HE.edgeId(mesh, v, verts[(verts.indexOf(v) + 1) % verts.length]);
+        const curve = mids.get(`${e}:${v}`);
+        if (!curve) continue;
+        (mesh.edgeFaces[e][0] === f ? curve : curve.slice().reverse()).forEach(push);
+      }
+      if (fan.open && !cut.has(v) && !list.some(c => c.id === v)) {
+        list.push({ id: v, uv: mesh.uvs ? HE.cornerUV(mesh, fan.faces[0], v) : null });
+      }
+      if (list.length < 3) continue;
+      // Solo la curva que ya cosen entre sí dos caras de bisel: no hay hueco que cerrar
+      const same = (curves.get(v) ?? []).filter(ids => ids.size === list.length && list.every(c => ids.has(c.id)));
+      if (same.length > 1) continue;
+
+      pts.length = 0;
+      list.forEach(c => pts.push(new THREE.Vector3().fromArray(positions, c.id * 3)));
+      n.set(0, 0, 0);
+      for (let i = 0; i < pts.length; i++) {
+        const p0 = pts[i];
+        const p1 = pts[(i + 1) % pts.length];
+        n.x += (p0.y - p1.y) * (p0.z + p1.z);
+        n.y += (p0.z - p1.z) * (p0.x + p1.x);
+        n.z += (p0.x - p1.x) * (p0.y + p1.y);
+      }
+      if (n.lengthSq() < AREA_EPS) {
+        spliceCollinear(list);
+        continue;
+      }
+      // Mismo sentido que las caras vecinas: cada borde compartido lo recorren al revés
+      const used = halfEdges();
+      let score = 0;
+      list.forEach((c, i) => {
+        const next = list[(i + 1) % list.length].id;
+        if (used.has(`${c.id}>${next}`)) score--;
+        if (used.has(`${next}>${c.id}`)) score++;
+      });
+      if (score < 0) list.reverse();
+      addPolygon(list);
+    }
+
+    // Dos caras que recorren un borde en el mismo sentido: superficie rota
+    if (hasDuplicateHalfEdges(faces)) return null;
+
+    const result = compactMesh(positions, faces, uvs, mesh.wires);
+    return { mesh: result, selection: faceSelection(result, created) };
+  }
+
+  function hasDuplicateHalfEdges(faces) {
+    const seen = new Set();
+    for (const face of faces) {
+      for (let k = 0; k < face.length; k++) {
+        const key = `${face[k]}>${face[(k + 1) % face.length]}`;
+        if (seen.has(key)) return true;
+        seen.add(key);
+      }
+    }
+    return false;
+  }
+
+  // Caras alrededor de v en orden (cruzando el borde de salida de cada una); open = el
+  // vértice está en un contorno y la lista va de un borde abierto al otro. null si la
+  // vecindad no es una superficie (más de un abanico)
+  function vertexFan(mesh, v) {
+    const faces = mesh.vertexFaces[v];
+    if (!faces.length) return null;
+    const across = (f) => {
+      const verts = mesh.faces[f];
+      const k = verts.indexOf(v);
+      const next = verts[(k + 1) % verts.length];
+      return mesh.edgeFaces[HE.edgeId(mesh, v, next)].find(g => g !== f && mesh.faces[g].includes(v));
+    };
+    const before = (f) => {
+      const verts = mesh.faces[f];
+      const k = verts.indexOf(v);
+      const prev = verts[(k + verts.length - 1) % verts.length];
+      return mesh.edgeFaces[HE.edgeId(mesh, prev, v)].find(g => g !== f && mesh.faces[g].includes(v));
+    };
+
+    // En contorno se empieza por la cara cuyo borde de entrada es abierto
+    let start = faces[0];
+    let open = false;
+    for (let i = 0, f = start; i < faces.length; i++) {
+      const g = before(f);
+      if (g === undefined) { start = f; open = true; break; }
+      f = g;
+    }
+    const ordered = [start];
+    for (let f = across(start); f !== undefined && f !== start && ordered.length < faces.length; f = across(f)) {
+      ordered.push(f);
+    }
+    if (ordered.length !== faces.length) return null;
+    return { faces: ordered, open };
+  }
+
+  /* ===== DELETE / DISSOLVE ===== */
+  // Borra los vértices, bordes y caras dados junto con las caras y bordes sueltos que
+  // los usan; los vértices que se quedan sin nada desaparecen
+  function deleteElements(source, { verts = [], edges = [], faces = [] } = {}) {
+    const mesh = source;
+    const goneVerts = new Set(verts);
+    const goneEdges = new Set(edges);
+    const goneFaces = new Set(faces.filter(f => mesh.faces[f]));
+    goneVerts.forEach(v => (mesh.vertexFaces[v] ?? []).forEach(f => goneFaces.add(f)));
+    goneEdges.forEach(e => (mesh.edgeFaces[e] ?? []).forEach(f => goneFaces.add(f)));
+    const wires = mesh.wires.filter(([a, b]) =>
+      !goneVerts.has(a) && !goneVerts.has(b) && !goneEdges.has(HE.edgeId(mesh, a, b)));
+    if (!goneFaces.size && wires.length === mesh.wires.length) return null;
+
+    const kept = mesh.faces.map((_, f) => f).filter(f => !goneFaces.has(f));
+    const result = compactMesh(
+      mesh.positions,
+      kept.map(f => mesh.faces[f].slice()),
+      mesh.uvs ? kept.map(f => mesh.uvs[f].slice()) : null,
+      wires
+    );
+    return { mesh: result, selection: [] };
+  }
+
+  // Contorno de la región como un único polígono [{ v, uv }], o null si la región es
+  // cerrada, tiene agujeros o se toca a sí misma en un vértice
+  function regionLoop(mesh, region) {
+    const boundary = regionBoundary(mesh, region);
+    if (!boundary.length) return null;
+    const from = new Map();
+    for (const h of boundary) {
+      if (from.has(h.a)) return null;
+      from.set(h.a, h);
+    }
+    const loop = [];
+    let h = boundary[0];
+    do {
+      loop.push({ v: h.a, uv: mesh.uvs ? HE.cornerUV(mesh, h.f, h.a) : null });
+      h = from.get(h.b);
+    } while (h && h !== boundary[0] && loop.length < boundary.length);
+    return h === boundary[0] && loop.length === boundary.length ? loop : null;
+  }
+
+  // Disuelve sin abrir huecos: las caras de cada región conexa (caras dadas vecinas,
+  // las dos de cada borde dado, las que rodean cada vértice dado) se funden en un
+  // polígono con su contorno, y los vértices dados que quedan entre solo dos bordes se
+  // quitan de sus caras. Las regiones que no tienen un contorno simple se dejan igual
+  function dissolveElements(source, { verts = [], edges = [], faces = [] } = {}) {
+    const mesh = source;
+    const root = mesh.faces.map((_, f) => f);
+    const find = (f) => {
+      while (root[f] !== f) f = root[f] = root[root[f]];
+      return f;
+    };
+    const join = (f, g) => {
+      const a = find(f);
+      const b = find(g);
+      if (a !== b) root[Math.max(a, b)] = Math.min(a, b);
+    };
+
+    const grouped = new Set();
+    const picked = new Set(faces.filter(f => mesh.faces[f]));
+    for (const f of picked) {
+      grouped.add(f);
+      const fv = mesh.faces[f];
+      fv.forEach((v, k) => {
+        const e = HE.edgeId(mesh, v, fv[(k + 1) % fv.length]);
+        mesh.edgeFaces[e].forEach(g => { if (picked.has(g)) join(f, g); });
+      });
+    }
+    for (const e of edges) {
+      const pair = mesh.edgeFaces[e];
+      if (pair?.length !== 2) continue;
+      join(pair[0], pair[1]);
+      pair.forEach(f => grouped.add(f));
+    }
+    const drop = new Set(verts.filter(v => mesh.vertexFaces[v]));
+    for (const v of drop) {
+      // Entre dos bordes basta con quitarlo de sus caras (más abajo)
+      if (HE.vertexNeighbors(mesh, v).length === 2) continue;
+      const around = mesh.vertexFaces[v];
+      around.forEach(f => { join(around[0], f); grouped.add(f); });
+    }
+
+    const regions = new Map();
+    for (const f of grouped) {
+      const r = find(f);
+      if (!regions.has(r)) regions.set(r, new Set());
+      regions.get(r).add(f);
+    }
+    const merged = new Map(); // cara representante -> contorno
+    regions.forEach((region, r) => {
+      if (region.size < 2) return;
+      const loop = regionLoop(mesh, region);
+      if (loop) merged.set(r, { region, loop });
+    });
+
+    const out = [];
+    const outUV = [];
+    const created = [];
+    const absorbed = new Set();
+    merged.forEach(({ region }) => region.forEach(f => absorbed.add(f)));
+    mesh.faces.forEach((verts, f) => {
+      if (absorbed.has(f)) return;
+      out.push(verts.slice());
+      outUV.push(mesh.uvs ? mesh.uvs[f].slice() : null);
+    });
+    merged.forEach(({ loop }) => {
+      created.push(out.length);
+      out.push(loop.map(c => c.v));
+      outUV.push(mesh.uvs ? loop.flatMap(c => c.uv) : null);
+    });
+
+    // Vértices dados con solo dos vecinos en el resultado: fuera de sus caras, salvo
+    // que alguna se quede sin área o tengan bordes sueltos
+    const onWire = new Set(mesh.wires.flat());
+    let removed = 0;
+    for (const v of drop) {
+      if (onWire.has(v)) continue;
+      const holders = [];
+      const near = new Set();
+      out.forEach((fv, i) => {
+        const k = fv.indexOf(v);
+        if (k < 0) return;
+        holders.push(i);
+        near.add(fv[(k + fv.length - 1) % fv.length]);
+        near.add(fv[(k + 1) % fv.length]);
+      });
+      if (!holders.length || near.size !== 2 || holders.some(i => out[i].length <= 3)) continue;
+      for (const i of holders) {
+        const k = out[i].indexOf(v);
+        out[i].splice(k, 1);
+        if (outUV[i]) outUV[i].splice(k * 2, 2);
+        if (!created.includes(i)) created.push(i);
+      }
+      removed++;
+    }
+    if (!merged.size && !removed) return null;
+
+    const result = compactMesh(mesh.positions, out, mesh.uvs ? outUV : null, mesh.wires);
+    return { mesh: result, selection: faceSelection(result, created) };
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    extrudeFaces,
+    extrudeEdges,
+    extrudeVertices,
+    insetFaces,
+    distanceGroups,
+    neighborsWithin,
+    mergeVertices,
+    mirrorMesh,
+    subdivideMesh,
+    loopCut,
+    bevelEdges,
+    bevelVertices,
+    deleteElements,
+    dissolveElements
+  };
+}
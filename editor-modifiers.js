@@ -0,0 +1,305 @@
+/**
+ * editor-modifiers.js
+ * Pila de modificadores no destructivos: obj.userData.modifiers es una lista
+ *   [{ type, enabled, params }]
+ * que se evalúa en orden sobre la malla half-edge del objeto (la "jaula" que editan
+ * las herramientas de subcomponentes) para producir la malla que se dibuja.
+ *
+ * Tipos:
+ *   'subdivision'  Catmull-Clark (o lineal) con `levels` pasadas
+ *   'mirror'       simetría en los ejes locales activos, soldando el plano
+ *   'array'        `count` copias desplazadas `offset` (local) entre sí
+ *   'bevel'        bisel de `segments` segmentos de todos los bordes con dos caras
+ *   'solidify'     cáscara con grosor hacia dentro (negativo: hacia fuera) y borde cerrado
+ *   'smooth'       suavizado laplaciano de los vértices interiores
+ *
+ * Cada modificador calcula antes de construir cuántas caras va a producir; si pasan de
+ * MAX_RESULT_FACES, evaluate lanza un error en lugar de multiplicar la malla (un array o
+ * una simetría tras una subdivisión crecen muy deprisa) y quien dibuja se queda con el
+ * último resultado bueno.
+ *
+ * La jaula de un objeto con modificadores va a la capa CAGE_LAYER, que la cámara no
+ * dibuja; solo la raycastea el modo edición. En modo objeto la selección, el enganche y
+ * el apoyo sobre superficies prueban el resultado (el hijo 'ModifierResult').
+ */
+
+export const MODIFIER_TYPES = ['subdivision', 'mirror', 'array', 'bevel', 'solidify', 'smooth'];
+export const CAGE_LAYER = 1;
+
+const MAX_RESULT_FACES = 200000; // caras de salida de cada modificador
+
+// Mismos kinds que los esquemas de editor-primitives.js
+const SCHEMAS = {
+  subdivision: {
+    label: 'Subdivisión',
+    fields: [
+      { key: 'levels', label: 'Niveles', kind: 'int', min: 1, max: 3, step: 1, default: 1 },
+      { key: 'smooth', label: 'Suavizar', kind: 'bool', default: true }
+    ]
+  },
+  mirror: {
+    label: 'Simetría',
+    fields: [
+      { key: 'x', label: 'Eje X', kind: 'bool', default: true },
+      { key: 'y', label: 'Eje Y', kind: 'bool', default: false },
+      { key: 'z', label: 'Eje Z', kind: 'bool', default: false }
+    ]
+  },
+  array: {
+    label: 'Array',
+    fields: [
+      { key: 'count', label: 'Copias', kind: 'int', min: 1, max: 64, step: 1, default: 3 },
+      { key: 'offsetX', label: 'Despl. X', kind: 'number', min: -100, max: 100, step: 0.1, default: 2 },
+      { key: 'offsetY', label: 'Despl. Y', kind: 'number', min: -100, max: 100, step: 0.1, default: 0 },
+      { key: 'offsetZ', label: 'Despl. Z', kind: 'number', min: -100, max: 100, step: 0.1, default: 0 }
+    ]
+  },
+  bevel: {
+    label: 'Bisel',
+    fields: [
+      { key: 'width', label: 'Ancho', kind: 'number', min: 0.001, max: 10, step: 0.01, default: 0.1 },
+      { key: 'segments', label: 'Segmentos', kind: 'int', min: 1, max: 8, step: 1, default: 1 }
+    ]
+  },
+  solidify: {
+    label: 'Grosor',
+    fields: [
+      { key: 'thickness', label: 'Grosor', kind: 'number', min: -10, max: 10, step: 0.01, default: 0.1 }
+    ]
+  },
+  smooth: {
+    label: 'Suavizado',
+    fields: [
+      { key: 'iterations', label: 'Pasadas', kind: 'int', min: 1, max: 30, step: 1, default: 5 },
+      { key: 'factor', label: 'Factor', kind: 'number', min: 0, max: 1, step: 0.05, default: 0.5 }
+    ]
+  }
+};
+
+export function setupModifiers(api) {
+  const { THREE, halfEdge: HE, meshOps: OPS, CFG = {} } = api;
+
+  /* ===== SCHEMA ===== */
+  function isModifierType(type) {
+    return Object.prototype.hasOwnProperty.call(SCHEMAS, type);
+  }
+
+  function getSchema(type) {
+    return SCHEMAS[type]?.fields ?? [];
+  }
+
+  function labelOf(type) {
+    return SCHEMAS[type]?.label ?? type;
+  }
+
+  function normalizeParams(type, params = {}) {
+    const out = {};
+    for (const f of getSchema(type)) {
+      let v = params[f.key] ?? f.default;
+      if (f.kind === 'bool') {
+        out[f.key] = !!v;
+        continue;
+      }
+      v = Number(v);
+      if (!Number.isFinite(v)) v = f.default;
+      if (f.kind === 'int') v = Math.round(v);
+      out[f.key] = THREE.MathUtils.clamp(v, f.min, f.max);
+    }
+    return out;
+  }
+
+  function createModifier(type, params = {}) {
+    return { type, enabled: true, params: normalizeParams(type, params) };
+  }
+
+  // Copia limpia de una pila guardada; descarta tipos desconocidos
+  function normalizeStack(stack) {
+    return (stack ?? [])
+      .filter(m => isModifierType(m?.type))
+      .map(m => ({ type: m.type, enabled: m.enabled !== false, params: normalizeParams(m.type, m.params) }));
+  }
+
+  /* ===== MESH BUILDERS ===== */
+  function arrayMesh(mesh, { count, offsetX, offsetY, offsetZ }) {
+    const n = HE.vertexCount(mesh);
+    const positions = [];
+    const faces = [];
+    const uvs = mesh.uvs ? [] : null;
+    const wires = [];
+    for (let i = 0; i < count; i++) {
+      for (let v = 0; v < n; v++) {
+        positions.push(
+          mesh.positions[v * 3] + offsetX * i,
+          mesh.positions[v * 3 + 1] + offsetY * i,
+          mesh.positions[v * 3 + 2] + offsetZ * i
+        );
+      }
+      mesh.faces.forEach(f => faces.push(f.map(v => v + n * i)));
+      if (uvs) mesh.uvs.forEach(uv => uvs.push(uv.slice()));
+      mesh.wires.forEach(([a, b]) => wires.push([a + n * i, b + n * i]));
+    }
+    return HE.createMesh({ positions, faces, uvs, wires });
+  }
+
+  // Copia desplazada -thickness según la normal de vértice, con las caras invertidas, y
+  // una pared en cada borde abierto (b, a, a', b') para cerrar la cáscara
+  function solidifyMesh(mesh, { thickness }) {
+    const n = HE.vertexCount(mesh);
+    const positions = Array.from(mesh.positions);
+    const normal = new THREE.Vector3();
+    const p = new THREE.Vector3();
+    for (let v = 0; v < n; v++) {
+      HE.getPosition(mesh, v, p).addScaledVector(HE.vertexNormal(mesh, v, normal), -thickness);
+      positions.push(p.x, p.y, p.z);
+    }
+
+    const faces = mesh.faces.map(f => f.slice());
+    const uvs = mesh.uvs ? mesh.uvs.map(uv => uv.slice()) : null;
+    mesh.faces.forEach((f, fi) => {
+      faces.push(f.map(v => v + n).reverse());
+      if (!uvs) return;
+      const uv = [];
+      for (let k = f.length - 1; k >= 0; k--) uv.push(mesh.uvs[fi][k * 2], mesh.uvs[fi][k * 2 + 1]);
+      uvs.push(uv);
+    });
+
+    mesh.faces.forEach((f, fi) => {
+      for (let k = 0; k < f.length; k++) {
+        const a = f[k];
+        const b = f[(k + 1) % f.length];
+        if (mesh.edgeFaces[HE.edgeId(mesh, a, b)].length !== 1) continue;
+        faces.push([b, a, a + n, b + n]);
+        if (!uvs) continue;
+        const uvA = HE.cornerUV(mesh, fi, a);
+        const uvB = HE.cornerUV(mesh, fi, b);
+        uvs.push([...uvB, ...uvA, ...uvA, ...uvB]);
+      }
+    });
+    return HE.createMesh({ positions, faces, uvs, wires: mesh.wires });
+  }
+
+  // Cada pasada acerca los vértices interiores `factor` hacia la media de sus vecinos;
+  // los del contorno no se mueven para que la malla no encoja por los bordes
+  function smoothMesh(mesh, { iterations, factor }) {
+    const n = HE.vertexCount(mesh);
+    const neighbors = [];
+    const fixed = new Uint8Array(n);
+    for (let v = 0; v < n; v++) {
+      neighbors.push(HE.vertexNeighbors(mesh, v));
+      const open = neighbors[v].some(w => (mesh.edgeFaces[HE.edgeId(mesh, v, w)]?.length ?? 0) !== 2);
+      if (open || !neighbors[v].length) fixed[v] = 1;
+    }
+
+    let current = Float64Array.from(mesh.positions);
+    for (let it = 0; it < iterations; it++) {
+      const next = current.slice();
+      for (let v = 0; v < n; v++) {
+        if (fixed[v]) continue;
+        const list = neighbors[v];
+        for (let c = 0; c < 3; c++) {
+          let avg = 0;
+          for (const w of list) avg += current[w * 3 + c];
+          avg /= list.length;
+          next[v * 3 + c] = current[v * 3 + c] + (avg - current[v * 3 + c]) * factor;
+        }
+      }
+      current = next;
+    }
+    return HE.createMesh({ ...mesh, positions: current });
+  }
+
+  function subdivisionMesh(mesh, { levels, smooth }) {
+    let out = mesh;
+    for (let i = 0; i < levels; i++) out = OPS.subdivideMesh(out, { smooth })?.mesh ?? out;
+    return out;
+  }
+
+  const BUILDERS = {
+    subdivision: subdivisionMesh,
+    mirror: (mesh, p) => OPS.mirrorMesh(mesh, ['x', 'y', 'z'].filter(a => p[a]), { tolerance: CFG.mirrorTolerance })?.mesh ?? mesh,
+    array: arrayMesh,
+    bevel: (mesh, p) => OPS.bevelEdges(mesh, mesh.edges.map((_, e) => e), { width: p.width, segments: p.segments })?.mesh ?? mesh,
+    solidify: solidifyMesh,
+    smooth: smoothMesh
+  };
+
+  // Tamaño ({ faces, corners, edges, verts }) de lo que producirá cada modificador, por
+  // arriba y sin construir nada
+  const GROWTH = {
+    // Catmull-Clark: un quad por esquina, un vértice nuevo por borde y por cara
+    subdivision: (s, p) => {
+      for (let i = 0; i < p.levels; i++) {
+        s = { faces: s.corners, corners: s.corners * 4, edges: s.edges * 2 + s.corners, verts: s.verts + s.edges + s.faces };
+      }
+      return s;
+    },
+    mirror: (s, p) => scaleSize(s, 2 ** ['x', 'y', 'z'].filter(a => p[a]).length),
+    array: (s, p) => scaleSize(s, p.count),
+    // Una tira de `segments` caras por borde y un casquete por vértice
+    bevel: (s, p) => {
+      const extra = s.edges * p.segments + s.verts * p.segments * p.segments;
+      return { faces: s.faces + extra, corners: s.corners + extra * 4, edges: s.edges + extra * 2, verts: s.verts + extra };
+    },
+    // Las dos cáscaras y, como mucho, una pared por borde
+    solidify: (s) => ({ faces: s.faces * 2 + s.edges, corners: s.corners * 2 + s.edges * 4, edges: s.edges * 3 + s.verts, verts: s.verts * 2 }),
+    smooth: (s) => s
+  };
+
+  function scaleSize(s, k) {
+    return { faces: s.faces * k, corners: s.corners * k, edges: s.edges * k, verts: s.verts * k };
+  }
+
+  function sizeOf(mesh) {
+    return {
+      faces: mesh.faces.length,
+      corners: mesh.faces.reduce((sum, f) => sum + f.length, 0),
+      edges: mesh.edges.length,
+      verts: HE.vertexCount(mesh)
+    };
+  }
+
+  // Lanza el error del límite si `modifier` aplicado a una malla de tamaño `size` pasaría
+  // de MAX_RESULT_FACES; si no, devuelve el tamaño previsto
+  function checkGrowth(size, modifier) {
+    const next = GROWTH[modifier.type](size, normalizeParams(modifier.type, modifier.params));
+    if (next.faces > MAX_RESULT_FACES) {
+      throw new Error(`${labelOf(modifier.type)}: el resultado pasaría de ${MAX_RESULT_FACES} caras`);
+    }
+    return next;
+  }
+
+  /* ===== EVALUATION ===== */
+  // Un modificador sobre una malla (la de entrada no se toca). Lanza un error si el
+  // resultado pasaría de MAX_RESULT_FACES
+  function applyModifier(mesh, modifier) {
+    const build = BUILDERS[modifier.type];
+    if (!build || !mesh.faces.length) return mesh;
+    checkGrowth(sizeOf(mesh), modifier);
+    return build(mesh, normalizeParams(modifier.type, modifier.params));
+  }
+
+  // La previsión de toda la pila se comprueba antes de construir nada: un array tras una
+  // subdivisión falla sin haber pagado la subdivisión
+  function evaluate(mesh, stack) {
+    const active = (stack ?? []).filter(m => m.enabled && BUILDERS[m.type]);
+    active.reduce(checkGrowth, sizeOf(mesh));
+    return active.reduce(applyModifier, mesh);
+  }
+
+  function hasActive(stack) {
+    return (stack ?? []).some(m => m.enabled);
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    isModifierType,
+    getSchema,
+    labelOf,
+    normalizeParams,
+    createModifier,
+    normalizeStack,
+    applyModifier,
+    evaluate,
+    hasActive
+  };
+}
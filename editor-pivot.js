@@ -0,0 +1,75 @@
+/**
+ * editor-pivot.js
+ * Pivote compartido para transformar varios objetos a la vez: el gizmo se engancha a un
+ * Object3D auxiliar y su cambio de matriz se aplica a cada objeto seleccionado.
+ *
+ * Modos de pivote (en modo objeto cuentan los orígenes de los objetos):
+ *   'bbox'    centro de la caja que envuelve los orígenes
+ *   'median'  media de los orígenes
+ *   'active'  origen del objeto activo
+ *   'cursor'  cursor 3D
+ */
+
+export const PIVOT_MODES = ['bbox', 'median', 'active', 'cursor'];
+
+export function setupPivot(api) {
+  const { THREE } = api;
+
+  /* ===== PIVOT POINT ===== */
+  function worldOrigin(obj, target = new THREE.Vector3()) {
+    obj.updateWorldMatrix(true, false);
+    return target.setFromMatrixPosition(obj.matrixWorld);
+  }
+
+  // objects: seleccionados; active: objeto activo; cursor: posición del cursor 3D
+  function pivotPoint(mode, objects, { active = null, cursor = null } = {}) {
+    if (mode === 'cursor' && cursor) return cursor.clone();
+    if (mode === 'active' && active) return worldOrigin(active);
+    if (!objects.length) return new THREE.Vector3();
+
+    const origins = objects.map(o => worldOrigin(o));
+    if (mode === 'median') {
+      return origins.reduce((sum, p) => sum.add(p), new THREE.Vector3()).multiplyScalar(1 / origins.length);
+    }
+    return new THREE.Box3().setFromPoints(origins).getCenter(new THREE.Vector3());
+  }
+
+  /* ===== DRAG ===== */
+  // Guarda la matriz del pivote y la de cada objeto al empezar a arrastrar
+  function beginDrag(pivot, objects) {
+    pivot.updateMatrixWorld(true);
+    return {
+      inverseStart: pivot.matrixWorld.clone().invert(),
+      items: objects.map(obj => {
+        obj.updateWorldMatrix(true, false);
+        return { obj, world: obj.matrixWorld.clone() };
+      })
+    };
+  }
+
+  // world' = pivot' · pivot⁻¹ · world, expresado de nuevo en el espacio del padre
+  function applyDrag(drag, pivot) {
+    pivot.updateMatrixWorld(true);
+    const delta = new THREE.Matrix4().multiplyMatrices(pivot.matrixWorld, drag.inverseStart);
+    const local = new THREE.Matrix4();
+    const parentInverse = new THREE.Matrix4();
+
+    for (const { obj, world } of drag.items) {
+      local.multiplyMatrices(delta, world);
+      if (obj.parent) {
+        obj.parent.updateWorldMatrix(true, false);
+        local.premultiply(parentInverse.copy(obj.parent.matrixWorld).invert());
+      }
+      local.decompose(obj.position, obj.quaternion, obj.scale);
+      obj.updateMatrixWorld(true);
+    }
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    worldOrigin,
+    pivotPoint,
+    beginDrag,
+    applyDrag
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * editor-primitives.js
+ * Primitivos paramétricos: esquema de parámetros por tipo y construcción de la geometría
+ */
+
+// kind: 'number' (dimensión), 'int' (segmentos), 'angle' (grados), 'bool'
+const SCHEMAS = {
+  box: [
+    { key: 'width', label: 'Ancho', kind: 'number', min: 0.01, max: 100, step: 0.1, default: 2 },
+    { key: 'height', label: 'Alto', kind: 'number', min: 0.01, max: 100, step: 0.1, default: 2 },
+    { key: 'depth', label: 'Fondo', kind: 'number', min: 0.01, max: 100, step: 0.1, default: 2 },
+    { key: 'widthSegments', label: 'Seg. ancho', kind: 'int', min: 1, max: 32, step: 1, default: 1 },
+    { key: 'heightSegments', label: 'Seg. alto', kind: 'int', min: 1, max: 32, step: 1, default: 1 },
+    { key: 'depthSegments', label: 'Seg. fondo', kind: 'int', min: 1, max: 32, step: 1, default: 1 }
+  ],
+  sphere: [
+    { key: 'radius', label: 'Radio', kind: 'number', min: 0.01, max: 100, step: 0.1, default: 1 },
+    { key: 'widthSegments', label: 'Seg. horiz.', kind: 'int', min: 3, max: 64, step: 1, default: 32 },
+    { key: 'heightSegments', label: 'Seg. vert.', kind: 'int', min: 2, max: 64, step: 1, default: 32 },
+    { key: 'phiLength', label: 'Arco horiz.', kind: 'angle', min: 1, max: 360, step: 1, default: 360 },
+    { key: 'thetaLength', label: 'Arco vert.', kind: 'angle', min: 1, max: 180, step: 1, default: 180 }
+  ],
+  cylinder: [
+    { key: 'radiusTop', label: 'Radio sup.', kind: 'number', min: 0, max: 100, step: 0.1, default: 1 },
+    { key: 'radiusBottom', label: 'Radio inf.', kind: 'number', min: 0, max: 100, step: 0.1, default: 1 },
+    { key: 'height', label: 'Alto', kind: 'number', min: 0.01, max: 100, step: 0.1, default: 2 },
+    { key: 'radialSegments', label: 'Seg. radiales', kind: 'int', min: 3, max: 64, step: 1, default: 32 },
+    { key: 'heightSegments', label: 'Seg. alto', kind: 'int', min: 1, max: 32, step: 1, default: 1 },
+    { key: 'openEnded', label: 'Abierto', kind: 'bool', default: false },
+    { key: 'thetaLength', label: 'Arco', kind: 'angle', min: 1, max: 360, step: 1, default: 360 }
+  ],
+  cone: [
+    { key: 'radius', label: 'Radio', kind: 'number', min: 0.01, max: 100, step: 0.1, default: 1 },
+    { key: 'height', label: 'Alto', kind: 'number', min: 0.01, max: 100, step: 0.1, default: 2 },
+    { key: 'radialSegments', label: 'Seg. radiales', kind: 'int', min: 3, max: 64, step: 1, default: 32 },
+    { key: 'heightSegments', label: 'Seg. alto', kind: 'int', min: 1, max: 32, step: 1, default: 1 },
+    { key: 'openEnded', label: 'Abierto', kind: 'bool', default: false },
+    { key: 'thetaLength', label: 'Arco', kind: 'angle', min: 1, max: 360, step: 1, default: 360 }
+  ],
+  torus: [
+    { key: 'radius', label: 'Radio', kind: 'number', min: 0.01, max: 100, step: 0.1, default: 1 },
+    { key: 'tube', label: 'Grosor', kind: 'number', min: 0.01, max: 50, step: 0.05, default: 0.4 },
+    { key: 'radialSegments', label: 'Seg. tubo', kind: 'int', min: 3, max: 64, step: 1, default: 16 },
+    { key: 'tubularSegments', label: 'Seg. anillo', kind: 'int', min: 3, max: 128, step: 1, default: 32 },
+    { key: 'arc', label: 'Arco', kind: 'angle', min: 1, max: 360, step: 1, default: 360 }
+  ],
+  plane: [
+    { key: 'width', label: 'Ancho', kind: 'number', min: 0.01, max: 100, step: 0.1, default: 3 },
+    { key: 'height', label: 'Alto', kind: 'number', min: 0.01, max: 100, step: 0.1, default: 3 },
+    { key: 'widthSegments', label: 'Seg. ancho', kind: 'int', min: 1, max: 64, step: 1, default: 4 },
+    { key: 'heightSegments', label: 'Seg. alto', kind: 'int', min: 1, max: 64, step: 1, default: 4 }
+  ]
+};
+
+export function setupPrimitives(api) {
+  const { THREE, halfEdge: HE } = api;
+  const rad = THREE.MathUtils.degToRad;
+
+  const BUILDERS = {
+    box: (p) => new THREE.BoxGeometry(p.width, p.height, p.depth, p.widthSegments, p.heightSegments, p.depthSegments),
+    sphere: (p) => new THREE.SphereGeometry(p.radius, p.widthSegments, p.heightSegments, 0, rad(p.phiLength), 0, rad(p.thetaLength)),
+    cylinder: (p) => new THREE.CylinderGeometry(p.radiusTop, p.radiusBottom, p.height, p.radialSegments, p.heightSegments, p.openEnded, 0, rad(p.thetaLength)),
+    cone: (p) => new THREE.ConeGeometry(p.radius, p.height, p.radialSegments, p.heightSegments, p.openEnded, 0, rad(p.thetaLength)),
+    torus: (p) => new THREE.TorusGeometry(p.radius, p.tube, p.radialSegments, p.tubularSegments, rad(p.arc)),
+    plane: (p) => new THREE.PlaneGeometry(p.width, p.height, p.widthSegments, p.heightSegments)
+  };
+
+  function isPrimitiveType(type) {
+    return Object.prototype.hasOwnProperty.call(SCHEMAS, type);
+  }
+
+  function getSchema(type) {
+    return SCHEMAS[type] ?? [];
+  }
+
+  function defaultParams(type) {
+    const params = {};
+    getSchema(type).forEach(f => { params[f.key] = f.default; });
+    return params;
+  }
+
+  // Completa parámetros ausentes y ajusta los valores a los rangos del esquema
+  function normalizeParams(type, params = {}) {
+    const out = {};
+    for (const f of getSchema(type)) {
+      let v = params[f.key] ?? f.default;
+      if (f.kind === 'bool') {
+        out[f.key] = !!v;
+        continue;
+      }
+      v = Number(v);
+      if (!Number.isFinite(v)) v = f.default;
+      if (f.kind === 'int') v = Math.round(v);
+      out[f.key] = THREE.MathUtils.clamp(v, f.min, f.max);
+    }
+    return out;
+  }
+
+  // Misma representación que usa el editor: triángulos no indexados. Los generadores de
+  // three duplican los vértices de las costuras (uv, normales): la malla de edición los une
+  function buildGeometry(type, params) {
+    const builder = BUILDERS[type];
+    if (!builder) return null;
+    const indexed = builder(normalizeParams(type, params));
+    const geometry = indexed.toNonIndexed();
+    indexed.dispose();
+    geometry.userData.topology = HE.fromBufferGeometry(geometry, { weld: true });
+    return geometry;
+  }
+
+  function isParametric(obj) {
+    return !!obj?.userData?.params && isPrimitiveType(obj.userData.type);
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    isPrimitiveType,
+    isParametric,
+    getSchema,
+    defaultParams,
+    normalizeParams,
+    buildGeometry
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * editor-proportional.js
+ * Edición proporcional: los vértices no seleccionados a menos de `radius` (en mundo) de
+ * la selección se mueven con un peso que decae según la curva elegida.
+ *
+ * Curvas (t = distancia / radio, 0 en la selección y 1 en el borde):
+ *   'smooth'    suave (smoothstep)
+ *   'linear'    lineal
+ *   'sharp'     aguda, cae rápido cerca de la selección
+ *   'constant'  todo el radio se mueve igual
+ *   'random'    lineal por un factor aleatorio estable por vértice
+ */
+
+export const PROPORTIONAL_FALLOFFS = ['smooth', 'linear', 'sharp', 'constant', 'random'];
+
+export function setupProportional(api) {
+  const { THREE, spatialHash: SPATIAL } = api;
+
+  // Posiciones en mundo y su hash espacial para el último (positions, matrixWorld): durante
+  // un arrastre no cambian, y cambiar el radio (p. ej. con el pellizco) solo repite las
+  // consultas
+  let cache = null;
+
+  /* ===== FALLOFF ===== */
+  // Pseudoaleatorio fijo por vértice: la curva 'random' no parpadea al cambiar el radio
+  function vertexNoise(v) {
+    const x = Math.sin(v * 12.9898 + 78.233) * 43758.5453;
+    return x - Math.floor(x);
+  }
+
+  function falloffWeight(falloff, t, v = 0) {
+    if (t >= 1) return 0;
+    const s = 1 - Math.max(0, t);
+    switch (falloff) {
+      case 'linear': return s;
+      case 'sharp': return s * s;
+      case 'constant': return 1;
+      case 'random': return s * vertexNoise(v);
+      default: return s * s * (3 - 2 * s);
+    }
+  }
+
+  /* ===== WEIGHTS ===== */
+  function worldIndex(positions, matrixWorld) {
+    if (cache?.positions === positions && cache.matrix.equals(matrixWorld)) return cache;
+    const world = new Float32Array(positions.length);
+    const p = new THREE.Vector3();
+    for (let v = 0; v < positions.length / 3; v++) {
+      p.fromArray(positions, v * 3).applyMatrix4(matrixWorld).toArray(world, v * 3);
+    }
+    cache = { positions, matrix: matrixWorld.clone(), world, hash: SPATIAL.createHash(world) };
+    return cache;
+  }
+
+  // positions: array plano (local del objeto); selected: ids de vértice con peso 1.
+  // Devuelve Map vértice -> peso, solo con pesos > 0. Cada vértice de la selección
+  // consulta en el hash su entorno de `radius`; cuenta la distancia al más cercano
+  function softWeights(positions, matrixWorld, selected, { radius, falloff }) {
+    const weights = new Map();
+    selected.forEach(v => weights.set(v, 1));
+    if (!(radius > 0)) return weights;
+
+    const { world, hash } = worldIndex(positions, matrixWorld);
+    const nearest = new Map(); // vértice -> distancia² a la selección
+    const p = new THREE.Vector3();
+    const q = new THREE.Vector3();
+    for (const s of selected) {
+      p.fromArray(world, s * 3);
+      for (const v of SPATIAL.queryRadius(hash, world, p, radius)) {
+        if (weights.has(v)) continue;
+        const d2 = p.distanceToSquared(q.fromArray(world, v * 3));
+        if (!(nearest.get(v) <= d2)) nearest.set(v, d2);
+      }
+    }
+
+    nearest.forEach((d2, v) => {
+      const w = falloffWeight(falloff, Math.sqrt(d2) / radius, v);
+      if (w > 0) weights.set(v, w);
+    });
+    return weights;
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    falloffWeight,
+    softWeights
+  };
+}
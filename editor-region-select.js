@@ -0,0 +1,169 @@
+/**
+ * editor-region-select.js
+ * Selección por región (caja o lazo) dibujada sobre el canvas: proyección a pantalla,
+ * punto dentro de polígono y prueba de oclusión para el modo "solo visibles".
+ *
+ * La oclusión se prueba contra muchos puntos a la vez (cada vértice o centro de la
+ * región): en lugar de un raycast por punto contra la escena, occlusionTest reparte una
+ * sola vez los triángulos en celdas de pantalla y cada consulta solo intersecta los de
+ * la celda del punto, como quien lee un buffer de profundidad.
+ *
+ * Una región es { polygon: [{x, y}, ...], width, height } en píxeles del canvas.
+ */
+
+export function setupRegionSelect(api) {
+  const { THREE } = api;
+
+  const OCCLUSION_CELL = 16; // px por celda de pantalla
+
+  const projected = new THREE.Vector3();
+
+  /* ===== POLYGONS ===== */
+  function rectPolygon(a, b) {
+    return [
+      { x: a.x, y: a.y },
+      { x: b.x, y: a.y },
+      { x: b.x, y: b.y },
+      { x: a.x, y: b.y }
+    ];
+  }
+
+  // Regla par-impar: sirve igual para lazos que se cruzan a sí mismos
+  function pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  function polygonSize(polygon) {
+    const xs = polygon.map(p => p.x);
+    const ys = polygon.map(p => p.y);
+    return Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+  }
+
+  /* ===== PROJECTION ===== */
+  // Punto en mundo -> píxeles del canvas; z fuera de [-1, 1] = fuera del frustum
+  function projectToScreen(point, camera, width, height) {
+    projected.copy(point).project(camera);
+    return {
+      x: (projected.x + 1) / 2 * width,
+      y: (1 - projected.y) / 2 * height,
+      z: projected.z
+    };
+  }
+
+  function containsPoint(region, point, camera) {
+    const p = projectToScreen(point, camera, region.width, region.height);
+    if (p.z < -1 || p.z > 1) return false;
+    return pointInPolygon(p.x, p.y, region.polygon);
+  }
+
+  /* ===== OCCLUSION ===== */
+  // Devuelve isOccluded(point, { ignore }): ¿hay algo de `targets` (meshes, sin sus hijos)
+  // entre la cámara y el punto? `ignore` se salta (p. ej. el propio objeto cuando se
+  // comprueba su centro, que queda dentro de su malla). Mismo criterio que Raycaster:
+  // las caras traseras de un material de una sola cara no tapan.
+  // Los triángulos que cruzan el plano cercano no tienen proyección fiable y van a todas
+  // las celdas; la intersección exacta decide igualmente
+  function occlusionTest(camera, targets, { width, height }) {
+    const cols = Math.max(1, Math.ceil(width / OCCLUSION_CELL));
+    const rows = Math.max(1, Math.ceil(height / OCCLUSION_CELL));
+    const cells = new Map(); // celda -> triángulos
+    const coords = []; // 9 coordenadas en mundo por triángulo
+    const owners = [];
+    const sides = [];
+
+    const matrix = new THREE.Matrix4();
+    const instance = new THREE.Matrix4();
+    const corner = new THREE.Vector3();
+    for (const mesh of targets) {
+      const pos = mesh.geometry?.attributes.position;
+      if (!pos) continue;
+      mesh.updateWorldMatrix(true, false);
+      const index = mesh.geometry.index;
+      const count = index ? index.count : pos.count;
+      const side = mesh.material?.side ?? THREE.FrontSide;
+      for (let n = 0; n < (mesh.isInstancedMesh ? mesh.count : 1); n++) {
+        matrix.copy(mesh.matrixWorld);
+        if (mesh.isInstancedMesh) {
+          mesh.getMatrixAt(n, instance);
+          matrix.multiply(instance);
+        }
+        for (let t = 0; t + 2 < count; t += 3) {
+          const id = owners.length;
+          let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+          let clipped = false;
+          for (let k = 0; k < 3; k++) {
+            corner.fromBufferAttribute(pos, index ? index.getX(t + k) : t + k).applyMatrix4(matrix);
+            coords.push(corner.x, corner.y, corner.z);
+            const p = projectToScreen(corner, camera, width, height);
+            if (p.z < -1 || p.z > 1) clipped = true;
+            minX = Math.min(minX, p.x);
+            maxX = Math.max(maxX, p.x);
+            minY = Math.min(minY, p.y);
+            maxY = Math.max(maxY, p.y);
+          }
+          owners.push(mesh);
+          sides.push(side);
+
+          const c0 = clipped ? 0 : Math.max(0, Math.floor(minX / OCCLUSION_CELL));
+          const c1 = clipped ? cols - 1 : Math.min(cols - 1, Math.floor(maxX / OCCLUSION_CELL));
+          const r0 = clipped ? 0 : Math.max(0, Math.floor(minY / OCCLUSION_CELL));
+          const r1 = clipped ? rows - 1 : Math.min(rows - 1, Math.floor(maxY / OCCLUSION_CELL));
+          for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) {
+              const cell = r * cols + c;
+              const list = cells.get(cell);
+              if (list) list.push(id);
+              else cells.set(cell, [id]);
+            }
+          }
+        }
+      }
+    }
+
+    const ray = new THREE.Ray();
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const hit = new THREE.Vector3();
+    return function isOccluded(point, { ignore = null } = {}) {
+      const dir = point.clone().sub(camera.position);
+      const dist = dir.length();
+      if (dist < 1e-9) return false;
+      ray.set(camera.position, dir.normalize());
+
+      const p = projectToScreen(point, camera, width, height);
+      const col = THREE.MathUtils.clamp(Math.floor(p.x / OCCLUSION_CELL), 0, cols - 1);
+      const row = THREE.MathUtils.clamp(Math.floor(p.y / OCCLUSION_CELL), 0, rows - 1);
+      const eps = 1e-3 * Math.max(1, dist);
+      for (const id of cells.get(row * cols + col) ?? []) {
+        if (owners[id] === ignore) continue;
+        a.fromArray(coords, id * 9);
+        b.fromArray(coords, id * 9 + 3);
+        c.fromArray(coords, id * 9 + 6);
+        const found = sides[id] === THREE.BackSide
+          ? ray.intersectTriangle(c, b, a, true, hit)
+          : ray.intersectTriangle(a, b, c, sides[id] === THREE.FrontSide, hit);
+        if (found && found.distanceTo(camera.position) < dist - eps) return true;
+      }
+      return false;
+    };
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    rectPolygon,
+    pointInPolygon,
+    polygonSize,
+    projectToScreen,
+    containsPoint,
+    occlusionTest
+  };
+}
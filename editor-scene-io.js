@@ -0,0 +1,312 @@
+/**
+ * editor-scene-io.js
+ * Guardado/carga de escenas en un documento JSON versionado.
+ *
+ * Formato (version 5):
+ * {
+ *   "format": "mr-studio-scene",
+ *   "version": 5,
+ *   "savedAt": "2026-01-01T12:00:00.000Z",
+ *   "nextId": 7,
+ *   "settings": { "theme": "dark" | "light", "renderMode": "flat" | "clay" | "tech" },
+ *   "camera": { "position": [x, y, z], "target": [x, y, z], "fov": 50 },
+ *   "materials": [                    // biblioteca de materiales compartidos (editor-materials.js)
+ *     { "id": 1, "name": "Acero", "color": 12632256, "roughness": 0.2, ... }   // + props
+ *   ],
+ *   "groups": [                       // THREE.Group con nombre, los padres antes que los hijos
+ *     { "id": 9, "type": "group", "name": "Grupo 9", "parent": null | id,
+ *       "visible": true, "locked": false, "transform": { ... } }
+ *   ],
+ *   "objects": [
+ *     {
+ *       "id": 3,                        // userData.id (se conserva al cargar)
+ *       "type": "box",                  // userData.type
+ *       "name": "Pieza" | null,         // userData.name (opcional)
+ *       "params": { ... } | null,       // parámetros de construcción del primitivo (opcional)
+ *       "parent": null | 9,             // id del grupo que lo contiene
+ *       "visible": true,                // oculto desde el outliner (opcional, true)
+ *       "locked": false,                // no se puede tocar en el viewport (opcional, false)
+ *       "transform": {                  // relativo al padre
+ *         "position": [x, y, z],
+ *         "quaternion": [x, y, z, w],
+ *         "scale": [x, y, z]
+ *       },
+ *       "instances": null | { "itemSize": 16, "type": "Float32Array", "data": "<base64>" },
+ *                                       // matrices de un InstancedMesh (opcional)
+ *       "modifiers": null | [           // pila de modificadores (editor-modifiers.js), en orden
+ *         { "type": "subdivision", "enabled": true, "params": { "levels": 1, "smooth": true } }
+ *       ],
+ *       "materialId": null | 1,         // entrada de la biblioteca enlazada
+ *       "material": {                   // props del material (copia si está enlazado)
+ *         "color": 5592405,             // hex como entero
+ *         "roughness": 0.5,
+ *         "metalness": 0.1,
+ *         "emissive": 0,
+ *         "emissiveIntensity": 1,
+ *         "opacity": 1,
+ *         "doubleSided": false,
+ *         "flatShading": false
+ *       },
+ *       "geometry": {
+ *         "attributes": {
+ *           "position": { "itemSize": 3, "type": "Float32Array", "data": "<base64>" },
+ *           "normal":   { ... },
+ *           "uv":       { ... }
+ *         },
+ *         "index": null | { "itemSize": 1, "type": "Uint32Array", "data": "<base64>" },
+ *         "topology": null | {          // malla half-edge de edición (editor-halfedge.js)
+ *           "positions":    { "type": "Float32Array", ... },   // xyz por vértice
+ *           "faceSizes":    { "type": "Uint32Array", ... },    // nº de vértices por cara
+ *           "faceVerts":    { "type": "Uint32Array", ... },    // vértices de todas las caras
+ *           "uvs":          null | { "type": "Float32Array", ... },  // uv por esquina
+ *           "wires":        { "type": "Uint32Array", ... },    // bordes sueltos (pares)
+ *           "bufferVertex": { "type": "Int32Array", ... },     // vértice de buffer -> vértice
+ *           "triangleFace": { "type": "Int32Array", ... }      // triángulo -> cara
+ *         }
+ *       }
+ *     }
+ *   ]
+ * }
+ *
+ * Los buffers se guardan completos (incluida la geometría editada por subcomponentes)
+ * como base64 del array tipado en little-endian. Sin "topology", la malla de edición
+ * se deriva del buffer uniendo los vértices coincidentes.
+ *
+ * El portapapeles usa el mismo documento con "clipboard": true, sin "groups" y con
+ * los objetos en coordenadas de mundo (parent: null).
+ *
+ * Migraciones: cuando cambie el esquema se sube SCENE_VERSION y se registra una
+ * función en MIGRATIONS[versionAnterior] que recibe el documento y devuelve el
+ * documento en la versión siguiente. loadScene() las encadena hasta la actual.
+ *   1 -> 2: geometry.topology (null en escenas antiguas)
+ *   2 -> 3: groups y parent (sin grupos en escenas antiguas)
+ *   3 -> 4: modifiers; la simetría de objeto ("mirror": ["x", ...]) pasa a ser un
+ *           modificador 'mirror'
+ *   4 -> 5: materials (biblioteca vacía); color, roughness y metalness pasan a
+ *           "material" sin enlace
+ */
+
+export const SCENE_FORMAT = 'mr-studio-scene';
+export const SCENE_VERSION = 5;
+
+const MIGRATIONS = {};
+
+export function registerMigration(fromVersion, fn) {
+  MIGRATIONS[fromVersion] = fn;
+}
+
+export function migrateScene(doc) {
+  if (!doc || doc.format !== SCENE_FORMAT) {
+    throw new Error('El archivo no es una escena de MR Studio');
+  }
+  let version = doc.version ?? 0;
+  if (version > SCENE_VERSION) {
+    throw new Error(`Versión de escena ${version} no soportada (máx. ${SCENE_VERSION})`);
+  }
+  while (version < SCENE_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No hay migración desde la versión ${version}`);
+    doc = migrate(doc);
+    version = doc.version = version + 1;
+  }
+  return doc;
+}
+
+registerMigration(1, (doc) => ({
+  ...doc,
+  objects: (doc.objects ?? []).map(o => ({ ...o, geometry: { ...o.geometry, topology: null } }))
+}));
+
+registerMigration(2, (doc) => ({
+  ...doc,
+  groups: [],
+  objects: (doc.objects ?? []).map(o => ({ ...o, parent: null }))
+}));
+
+registerMigration(3, (doc) => ({
+  ...doc,
+  objects: (doc.objects ?? []).map(({ mirror, ...o }) => ({
+    ...o,
+    modifiers: mirror?.length
+      ? [{ type: 'mirror', enabled: true, params: { x: mirror.includes('x'), y: mirror.includes('y'), z: mirror.includes('z') } }]
+      : null
+  }))
+}));
+
+registerMigration(4, (doc) => ({
+  ...doc,
+  materials: [],
+  objects: (doc.objects ?? []).map(({ color, roughness, metalness, ...o }) => ({
+    ...o,
+    materialId: null,
+    material: { color, roughness, metalness }
+  }))
+}));
+
+/* ===== TYPED ARRAY ENCODING ===== */
+const ARRAY_TYPES = { Float32Array, Uint32Array, Uint16Array, Int32Array, Uint8Array };
+
+export function encodeArray(array, itemSize = 1) {
+  const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return { itemSize, type: array.constructor.name, data: btoa(binary) };
+}
+
+export function decodeArray(entry) {
+  const Ctor = ARRAY_TYPES[entry.type];
+  if (!Ctor) throw new Error(`Tipo de buffer desconocido: ${entry.type}`);
+  const binary = atob(entry.data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Ctor(bytes.buffer);
+}
+
+function encodeGeometry(snap) {
+  const attributes = {};
+  for (const [name, a] of Object.entries(snap.attributes)) {
+    attributes[name] = encodeArray(a.array, a.itemSize);
+  }
+  return {
+    attributes,
+    index: snap.index ? encodeArray(snap.index, 1) : null,
+    topology: snap.topology ? mapArrays(snap.topology, a => encodeArray(a, 1)) : null
+  };
+}
+
+function decodeGeometry(geo) {
+  const attributes = {};
+  for (const [name, a] of Object.entries(geo.attributes)) {
+    attributes[name] = { array: decodeArray(a), itemSize: a.itemSize };
+  }
+  return {
+    attributes,
+    index: geo.index ? decodeArray(geo.index) : null,
+    topology: geo.topology ? mapArrays(geo.topology, decodeArray) : null
+  };
+}
+
+function mapArrays(obj, fn) {
+  const out = {};
+  for (const [key, value] of Object.entries(obj)) out[key] = value ? fn(value) : null;
+  return out;
+}
+
+export function setupSceneIO(api) {
+  const {
+    getObjects,
+    getGroups,
+    snapshotObject,
+    snapshotGroup,
+    restoreObject,
+    restoreGroup,
+    clearScene,
+    getNextId,
+    setNextId,
+    getMaterials,
+    restoreMaterials,
+    getSettings,
+    applySettings,
+    camera,
+    orbit
+  } = api;
+
+  /* ===== SERIALIZE ===== */
+  function encodeSnapshot(snap) {
+    return {
+      ...snap,
+      geometry: encodeGeometry(snap.geometry),
+      instances: snap.instances ? encodeArray(snap.instances, 16) : null
+    };
+  }
+
+  function serializeObject(obj) {
+    return encodeSnapshot(snapshotObject(obj));
+  }
+
+  function serializeScene() {
+    return {
+      format: SCENE_FORMAT,
+      version: SCENE_VERSION,
+      savedAt: new Date().toISOString(),
+      nextId: getNextId(),
+      settings: getSettings(),
+      camera: {
+        position: camera.position.toArray(),
+        target: orbit.target.toArray(),
+        fov: camera.fov
+      },
+      materials: getMaterials(),
+      groups: getGroups().map(snapshotGroup),
+      objects: getObjects().map(serializeObject)
+    };
+  }
+
+  // snapshots: ya preparados por el llamador (transform en mundo, sin padre)
+  function serializeClipboard(snapshots) {
+    return {
+      format: SCENE_FORMAT,
+      version: SCENE_VERSION,
+      clipboard: true,
+      savedAt: new Date().toISOString(),
+      objects: snapshots.map(encodeSnapshot)
+    };
+  }
+
+  /* ===== LOAD ===== */
+  function deserializeObject(entry) {
+    return {
+      ...entry,
+      geometry: decodeGeometry(entry.geometry),
+      instances: entry.instances ? decodeArray(entry.instances) : null
+    };
+  }
+
+  // Devuelve las instantáneas del portapapeles (o lanza si el texto no es de MR Studio)
+  function parseClipboard(input) {
+    const doc = migrateScene(typeof input === 'string' ? JSON.parse(input) : input);
+    return (doc.objects ?? []).map(deserializeObject);
+  }
+
+  function loadScene(input) {
+    const doc = migrateScene(typeof input === 'string' ? JSON.parse(input) : input);
+
+    // Decodificar todo antes de tocar la escena: si falla, la escena actual queda intacta
+    const snapshots = (doc.objects ?? []).map(deserializeObject);
+
+    const groups = doc.groups ?? [];
+
+    clearScene();
+    restoreMaterials(doc.materials ?? []);
+    groups.forEach(snap => restoreGroup(snap));
+    snapshots.forEach(snap => restoreObject(snap));
+    setNextId(Math.max(doc.nextId ?? 1, ...groups.map(g => g.id + 1), ...snapshots.map(s => s.id + 1)));
+
+    if (doc.camera) {
+      camera.position.fromArray(doc.camera.position);
+      if (doc.camera.fov) {
+        camera.fov = doc.camera.fov;
+        camera.updateProjectionMatrix();
+      }
+      orbit.target.fromArray(doc.camera.target);
+      orbit.update();
+    }
+
+    if (doc.settings) applySettings(doc.settings);
+
+    return doc;
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    serializeObject,
+    deserializeObject,
+    serializeScene,
+    serializeClipboard,
+    parseClipboard,
+    loadScene
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * editor-snapping.js
+ * Puntos de enganche de otros objetos (vértices, puntos medios de borde y centros de
+ * cara de la topología) y búsqueda del más cercano al puntero en pantalla. Los
+ * candidatos van a un hash espacial (editor-spatial-hash.js) al empezar el arrastre y
+ * en cada movimiento solo se proyectan los que quedan cerca del rayo del puntero.
+ *
+ * Los incrementos de rejilla, ángulo y escala los aplica TransformControls
+ * (setTranslationSnap / setRotationSnap / setScaleSnap); aquí solo está lo que el
+ * gizmo no sabe hacer.
+ */
+
+export function setupSnapping(api) {
+  const { THREE, halfEdge: HE, spatialHash: SPATIAL } = api;
+
+  /* ===== CANDIDATES ===== */
+  // targets: { vertex, edge, face } -> { points, positions, hash, box } en mundo
+  function snapCandidates(objects, targets) {
+    const points = [];
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    for (const obj of objects) {
+      if (!obj.geometry) continue;
+      obj.updateWorldMatrix(true, false);
+      const mesh = HE.getTopology(obj.geometry);
+
+      if (targets.vertex) {
+        for (let v = 0; v < HE.vertexCount(mesh); v++) {
+          points.push(HE.getPosition(mesh, v).applyMatrix4(obj.matrixWorld));
+        }
+      }
+      if (targets.edge) {
+        for (const [i, j] of mesh.edges) {
+          HE.getPosition(mesh, i, a);
+          HE.getPosition(mesh, j, b);
+          points.push(a.clone().add(b).multiplyScalar(0.5).applyMatrix4(obj.matrixWorld));
+        }
+      }
+      if (targets.face) {
+        mesh.faces.forEach((_, f) => points.push(HE.faceCentroid(mesh, f).applyMatrix4(obj.matrixWorld)));
+      }
+    }
+
+    const positions = new Float32Array(points.length * 3);
+    points.forEach((p, i) => p.toArray(positions, i * 3));
+    return {
+      points,
+      positions,
+      hash: SPATIAL.createHash(positions),
+      box: new THREE.Box3().setFromPoints(points)
+    };
+  }
+
+  /* ===== SCREEN SEARCH ===== */
+  // Tamaño en mundo de un píxel a `depth` de la cámara
+  function pixelSize(camera, depth, height) {
+    if (camera.isOrthographicCamera) return (camera.top - camera.bottom) / camera.zoom / height;
+    return 2 * depth * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / camera.zoom / height;
+  }
+
+  // screen: { x, y, width, height, tolerance } en píxeles del canvas. Entre puntos
+  // igual de cerca en pantalla gana el más cercano a la cámara
+  function nearestOnScreen(candidates, camera, screen) {
+    if (!candidates.points.length) return null;
+
+    // Tubo alrededor del rayo: ancho de la tolerancia a la profundidad del candidato más lejano
+    const ndc = new THREE.Vector2(screen.x / screen.width * 2 - 1, 1 - screen.y / screen.height * 2);
+    const ray = new THREE.Raycaster();
+    ray.setFromCamera(ndc, camera);
+    const far = camera.position.distanceTo(candidates.box.getCenter(new THREE.Vector3())) +
+      candidates.box.getSize(new THREE.Vector3()).length() / 2;
+    const tube = screen.tolerance * pixelSize(camera, far, screen.height);
+    const near = SPATIAL.raycast(candidates.hash, candidates.positions, ray.ray, tube);
+
+    const p = new THREE.Vector3();
+    let best = null;
+    let bestDist = screen.tolerance;
+    let bestDepth = Infinity;
+    for (const { id } of near) {
+      const point = candidates.points[id];
+      p.copy(point).project(camera);
+      if (p.z < -1 || p.z > 1) continue;
+      const dist = Math.hypot((p.x + 1) / 2 * screen.width - screen.x, (1 - p.y) / 2 * screen.height - screen.y);
+      if (dist > bestDist + 0.5) continue;
+      const depth = point.distanceTo(camera.position);
+      if (dist < bestDist - 0.5 || depth < bestDepth) {
+        best = point;
+        bestDist = Math.min(dist, bestDist);
+        bestDepth = depth;
+      }
+    }
+    return best ? best.clone() : null;
+  }
+
+  /* ===== SURFACE ===== */
+  // Desplazamiento vertical para apoyar la caja `box` sobre la primera superficie de
+  // `targets` que haya debajo (o sobre el suelo y = 0 si no hay ninguna)
+  function dropOffset(box, targets) {
+    const bottom = new THREE.Vector3((box.min.x + box.max.x) / 2, box.min.y, (box.min.z + box.max.z) / 2);
+    const ray = new THREE.Raycaster(bottom.clone().setY(box.min.y + 1e-4), new THREE.Vector3(0, -1, 0));
+    const hit = ray.intersectObjects(targets, false)[0];
+    const floor = hit ? hit.point.y : 0;
+    return new THREE.Vector3(0, floor - bottom.y, 0);
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    snapCandidates,
+    nearestOnScreen,
+    dropOffset
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * editor-spatial-hash.js
+ * Rejilla hash de puntos para búsquedas por cercanía sin recorrer todos los vértices.
+ *
+ * Un hash es { cell, cells: Map "i_j_k" -> ids, keys: celda de cada id } y no guarda
+ * posiciones: las consultas reciben el array plano xyz con el que se construyó (la
+ * topología de editor-halfedge.js o puntos proyectados a pantalla con z = 0).
+ * editor-halfedge.js mantiene uno por malla en mesh.spatial y lo actualiza al mover,
+ * añadir o quitar vértices.
+ */
+
+const MAX_CELLS_PER_AXIS = 64; // celdas por eje de la caja: acota el número de celdas
+
+export function setupSpatialHash(api) {
+  const { THREE } = api;
+
+  /* ===== BUILD ===== */
+  // Celda del orden de la separación media entre puntos
+  function cellSizeFor(positions) {
+    const count = positions.length / 3;
+    if (!count) return 1;
+    const box = new THREE.Box3().setFromArray(positions);
+    const size = box.getSize(new THREE.Vector3());
+    const extent = Math.max(size.x, size.y, size.z);
+    if (extent <= 0) return 1;
+    const perAxis = THREE.MathUtils.clamp(Math.round(Math.cbrt(count)), 1, MAX_CELLS_PER_AXIS);
+    return extent / perAxis;
+  }
+
+  function createHash(positions, cell = cellSizeFor(positions)) {
+    const hash = { cell, cells: new Map(), keys: [] };
+    for (let i = 0; i < positions.length / 3; i++) {
+      insert(hash, i, positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    }
+    return hash;
+  }
+
+  function cellKey(hash, x, y, z) {
+    return `${Math.floor(x / hash.cell)}_${Math.floor(y / hash.cell)}_${Math.floor(z / hash.cell)}`;
+  }
+
+  /* ===== UPDATES ===== */
+  function insert(hash, id, x, y, z) {
+    const key = cellKey(hash, x, y, z);
+    let bucket = hash.cells.get(key);
+    if (!bucket) hash.cells.set(key, bucket = []);
+    bucket.push(id);
+    hash.keys[id] = key;
+  }
+
+  function unlink(hash, id) {
+    const key = hash.keys[id];
+    const bucket = hash.cells.get(key);
+    if (!bucket) return;
+    const k = bucket.indexOf(id);
+    if (k >= 0) {
+      bucket[k] = bucket[bucket.length - 1];
+      bucket.pop();
+    }
+    if (!bucket.length) hash.cells.delete(key);
+  }
+
+  function move(hash, id, x, y, z) {
+    const key = cellKey(hash, x, y, z);
+    if (hash.keys[id] === key) return;
+    unlink(hash, id);
+    insert(hash, id, x, y, z);
+  }
+
+  // Solo el último id (los vértices se quitan en orden inverso al que se añadieron)
+  function removeLast(hash) {
+    const id = hash.keys.length - 1;
+    if (id < 0) return;
+    unlink(hash, id);
+    hash.keys.length = id;
+  }
+
+  /* ===== QUERIES ===== */
+  function forEachInCells(hash, min, max, fn) {
+    const c = hash.cell;
+    const [i0, j0, k0] = [Math.floor(min.x / c), Math.floor(min.y / c), Math.floor(min.z / c)];
+    const [i1, j1, k1] = [Math.floor(max.x / c), Math.floor(max.y / c), Math.floor(max.z / c)];
+    // Radio grande frente a la celda: sale más barato recorrer solo las celdas ocupadas
+    if ((i1 - i0 + 1) * (j1 - j0 + 1) * (k1 - k0 + 1) > hash.cells.size) {
+      for (const [key, bucket] of hash.cells) {
+        const [i, j, k] = key.split('_').map(Number);
+        if (i >= i0 && i <= i1 && j >= j0 && j <= j1 && k >= k0 && k <= k1) bucket.forEach(fn);
+      }
+      return;
+    }
+    for (let i = i0; i <= i1; i++) {
+      for (let j = j0; j <= j1; j++) {
+        for (let k = k0; k <= k1; k++) {
+          const bucket = hash.cells.get(`${i}_${j}_${k}`);
+          if (bucket) bucket.forEach(fn);
+        }
+      }
+    }
+  }
+
+  // Ids a menos de `radius` de p (inclusive), sin orden
+  function queryRadius(hash, positions, p, radius) {
+    const out = [];
+    const r2 = radius * radius;
+    const min = { x: p.x - radius, y: p.y - radius, z: p.z - radius };
+    const max = { x: p.x + radius, y: p.y + radius, z: p.z + radius };
+    forEachInCells(hash, min, max, id => {
+      const dx = positions[id * 3] - p.x;
+      const dy = positions[id * 3 + 1] - p.y;
+      const dz = positions[id * 3 + 2] - p.z;
+      if (dx * dx + dy * dy + dz * dz <= r2) out.push(id);
+    });
+    return out;
+  }
+
+  // Id más cercano a p dentro de `radius` que cumpla `filter(id, dist)`, o -1
+  function nearest(hash, positions, p, radius, filter = null) {
+    let best = -1;
+    let bestDist = Infinity;
+    for (const id of queryRadius(hash, positions, p, radius)) {
+      const dist = Math.hypot(positions[id * 3] - p.x, positions[id * 3 + 1] - p.y, positions[id * 3 + 2] - p.z);
+      if (dist >= bestDist || (filter && !filter(id, dist))) continue;
+      best = id;
+      bestDist = dist;
+    }
+    return best;
+  }
+
+  // Puntos a menos de `threshold` del rayo, ordenados por distancia a lo largo del rayo
+  // (igual que Raycaster contra THREE.Points). Solo se abren las celdas ocupadas cuyo
+  // centro queda a menos de threshold + media diagonal de celda del rayo
+  function raycast(hash, positions, ray, threshold) {
+    const c = hash.cell;
+    const reach = threshold + c * Math.sqrt(3) / 2;
+    const center = new THREE.Vector3();
+    const p = new THREE.Vector3();
+    const closest = new THREE.Vector3();
+    const hits = [];
+    for (const [key, bucket] of hash.cells) {
+      const [i, j, k] = key.split('_').map(Number);
+      center.set((i + 0.5) * c, (j + 0.5) * c, (k + 0.5) * c);
+      if (ray.distanceSqToPoint(center) > reach * reach) continue;
+      for (const id of bucket) {
+        p.fromArray(positions, id * 3);
+        if (ray.distanceSqToPoint(p) > threshold * threshold) continue;
+        ray.closestPointToPoint(p, closest);
+        hits.push({ id, distance: ray.origin.distanceTo(closest), point: p.clone() });
+      }
+    }
+    return hits.sort((a, b) => a.distance - b.distance);
+  }
+
+  /* ===== PUBLIC API ===== */
+  return {
+    cellSizeFor,
+    createHash,
+    insert,
+    move,
+    removeLast,
+    queryRadius,
+    nearest,
+    raycast
+  };
+}
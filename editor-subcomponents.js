@@ -4,49 +4,31 @@
  */
 
 export function setupSubcomponents(api) {
-  const { THREE, CFG, scene, findObjectById } = api;
+  const { THREE, CFG, scene, findObjectById, halfEdge: HE, spatialHash: SPATIAL, meshOps, region, proportional: PROP } = api;
 
+  // Las entradas de selección referencian la topología (editor-halfedge.js), no el buffer:
+  //   { kind: 'v' | 'e' | 'f', key, verts: [ids de vértice], face?, corners?, centroidLocal }
+  // corners: esquinas { face, vertex } que el modo Explode separa al mover
   const state = {
     flags: { verts: true, edges: false, faces: false, explode: false },
+    proportional: { enabled: false, falloff: 'smooth', radius: 1 },
+    mirror: { x: false, y: false, z: false }, // simetría en ejes locales del objeto
+    drag: null, // arrastre en curso: { positions al empezar, groups, moves, transform }
     selection: [],
     baseline: null,
-    weldPending: null
+    weldPending: null,
+    rips: []
   };
 
-  const GROUP_EPS = 1e-4;
-
   /* ===== UTILITIES ===== */
-  function keyForPos(x, y, z) {
-    const qx = Math.round(x / GROUP_EPS);
-    const qy = Math.round(y / GROUP_EPS);
-    const qz = Math.round(z / GROUP_EPS);
-    return `${qx}_${qy}_${qz}`;
+  function topologyOf(obj) {
+    return HE.getTopology(obj.geometry);
   }
 
-  function buildVertexGroups(obj) {
-    const pos = obj.geometry?.attributes?.position;
-    if (!pos) return new Map();
-
-    const map = new Map();
-    for (let i = 0; i < pos.count; i++) {
-      const k = keyForPos(pos.getX(i), pos.getY(i), pos.getZ(i));
-      const arr = map.get(k);
-      if (arr) arr.push(i);
-      else map.set(k, [i]);
-    }
-    return map;
-  }
-
-  function getGroupForVertexIndex(obj, idx) {
-    if (state.flags.explode) return { key: `i:${idx}`, indices: [idx] };
-
-    const pos = obj.geometry?.attributes?.position;
-    if (!pos) return { key: `i:${idx}`, indices: [idx] };
-
-    const k = keyForPos(pos.getX(idx), pos.getY(idx), pos.getZ(idx));
-    const groups = buildVertexGroups(obj);
-    const indices = groups.get(k) ?? [idx];
-    return { key: `g:${k}`, indices };
+  // Tras mover vértices: copiar posiciones al buffer de render y refrescar helpers
+  function syncObject(obj) {
+    HE.syncPositions(topologyOf(obj), obj.geometry);
+    refreshHelpers(obj);
   }
 
   /* ===== FLAGS ===== */
@@ -55,30 +37,41 @@ export function setupSubcomponents(api) {
     state.flags = { ...state.flags, ...patch };
   }
 
-  /* ===== BASELINE ===== */
-  function setBaselineFromCurrent() {
+  function getProportional() { return { ...state.proportional }; }
+  // Cambiar radio o curva a mitad de arrastre recoloca los vértices desde el inicio
+  function setProportional(patch) {
+    state.proportional = { ...state.proportional, ...patch };
     const obj = getSelectedObject();
-    if (!obj) return;
-    const pos = obj.geometry?.attributes?.position;
-    if (!pos) return;
+    if (state.drag && obj) moveDrag(obj, planMoves(obj));
+  }
+
+  function getMirror() { return { ...state.mirror }; }
+  function setMirror(patch) {
+    state.mirror = { ...state.mirror, ...patch };
+  }
+
+  /* ===== BASELINE ===== */
+  // obj: objeto en edición (por defecto, el de la baseline actual)
+  function setBaselineFromCurrent(obj = getSelectedObject()) {
+    if (!obj?.geometry) return;
     state.baseline = {
       id: obj.userData.id,
-      positions: new Float32Array(pos.array)
+      positions: topologyOf(obj).positions.slice()
     };
   }
 
   function cancelToBaseline() {
     const obj = getSelectedObject();
     if (!obj || !state.baseline || state.baseline.id !== obj.userData.id) return;
-    const pos = obj.geometry?.attributes?.position;
-    if (!pos) return;
-
-    pos.array.set(state.baseline.positions);
-    pos.needsUpdate = true;
-    obj.geometry.computeVertexNormals();
-    obj.geometry.computeBoundingBox();
-    obj.geometry.computeBoundingSphere();
-    refreshHelpers(obj);
+    const mesh = topologyOf(obj);
+    if (mesh.positions.length !== state.baseline.positions.length) return;
+
+    const p = new THREE.Vector3();
+    for (let v = 0; v < HE.vertexCount(mesh); v++) {
+      HE.setPosition(mesh, v, p.fromArray(state.baseline.positions, v * 3));
+    }
+    state.drag = null;
+    syncObject(obj);
   }
 
   function getSelectedObject() {
@@ -87,20 +80,31 @@ export function setupSubcomponents(api) {
   }
 
   /* ===== VISUAL HELPERS ===== */
+  function edgeLinePositions(mesh) {
+    const out = new Float32Array(mesh.edges.length * 6);
+    mesh.edges.forEach(([a, b], e) => {
+      for (let c = 0; c < 3; c++) {
+        out[e * 6 + c] = mesh.positions[a * 3 + c];
+        out[e * 6 + 3 + c] = mesh.positions[b * 3 + c];
+      }
+    });
+    return out;
+  }
+
   function ensureHelpers(obj) {
     if (!obj || !obj.geometry) return;
     if (!obj.userData.sub) obj.userData.sub = {};
+    const mesh = topologyOf(obj);
 
-    // Vertex points
+    // Vertex points: uno por vértice de la topología
     if (!obj.userData.sub.vertexPoints) {
-      const geom = obj.geometry;
-      const posAttr = geom.attributes.position;
+      const count = HE.vertexCount(mesh);
 
       const ptsGeo = new THREE.BufferGeometry();
-      ptsGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(posAttr.array), 3));
+      ptsGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(mesh.positions), 3));
 
-      const col = new Float32Array(posAttr.count * 3);
-      for (let i = 0; i < posAttr.count; i++) {
+      const col = new Float32Array(count * 3);
+      for (let i = 0; i < count; i++) {
         col[i*3+0] = 0.91; col[i*3+1] = 0.3; col[i*3+2] = 0.24; // #e74c3c
       }
       ptsGeo.setAttribute('color', new THREE.BufferAttribute(col, 3));
@@ -121,12 +125,16 @@ export function setupSubcomponents(api) {
       obj.userData.sub.vertexPoints = pts;
     }
 
-    // Edge helper
+    // Edge helper: un segmento por borde de la topología (incluidos los sueltos).
+    // El segmento i es el borde i, así el pick y el resaltado trabajan con ids de borde
     if (!obj.userData.sub.edgeLines) {
+      const edgeGeo = new THREE.BufferGeometry();
+      edgeGeo.setAttribute('position', new THREE.BufferAttribute(edgeLinePositions(mesh), 3));
+      edgeGeo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(mesh.edges.length * 6), 3));
       const edges = new THREE.LineSegments(
-        new THREE.EdgesGeometry(obj.geometry),
+        edgeGeo,
         new THREE.LineBasicMaterial({ 
-          color: 0xf1c40f, 
+          vertexColors: true, 
           transparent: true, 
           opacity: 0.7, 
           depthTest: false,
@@ -164,10 +172,18 @@ export function setupSubcomponents(api) {
 
     const pts = obj.userData.sub.vertexPoints;
     if (pts) {
-      const src = obj.geometry.attributes.position.array;
+      const src = topologyOf(obj).positions;
       const dst = pts.geometry.attributes.position;
-      dst.array.set(src);
-      dst.needsUpdate = true;
+      if (dst.array.length === src.length) {
+        dst.array.set(src);
+        dst.needsUpdate = true;
+      } else {
+        // Cambió el número de vértices (extrusión, undo de una soldadura...): recrear los puntos
+        obj.remove(pts);
+        pts.geometry.dispose();
+        pts.material.dispose();
+        obj.userData.sub.vertexPoints = null;
+      }
     }
 
     if (obj.userData.sub.edgeLines) {
@@ -184,18 +200,35 @@ export function setupSubcomponents(api) {
     }
 
     ensureHelpers(obj);
-    applySubVisibility(obj);
+    if (obj.userData.sub.active) applySubVisibility(obj);
+    else hideHelpers(obj);
     recolorSelection(obj);
   }
 
+  // Reconstruye los helpers tras reemplazar la geometría del objeto (undo/redo)
+  function refreshObject(obj) {
+    if (!obj?.userData?.sub) return;
+    refreshHelpers(obj);
+  }
+
   function applySubVisibility(obj) {
     ensureHelpers(obj);
+    obj.userData.sub.active = true;
     obj.userData.sub.vertexPoints.visible = !!state.flags.verts;
     obj.userData.sub.edgeLines.visible = !!state.flags.edges;
     obj.userData.sub.faceWire.visible = !!state.flags.faces;
     recolorSelection(obj);
   }
 
+  function hideHelpers(obj) {
+    const sub = obj?.userData?.sub;
+    if (!sub) return;
+    sub.active = false;
+    if (sub.vertexPoints) sub.vertexPoints.visible = false;
+    if (sub.edgeLines) sub.edgeLines.visible = false;
+    if (sub.faceWire) sub.faceWire.visible = false;
+  }
+
   /* ===== SELECTION ===== */
   function clearSelection() {
     state.selection = [];
@@ -203,21 +236,44 @@ export function setupSubcomponents(api) {
   }
   function hasSelection() { return state.selection.length > 0; }
 
-  function makeSelectionKey(kind, key, indices) {
-    if (kind === 'v') return `v:${key}`;
-    const sig = indices.slice().sort((a,b)=>a-b).join(',');
-    return `${kind}:${sig}`;
+  function makeSelectionKey(kind, ids) {
+    if (kind === 'e') return `e:${Math.min(...ids)}_${Math.max(...ids)}`;
+    return `${kind}:${ids.join(':')}`;
   }
 
   function selectionIndexByKey(selKey) {
     return state.selection.findIndex(s => s.key === selKey);
   }
 
-  function centroidLocalFromIndices(obj, indices) {
-    const pos = obj.geometry.attributes.position;
-    const c = new THREE.Vector3();
-    for (const i of indices) c.add(new THREE.Vector3(pos.getX(i), pos.getY(i), pos.getZ(i)));
-    return c.multiplyScalar(1 / Math.max(1, indices.length));
+  function centroidLocalFromVerts(obj, verts) {
+    return HE.centroid(topologyOf(obj), verts);
+  }
+
+  function toggleEntry(entry) {
+    const existing = selectionIndexByKey(entry.key);
+    if (existing >= 0) state.selection.splice(existing, 1);
+    else state.selection.push(entry);
+  }
+
+  function selectedVertexSet() {
+    const set = new Set();
+    state.selection.forEach(s => s.verts.forEach(v => set.add(v)));
+    return set;
+  }
+
+  // Bordes seleccionados explícitamente o como parte de una cara seleccionada
+  function selectedEdgeSet(obj) {
+    const mesh = topologyOf(obj);
+    const set = new Set();
+    for (const s of state.selection) {
+      if (s.kind === 'e') set.add(HE.edgeId(mesh, s.verts[0], s.verts[1]));
+      else if (s.kind === 'f') {
+        const verts = mesh.faces[s.face] ?? [];
+        verts.forEach((v, k) => set.add(HE.edgeId(mesh, v, verts[(k + 1) % verts.length])));
+      }
+    }
+    set.delete(-1);
+    return set;
   }
 
   function recolorSelection(obj) {
@@ -231,11 +287,21 @@ export function setupSubcomponents(api) {
     }
 
     // Mark selected (cyan)
-    const selectedSet = new Set();
-    state.selection.forEach(s => s.indices.forEach(i => selectedSet.add(i)));
-    selectedSet.forEach(i => col.setXYZ(i, 0.2, 0.7, 1.0));
+    selectedVertexSet().forEach(i => { if (i < col.count) col.setXYZ(i, 0.2, 0.7, 1.0); });
 
     col.needsUpdate = true;
+
+    const lines = obj.userData.sub.edgeLines;
+    if (lines) {
+      const edgeCol = lines.geometry.attributes.color;
+      const selected = selectedEdgeSet(obj);
+      for (let e = 0; e < edgeCol.count / 2; e++) {
+        const [r, g, b] = selected.has(e) ? [0.2, 0.7, 1.0] : [0.95, 0.77, 0.06]; // cyan / #f1c40f
+        edgeCol.setXYZ(e * 2, r, g, b);
+        edgeCol.setXYZ(e * 2 + 1, r, g, b);
+      }
+      edgeCol.needsUpdate = true;
+    }
   }
 
   function getSelectionWorldCenter() {
@@ -262,56 +328,160 @@ export function setupSubcomponents(api) {
     return c;
   }
 
+  /* ===== ORIENTATION ===== */
+  function anyPerpendicular(v) {
+    const ref = Math.abs(v.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+    return new THREE.Vector3().crossVectors(ref, v).normalize();
+  }
+
+  // Orientación "Normal" de la selección en espacio mundo: Z sigue la normal de las
+  // caras (o de los vértices), y en bordes el eje Y sigue la dirección del borde
+  function getSelectionOrientation(obj) {
+    if (!obj || !hasSelection()) return null;
+    const mesh = topologyOf(obj);
+    obj.updateMatrixWorld(true);
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(obj.matrixWorld);
+    const vertexNormalSum = (verts) => verts.reduce(
+      (acc, v) => acc.add(HE.vertexNormal(mesh, v)), new THREE.Vector3()
+    );
+
+    const faces = state.selection.filter(s => s.kind === 'f');
+    const edges = state.selection.filter(s => s.kind === 'e');
+
+    let z = new THREE.Vector3();
+    let x = null;
+
+    if (faces.length) {
+      for (const f of faces) {
+        z.add(HE.faceNormal(mesh, f.face).applyMatrix3(normalMatrix).normalize());
+      }
+      const f0 = mesh.faces[faces[0].face];
+      x = HE.getPosition(mesh, f0[1]).sub(HE.getPosition(mesh, f0[0])).transformDirection(obj.matrixWorld);
+    } else if (edges.length) {
+      const e0 = edges[0].verts;
+      const y = HE.getPosition(mesh, e0[1]).sub(HE.getPosition(mesh, e0[0])).transformDirection(obj.matrixWorld);
+      edges.forEach(e => z.add(vertexNormalSum(e.verts).applyMatrix3(normalMatrix)));
+      // Z perpendicular al borde
+      z.addScaledVector(y, -z.dot(y));
+      if (z.lengthSq() < 1e-10) z = anyPerpendicular(y);
+      z.normalize();
+      x = new THREE.Vector3().crossVectors(y, z);
+    } else {
+      state.selection.forEach(s => z.add(vertexNormalSum(s.verts).applyMatrix3(normalMatrix)));
+    }
+
+    if (z.lengthSq() < 1e-10) return null;
+    z.normalize();
+
+    if (!x || Math.abs(x.dot(z)) > 0.999) x = anyPerpendicular(z);
+    x.addScaledVector(z, -x.dot(z)).normalize();
+    const y = new THREE.Vector3().crossVectors(z, x);
+
+    const basis = new THREE.Matrix4().makeBasis(x, y, z);
+    return new THREE.Quaternion().setFromRotationMatrix(basis);
+  }
+
   /* ===== PICKING ===== */
-  function approximateEdgeByNearest(obj, worldPoint) {
-    const geom = obj.geometry;
-    const pos = geom.attributes.position;
-    const local = obj.worldToLocal(worldPoint.clone());
-
-    let best = -1, bestD = Infinity;
-    for (let i=0; i<pos.count; i++){
-      const dx = pos.getX(i) - local.x;
-      const dy = pos.getY(i) - local.y;
-      const dz = pos.getZ(i) - local.z;
-      const d = dx*dx + dy*dy + dz*dz;
-      if (d < bestD){ bestD = d; best = i; }
-    }
-    if (best < 0) return null;
-
-    let best2 = -1, bestD2 = Infinity;
-    for (let i=0; i<pos.count; i++){
-      if (i === best) continue;
-      const dx = pos.getX(i) - local.x;
-      const dy = pos.getY(i) - local.y;
-      const dz = pos.getZ(i) - local.z;
-      const d = dx*dx + dy*dy + dz*dz;
-      if (d < bestD2){ bestD2 = d; best2 = i; }
-    }
-    if (best2 < 0) return null;
-    return [best, best2];
-  }
-
-  function togglePick(raycaster, obj) {
+  // Borde bajo el dedo, resuelto en pantalla: se proyectan los bordes de la topología y
+  // se elige el más cercano al puntero dentro de CFG.edgePickTolerance píxeles,
+  // prefiriendo los visibles (no tapados por la propia malla) y luego los más cercanos
+  // screen: { pointer (NDC), width, height } del canvas
+  function pickEdge(raycaster, obj, screen) {
+    const camera = raycaster.camera;
+    if (!camera || !screen) return -1;
+    const mesh = topologyOf(obj);
+    const tolerance = CFG.edgePickTolerance ?? 16;
+    const px = (screen.pointer.x + 1) / 2 * screen.width;
+    const py = (1 - screen.pointer.y) / 2 * screen.height;
+
+    obj.updateMatrixWorld(true);
+    const count = HE.vertexCount(mesh);
+    const world = new Float32Array(count * 3);
+    const projected = new Float32Array(count * 3);
+    const p = new THREE.Vector3();
+    for (let v = 0; v < count; v++) {
+      HE.getPosition(mesh, v, p).applyMatrix4(obj.matrixWorld);
+      p.toArray(world, v * 3);
+      p.project(camera);
+      projected[v * 3] = (p.x + 1) / 2 * screen.width;
+      projected[v * 3 + 1] = (1 - p.y) / 2 * screen.height;
+      projected[v * 3 + 2] = p.z;
+    }
+
+    const candidates = [];
+    mesh.edges.forEach(([a, b], e) => {
+      // Fuera del frustum en profundidad (detrás de la cámara o más allá del far)
+      if (Math.abs(projected[a * 3 + 2]) > 1 || Math.abs(projected[b * 3 + 2]) > 1) return;
+      const ax = projected[a * 3], ay = projected[a * 3 + 1];
+      const dx = projected[b * 3] - ax, dy = projected[b * 3 + 1] - ay;
+      const len2 = dx * dx + dy * dy;
+      const t = len2 > 0 ? THREE.MathUtils.clamp(((px - ax) * dx + (py - ay) * dy) / len2, 0, 1) : 0;
+      const dist = Math.hypot(ax + dx * t - px, ay + dy * t - py);
+      if (dist > tolerance) return;
+      const point = new THREE.Vector3().fromArray(world, a * 3)
+        .lerp(new THREE.Vector3().fromArray(world, b * 3), t);
+      candidates.push({ e, dist, point, depth: point.distanceTo(camera.position) });
+    });
+    if (!candidates.length) return -1;
+
+    const probe = new THREE.Raycaster();
+    probe.layers.enableAll(); // también la jaula de los objetos con modificadores
+    for (const c of candidates) {
+      probe.set(camera.position, c.point.clone().sub(camera.position).normalize());
+      const hit = probe.intersectObject(obj, false)[0];
+      c.hidden = !!hit && hit.distance < c.depth - 1e-3 * Math.max(1, c.depth);
+    }
+    candidates.sort((m, n) => (m.hidden - n.hidden) || (m.dist - n.dist) || (m.depth - n.depth));
+    return candidates[0].e;
+  }
+
+  // Vértice bajo el rayo con el criterio de Raycaster contra los puntos del helper
+  // (umbral params.Points.threshold, el más cercano a lo largo del rayo), pero
+  // consultando el hash espacial de la malla en vez de recorrer todos los vértices
+  function pickVertex(raycaster, obj) {
+    const mesh = topologyOf(obj);
+    obj.updateMatrixWorld(true);
+    const ray = raycaster.ray.clone().applyMatrix4(obj.matrixWorld.clone().invert());
+    const hits = SPATIAL.raycast(HE.spatialIndex(mesh), mesh.positions, ray, raycaster.params.Points.threshold);
+    return hits.length ? hits[0].id : -1;
+  }
+
+  // Cara (de la topología) bajo el rayo
+  function pickFace(raycaster, obj) {
+    const hits = raycaster.intersectObject(obj, false);
+    if (!hits.length || hits[0].faceIndex == null) return -1;
+    return topologyOf(obj).triangleFace[hits[0].faceIndex] ?? -1;
+  }
+
+  function togglePick(raycaster, obj, screen) {
     ensureHelpers(obj);
+    const mesh = topologyOf(obj);
 
     if (!state.baseline || state.baseline.id !== obj.userData.id) {
-      state.baseline = null;
-      setBaselineFromCurrent();
+      setBaselineFromCurrent(obj);
     }
 
     // Vertex pick
     if (state.flags.verts && obj.userData.sub.vertexPoints) {
-      const hits = raycaster.intersectObject(obj.userData.sub.vertexPoints, true);
-      if (hits.length) {
-        const idx = hits[0].index;
-
-        const grp = getGroupForVertexIndex(obj, idx);
-        const centroidLocal = centroidLocalFromIndices(obj, grp.indices);
-        const selKey = makeSelectionKey('v', grp.key, grp.indices);
-
-        const existing = selectionIndexByKey(selKey);
-        if (existing >= 0) state.selection.splice(existing, 1);
-        else state.selection.push({ kind: 'v', key: selKey, indices: grp.indices.slice(), centroidLocal });
+      const v = pickVertex(raycaster, obj);
+      if (v >= 0) {
+        const centroidLocal = centroidLocalFromVerts(obj, [v]);
+
+        // Explode: se toma la esquina de la cara tocada para separarla al mover
+        const faces = mesh.vertexFaces[v];
+        if (state.flags.explode && faces.length) {
+          const hitFace = pickFace(raycaster, obj);
+          const face = faces.includes(hitFace) ? hitFace : faces[0];
+          toggleEntry({
+            kind: 'v',
+            key: makeSelectionKey('c', [face, v]),
+            verts: [v],
+            corners: [{ face, vertex: v }],
+            centroidLocal
+          });
+        } else {
+          toggleEntry({ kind: 'v', key: makeSelectionKey('v', [v]), verts: [v], centroidLocal });
+        }
 
         recolorSelection(obj);
         return true;
@@ -320,17 +490,16 @@ export function setupSubcomponents(api) {
 
     // Edge pick
     if (state.flags.edges && obj.userData.sub.edgeLines) {
-      const hits = raycaster.intersectObject(obj.userData.sub.edgeLines, true);
-      if (hits.length) {
-        const p = hits[0].point.clone();
-        const pair = approximateEdgeByNearest(obj, p);
-        if (!pair) return false;
-
-        const centroidLocal = centroidLocalFromIndices(obj, pair);
-        const selKey = makeSelectionKey('e', 'edge', pair);
-        const existing = selectionIndexByKey(selKey);
-        if (existing >= 0) state.selection.splice(existing, 1);
-        else state.selection.push({ kind: 'e', key: selKey, indices: pair.slice(), centroidLocal });
+      const e = pickEdge(raycaster, obj, screen);
+      if (e >= 0) {
+        const pair = mesh.edges[e];
+
+        toggleEntry({
+          kind: 'e',
+          key: makeSelectionKey('e', pair),
+          verts: pair.slice(),
+          centroidLocal: centroidLocalFromVerts(obj, pair)
+        });
 
         recolorSelection(obj);
         return true;
@@ -339,16 +508,18 @@ export function setupSubcomponents(api) {
 
     // Face pick
     if (state.flags.faces) {
-      const hits = raycaster.intersectObject(obj, false);
-      if (hits.length) {
-        const f = hits[0].face;
-        if (!f) return false;
-        const tri = [f.a, f.b, f.c];
-        const centroidLocal = centroidLocalFromIndices(obj, tri);
-        const selKey = makeSelectionKey('f', 'face', tri);
-        const existing = selectionIndexByKey(selKey);
-        if (existing >= 0) state.selection.splice(existing, 1);
-        else state.selection.push({ kind: 'f', key: selKey, indices: tri.slice(), centroidLocal });
+      const face = pickFace(raycaster, obj);
+      if (face >= 0) {
+        const verts = mesh.faces[face].slice();
+        const entry = {
+          kind: 'f',
+          key: makeSelectionKey('f', [face]),
+          face,
+          verts,
+          centroidLocal: centroidLocalFromVerts(obj, verts)
+        };
+        if (state.flags.explode) entry.corners = verts.map(vertex => ({ face, vertex }));
+        toggleEntry(entry);
 
         recolorSelection(obj);
         return true;
@@ -358,37 +529,389 @@ export function setupSubcomponents(api) {
     return false;
   }
 
+  /* ===== SELECTION TOOLS ===== */
+  // Las herramientas trabajan sobre el tipo de elemento de la selección actual (el de la
+  // última entrada) o, si no hay selección, sobre el modo visible: caras > bordes > vértices
+  function activeKind() {
+    if (hasSelection()) return state.selection[state.selection.length - 1].kind;
+    if (state.flags.faces) return 'f';
+    if (state.flags.edges) return 'e';
+    return 'v';
+  }
+
+  function entryFor(obj, kind, id) {
+    const mesh = topologyOf(obj);
+    const verts = kind === 'v' ? [id] : kind === 'e' ? mesh.edges[id].slice() : mesh.faces[id].slice();
+    const entry = {
+      kind,
+      key: makeSelectionKey(kind, kind === 'f' ? [id] : verts),
+      verts,
+      centroidLocal: centroidLocalFromVerts(obj, verts)
+    };
+    if (kind === 'f') entry.face = id;
+    return entry;
+  }
+
+  function idOfEntry(obj, s) {
+    if (s.kind === 'v') return s.verts[0];
+    if (s.kind === 'e') return HE.edgeId(topologyOf(obj), s.verts[0], s.verts[1]);
+    return s.face;
+  }
+
+  // Añade elementos sin duplicar; replace=true sustituye las entradas de ese tipo
+  function addToSelection(obj, kind, ids, { replace = false } = {}) {
+    const before = state.selection.map(s => s.key).join('|');
+    if (replace) state.selection = state.selection.filter(s => s.kind !== kind);
+    const keys = new Set(state.selection.map(s => s.key));
+    for (const id of ids) {
+      if (id < 0) continue;
+      const entry = entryFor(obj, kind, id);
+      if (keys.has(entry.key)) continue;
+      keys.add(entry.key);
+      state.selection.push(entry);
+    }
+    recolorSelection(obj);
+    return state.selection.map(s => s.key).join('|') !== before;
+  }
+
+  // Elementos del tipo `kind` contenidos en un conjunto de vértices
+  function idsWithinVertices(obj, kind, verts) {
+    const mesh = topologyOf(obj);
+    if (kind === 'v') return Array.from(verts);
+    const list = kind === 'e' ? mesh.edges : mesh.faces;
+    const ids = [];
+    list.forEach((vs, id) => { if (vs.every(v => verts.has(v))) ids.push(id); });
+    return ids;
+  }
+
+  function allIds(obj, kind) {
+    const mesh = topologyOf(obj);
+    const count = kind === 'v' ? HE.vertexCount(mesh) : kind === 'e' ? mesh.edges.length : mesh.faces.length;
+    return Array.from({ length: count }, (_, i) => i);
+  }
+
+  // Borde que define la dirección de loop/ring según la selección:
+  // borde seleccionado, borde entre los dos últimos vértices o entre las dos últimas caras
+  function guideEdges(obj, kind, ring) {
+    const mesh = topologyOf(obj);
+    const entries = state.selection.filter(s => s.kind === kind);
+    if (kind === 'e') return entries.map(s => HE.edgeId(mesh, s.verts[0], s.verts[1]));
+
+    if (kind === 'v') {
+      if (entries.length < 2) return [];
+      const [a, b] = entries.slice(-2).map(s => s.verts[0]);
+      return [HE.edgeId(mesh, a, b)];
+    }
+
+    // Caras: el borde compartido por las dos últimas (o el primero de la cara). El loop
+    // cruza ese borde; el ring va en perpendicular (borde siguiente de la cara)
+    if (!entries.length) return [];
+    const last = entries[entries.length - 1].face;
+    const verts = mesh.faces[last];
+    let k = 0;
+    if (entries.length > 1) {
+      const prev = new Set(mesh.faces[entries[entries.length - 2].face]);
+      const shared = verts.findIndex((v, i) => prev.has(v) && prev.has(verts[(i + 1) % verts.length]));
+      if (shared >= 0) k = shared;
+    }
+    if (ring) k = (k + 1) % verts.length;
+    return [HE.edgeId(mesh, verts[k], verts[(k + 1) % verts.length])];
+  }
+
+  function selectLoop(obj) {
+    return selectAlongEdges(obj, false);
+  }
+
+  function selectRing(obj) {
+    return selectAlongEdges(obj, true);
+  }
+
+  function selectAlongEdges(obj, ring) {
+    if (!obj || !hasSelection()) return false;
+    const mesh = topologyOf(obj);
+    const kind = activeKind();
+    const guides = guideEdges(obj, kind, ring).filter(e => e >= 0);
+    if (!guides.length) return false;
+
+    const ids = new Set();
+    for (const e of guides) {
+      if (kind === 'f') {
+        // Loop de caras: las caras que atraviesa el anillo del borde guía
+        HE.edgeRing(mesh, e).faces.forEach(f => ids.add(f));
+        continue;
+      }
+      const edges = ring ? HE.edgeRing(mesh, e).edges : HE.edgeLoop(mesh, e);
+      if (kind === 'e') edges.forEach(id => ids.add(id));
+      else edges.forEach(id => mesh.edges[id].forEach(v => ids.add(v)));
+    }
+    return addToSelection(obj, kind, ids);
+  }
+
+  function selectedVerticesOfKind(kind) {
+    const verts = new Set();
+    state.selection.filter(s => s.kind === kind).forEach(s => s.verts.forEach(v => verts.add(v)));
+    return verts;
+  }
+
+  // Isla completa: todo lo conectado a la selección actual
+  function selectLinked(obj) {
+    if (!obj || !hasSelection()) return false;
+    const kind = activeKind();
+    const linked = HE.linkedVertices(topologyOf(obj), selectedVerticesOfKind(kind));
+    return addToSelection(obj, kind, idsWithinVertices(obj, kind, linked));
+  }
+
+  function growSelection(obj) {
+    if (!obj || !hasSelection()) return false;
+    const mesh = topologyOf(obj);
+    const kind = activeKind();
+    const verts = selectedVerticesOfKind(kind);
+    Array.from(verts).forEach(v => HE.vertexNeighbors(mesh, v).forEach(w => verts.add(w)));
+    return addToSelection(obj, kind, idsWithinVertices(obj, kind, verts));
+  }
+
+  // Quita lo que está en el borde de la selección (vértices con vecinos sin seleccionar)
+  function shrinkSelection(obj) {
+    if (!obj || !hasSelection()) return false;
+    const mesh = topologyOf(obj);
+    const kind = activeKind();
+    const verts = selectedVerticesOfKind(kind);
+    const inner = new Set(Array.from(verts).filter(v => HE.vertexNeighbors(mesh, v).every(w => verts.has(w))));
+    const before = state.selection.length;
+    const keep = new Set(idsWithinVertices(obj, kind, inner));
+    state.selection = state.selection.filter(s => s.kind !== kind || keep.has(idOfEntry(obj, s)));
+    recolorSelection(obj);
+    return state.selection.length !== before;
+  }
+
+  function selectAll(obj) {
+    if (!obj) return false;
+    const kind = activeKind();
+    return addToSelection(obj, kind, allIds(obj, kind), { replace: true });
+  }
+
+  function invertSelection(obj) {
+    if (!obj) return false;
+    const kind = activeKind();
+    const selected = new Set(state.selection.filter(s => s.kind === kind).map(s => idOfEntry(obj, s)));
+    return addToSelection(obj, kind, allIds(obj, kind).filter(id => !selected.has(id)), { replace: true });
+  }
+
+  // Caras (o vértices) cuya normal se desvía menos de `angle` grados de alguna seleccionada
+  function selectByNormal(obj, angle = 15) {
+    if (!obj || !hasSelection()) return false;
+    const mesh = topologyOf(obj);
+    const kind = activeKind() === 'f' ? 'f' : 'v';
+    const normalOf = (id) => kind === 'f' ? HE.faceNormal(mesh, id) : HE.vertexNormal(mesh, id);
+    const refs = state.selection.filter(s => s.kind === kind).map(s => normalOf(idOfEntry(obj, s)));
+    if (!refs.length) return false;
+
+    const cos = Math.cos(THREE.MathUtils.degToRad(angle));
+    const ids = allIds(obj, kind).filter(id => {
+      const n = normalOf(id);
+      return n.lengthSq() > 0 && refs.some(r => r.dot(n) >= cos);
+    });
+    return addToSelection(obj, kind, ids);
+  }
+
+  /* ===== REGION SELECTION ===== */
+  // Caja o lazo (editor-region-select.js): vértices por su proyección, bordes con los dos
+  // extremos dentro y caras por su centro. Sin x-ray solo cuentan los elementos que no
+  // tapa la propia malla y, en las caras, las orientadas hacia la cámara
+  // options: { camera, xray, mode: 'set' | 'add' | 'sub' }
+  function selectInRegion(obj, area, { camera, xray = false, mode = 'set' } = {}) {
+    if (!obj || !area || !camera) return false;
+    ensureHelpers(obj);
+    if (!state.baseline || state.baseline.id !== obj.userData.id) {
+      setBaselineFromCurrent(obj);
+    }
+
+    const mesh = topologyOf(obj);
+    obj.updateMatrixWorld(true);
+    const world = Array.from({ length: HE.vertexCount(mesh) },
+      (_, v) => HE.getPosition(mesh, v).applyMatrix4(obj.matrixWorld));
+    const inside = world.map(p => region.containsPoint(area, p, camera));
+
+    const isOccluded = xray ? null : region.occlusionTest(camera, [obj], area);
+    const visibility = new Map();
+    const vertexVisible = (v) => {
+      if (xray) return true;
+      if (!visibility.has(v)) visibility.set(v, !isOccluded(world[v]));
+      return visibility.get(v);
+    };
+
+    const hits = { v: [], e: [], f: [] };
+    if (state.flags.verts) {
+      inside.forEach((ok, v) => { if (ok && vertexVisible(v)) hits.v.push(v); });
+    }
+    if (state.flags.edges) {
+      mesh.edges.forEach(([a, b], e) => {
+        if (inside[a] && inside[b] && vertexVisible(a) && vertexVisible(b)) hits.e.push(e);
+      });
+    }
+    if (state.flags.faces) {
+      const normalMatrix = new THREE.Matrix3().getNormalMatrix(obj.matrixWorld);
+      mesh.faces.forEach((verts, f) => {
+        const center = HE.faceCentroid(mesh, f).applyMatrix4(obj.matrixWorld);
+        if (!region.containsPoint(area, center, camera)) return;
+        if (!xray) {
+          const n = HE.faceNormal(mesh, f).applyMatrix3(normalMatrix);
+          if (n.dot(center.clone().sub(camera.position)) >= 0) return;
+          if (isOccluded(center)) return;
+        }
+        hits.f.push(f);
+      });
+    }
+
+    const before = state.selection.map(s => s.key).join('|');
+    if (mode === 'set') state.selection = [];
+    for (const kind of ['v', 'e', 'f']) {
+      if (!hits[kind].length) continue;
+      if (mode === 'sub') {
+        const drop = new Set(hits[kind]);
+        state.selection = state.selection.filter(s => s.kind !== kind || !drop.has(idOfEntry(obj, s)));
+      } else {
+        addToSelection(obj, kind, hits[kind]);
+      }
+    }
+    recolorSelection(obj);
+    return state.selection.map(s => s.key).join('|') !== before;
+  }
+
   /* ===== MOVEMENT ===== */
   let accumulatedLocalDelta = new THREE.Vector3(0,0,0);
 
+  // Modo Explode: separa las esquinas seleccionadas antes del primer movimiento.
+  // Los cortes se guardan en state.rips para deshacerlos junto con el movimiento
+  function ripPendingCorners(obj) {
+    const pending = state.selection.filter(s => s.corners?.length);
+    if (!pending.length) return;
+    const mesh = topologyOf(obj);
+
+    for (const s of pending) {
+      s.verts = s.corners.map(({ face, vertex }) => {
+        if (mesh.vertexFaces[vertex].length < 2) return vertex;
+        const corner = mesh.faces[face].indexOf(vertex);
+        const to = HE.splitCorner(mesh, face, corner);
+        state.rips.push({ face, corner, from: vertex, to });
+        return to;
+      });
+      s.corners = null;
+    }
+    if (state.rips.length) replaceGeometry(obj, HE.toBufferGeometry(mesh));
+  }
+
+  // Contrapartes de la selección al otro lado de cada plano de simetría activo (y de sus
+  // combinaciones): [{ sources: Set de vértices, scale }] donde scale refleja el delta.
+  // Se buscan una vez por arrastre, con las posiciones de partida
+  function mirrorGroups(mesh, selected) {
+    const axes = ['x', 'y', 'z'].filter(a => state.mirror[a]);
+    if (!axes.length) return [];
+    const tolerance = CFG.mirrorTolerance ?? 1e-3;
+    const index = HE.spatialIndex(mesh);
+    const taken = new Set(selected);
+    const groups = [];
+    const p = new THREE.Vector3();
+    for (let mask = 1; mask < (1 << axes.length); mask++) {
+      const scale = new THREE.Vector3(1, 1, 1);
+      axes.forEach((a, i) => { if (mask & (1 << i)) scale[a] = -1; });
+      const sources = new Set();
+      for (const v of selected) {
+        const c = SPATIAL.nearest(index, mesh.positions, HE.getPosition(mesh, v, p).multiply(scale), tolerance);
+        if (c < 0 || taken.has(c)) continue;
+        taken.add(c);
+        sources.add(c);
+      }
+      if (sources.size) groups.push({ sources, scale });
+    }
+    return groups;
+  }
+
+  // Vértices que se mueven en el arrastre: Map vértice -> { w, scale }. Con edición
+  // proporcional cada grupo (la selección y sus reflejos) arrastra su entorno; si dos
+  // grupos alcanzan el mismo vértice gana el peso mayor. Los vértices que están sobre un
+  // plano de simetría no se salen de él
+  function planMoves(obj) {
+    const { positions, groups } = state.drag;
+    obj.updateWorldMatrix(true, false);
+
+    const moves = new Map();
+    for (const { sources, scale } of groups) {
+      const weights = state.proportional.enabled
+        ? PROP.softWeights(positions, obj.matrixWorld, sources, state.proportional)
+        : new Map(Array.from(sources, v => [v, 1]));
+      weights.forEach((w, v) => {
+        if (!moves.has(v) || w > moves.get(v).w) moves.set(v, { w, scale });
+      });
+    }
+
+    const tolerance = CFG.mirrorTolerance ?? 1e-3;
+    const axes = ['x', 'y', 'z'].filter(a => state.mirror[a]);
+    if (axes.length) {
+      moves.forEach((move, v) => {
+        const onPlane = axes.filter((a, i) => Math.abs(positions[v * 3 + 'xyz'.indexOf(a)]) <= tolerance);
+        if (!onPlane.length) return;
+        const scale = move.scale.clone();
+        onPlane.forEach(a => { scale[a] = 0; });
+        moves.set(v, { w: move.w, scale });
+      });
+    }
+    return moves;
+  }
+
+  // Cada vértice afectado = posición inicial + peso · desplazamiento; los que dejan de
+  // estar afectados (al encoger el radio) vuelven a su sitio. El desplazamiento es el
+  // delta acumulado reflejado o, al rotar o escalar, el que produce drag.transform: en los
+  // grupos simétricos se aplica reflejada (S·T·S) y un 0 en scale fija ese eje
+  function moveDrag(obj, moves) {
+    const mesh = topologyOf(obj);
+    const { positions, transform } = state.drag;
+    const p = new THREE.Vector3();
+    const d = new THREE.Vector3();
+    const reflect = new THREE.Vector3();
+    const keep = new THREE.Vector3();
+    state.drag.moves.forEach((_, v) => {
+      if (!moves.has(v)) HE.setPosition(mesh, v, p.fromArray(positions, v * 3));
+    });
+    moves.forEach(({ w, scale }, v) => {
+      p.fromArray(positions, v * 3);
+      if (transform) {
+        reflect.set(scale.x < 0 ? -1 : 1, scale.y < 0 ? -1 : 1, scale.z < 0 ? -1 : 1);
+        keep.set(scale.x === 0 ? 0 : 1, scale.y === 0 ? 0 : 1, scale.z === 0 ? 0 : 1);
+        d.copy(p).multiply(reflect).applyMatrix4(transform).multiply(reflect).sub(p).multiply(keep);
+      } else {
+        d.copy(accumulatedLocalDelta).multiply(scale);
+      }
+      HE.setPosition(mesh, v, p.addScaledVector(d, w));
+    });
+    state.drag.moves = moves;
+    syncObject(obj);
+  }
+
+  function beginDrag(obj) {
+    const mesh = topologyOf(obj);
+    const selected = selectedVertexSet();
+    state.drag = {
+      positions: mesh.positions.slice(),
+      groups: [{ sources: selected, scale: new THREE.Vector3(1, 1, 1) }, ...mirrorGroups(mesh, selected)],
+      moves: new Map(),
+      transform: null
+    };
+    return planMoves(obj);
+  }
+
   function applySelectionWorldDelta(obj, worldDelta) {
     if (!hasSelection()) return 0;
+    ripPendingCorners(obj);
 
     const p0 = obj.worldToLocal(obj.position.clone());
     const p1 = obj.worldToLocal(obj.position.clone().add(worldDelta));
     const dLocal = p1.sub(p0);
 
-    const unique = new Set();
-    state.selection.forEach(s => s.indices.forEach(i => unique.add(i)));
-
-    const pos = obj.geometry.attributes.position;
-    unique.forEach(i => {
-      pos.setXYZ(i,
-        pos.getX(i) + dLocal.x,
-        pos.getY(i) + dLocal.y,
-        pos.getZ(i) + dLocal.z
-      );
-    });
-
-    pos.needsUpdate = true;
-    obj.geometry.computeVertexNormals();
-    obj.geometry.computeBoundingBox();
-    obj.geometry.computeBoundingSphere();
-
-    state.selection.forEach(s => { s.centroidLocal.add(dLocal); });
     accumulatedLocalDelta.add(dLocal);
+    moveDrag(obj, state.drag ? state.drag.moves : beginDrag(obj));
 
-    refreshHelpers(obj);
+    state.selection.forEach(s => { s.centroidLocal.add(dLocal); });
 
     const beforeCenterW = getSelectionWorldCenterForObject(obj);
     const afterCenterW = getSelectionWorldCenterForObject(obj);
@@ -396,74 +919,107 @@ export function setupSubcomponents(api) {
     return afterCenterW.distanceTo(beforeCenterW);
   }
 
+  // Rotación y escala: `matrix` (espacio local del objeto) es la transformación desde el
+  // inicio del arrastre, con los mismos pesos proporcionales y reflejos que la traslación
+  function applySelectionLocalTransform(obj, matrix) {
+    if (!hasSelection()) return;
+    ripPendingCorners(obj);
+    const moves = state.drag ? state.drag.moves : beginDrag(obj);
+    state.drag.transform = matrix.clone();
+    moveDrag(obj, moves);
+    state.selection.forEach(s => { s.centroidLocal = centroidLocalFromVerts(obj, s.verts); });
+  }
+
   /* ===== WELDING ===== */
-  function checkWeld(obj) {
+  // ¿Algún vértice seleccionado tiene un vértice no seleccionado a menos de `threshold`?
+  // El umbral está en unidades de mundo: se mide con las posiciones en mundo
+  function checkWeld(obj, { threshold = 0.1 } = {}) {
     if (!state.flags.verts || state.flags.explode) return null;
     if (!hasSelection()) return null;
 
-    // Check if selection has any vertex groups
+    // Check if selection has any vertices
     const vertexSelections = state.selection.filter(s => s.kind === 'v');
     if (vertexSelections.length === 0) return null;
 
-    // Get all unique vertex indices from selection
-    const selectedIndices = new Set();
-    vertexSelections.forEach(s => s.indices.forEach(i => selectedIndices.add(i)));
-
-    // Build all vertex groups
-    const groups = buildVertexGroups(obj);
-    const pos = obj.geometry.attributes.position;
-
-    // For each selected vertex, check if there's a nearby non-selected vertex
-    for (const idx of selectedIndices) {
-      const p1 = new THREE.Vector3(pos.getX(idx), pos.getY(idx), pos.getZ(idx));
-      
-      for (let i = 0; i < pos.count; i++) {
-        if (selectedIndices.has(i)) continue; // skip other selected vertices
-        
-        const p2 = new THREE.Vector3(pos.getX(i), pos.getY(i), pos.getZ(i));
-        const dist = p1.distanceTo(p2);
-        
-        if (dist > 0.01 && dist < 0.4) {
-          // Found a nearby vertex - return weld info
-          const targetKey = keyForPos(pos.getX(i), pos.getY(i), pos.getZ(i));
-          const targetIndices = groups.get(targetKey) ?? [i];
-          
-          return {
-            sourceIndices: Array.from(selectedIndices),
-            targetPosition: p2.clone(),
-            targetIndices: targetIndices
-          };
-        }
+    const selected = new Set();
+    vertexSelections.forEach(s => s.verts.forEach(v => selected.add(v)));
+
+    const mesh = topologyOf(obj);
+    obj.updateMatrixWorld(true);
+
+    // Vértice no seleccionado más cercano a alguno de los seleccionados (hash espacial)
+    for (const v of selected) {
+      let i = -1;
+      let best = Infinity;
+      for (const { id, dist } of meshOps.neighborsWithin(mesh, v, threshold, obj.matrixWorld)) {
+        if (selected.has(id) || dist >= best) continue;
+        i = id;
+        best = dist;
+      }
+      if (i >= 0) {
+        return {
+          sourceVerts: Array.from(selected),
+          targetPosition: HE.getPosition(mesh, i),
+          targetVerts: [i]
+        };
       }
     }
 
     return null;
   }
 
-  function applyWeld(obj, weldInfo) {
-    if (!weldInfo) return;
-
-    const pos = obj.geometry.attributes.position;
-    const targetPos = weldInfo.targetPosition;
+  // Grupos a fusionar ({ verts, target } en local). mode:
+  //   'target'   la selección sobre el vértice detectado por checkWeld (weldPending)
+  //   'first' / 'last'  sobre el primer / último vértice seleccionado
+  //   'center'   en el centro de la selección
+  //   'cursor'   en el cursor 3D (cursor: posición en mundo)
+  //   'distance' toda la malla, vértices a menos de `threshold` (en mundo)
+  function mergeGroups(obj, mode, { threshold = 0.1, cursor = null } = {}) {
+    const mesh = topologyOf(obj);
+    if (mode === 'distance') {
+      obj.updateMatrixWorld(true);
+      return meshOps.distanceGroups(mesh, threshold, null, obj.matrixWorld);
+    }
 
-    // Move all source indices to target position
-    weldInfo.sourceIndices.forEach(i => {
-      pos.setXYZ(i, targetPos.x, targetPos.y, targetPos.z);
-    });
+    if (mode === 'target') {
+      const info = state.weldPending;
+      if (!info) return [];
+      return [{ verts: [...info.targetVerts, ...info.sourceVerts], target: info.targetPosition.clone() }];
+    }
 
-    pos.needsUpdate = true;
-    obj.geometry.computeVertexNormals();
-    obj.geometry.computeBoundingBox();
-    obj.geometry.computeBoundingSphere();
+    const verts = Array.from(selectedVertexSet());
+    if (!verts.length) return [];
+    const first = state.selection[0].verts[0];
+    const lastEntry = state.selection[state.selection.length - 1];
+    const last = lastEntry.verts[lastEntry.verts.length - 1];
+    const ordered = (v) => [v, ...verts.filter(w => w !== v)];
+
+    if (mode === 'first') return [{ verts: ordered(first), target: HE.getPosition(mesh, first) }];
+    if (mode === 'last') return [{ verts: ordered(last), target: HE.getPosition(mesh, last) }];
+    if (mode === 'cursor' && cursor) {
+      obj.updateMatrixWorld(true);
+      return [{ verts, target: obj.worldToLocal(cursor.clone()) }];
+    }
+    return [{ verts, target: HE.centroid(mesh, verts) }];
+  }
 
-    // Update selection centroids
-    state.selection.forEach(s => {
-      if (s.kind === 'v') {
-        s.centroidLocal.copy(targetPos);
-      }
-    });
+  // Vista previa: destinos en mundo y nº de vértices que desaparecen
+  function mergePreview(obj, mode, options) {
+    const groups = mergeGroups(obj, mode, options);
+    obj.updateMatrixWorld(true);
+    return {
+      targets: groups.map(g => g.target.clone().applyMatrix4(obj.matrixWorld)),
+      removed: groups.reduce((sum, g) => sum + new Set(g.verts).size - 1, 0)
+    };
+  }
 
-    refreshHelpers(obj);
+  // Fusiona de verdad: los vértices de cada grupo pasan a ser uno y las caras
+  // degeneradas desaparecen. Los vértices resultantes quedan seleccionados
+  function mergeSelection(obj, mode, options) {
+    const groups = mergeGroups(obj, mode, options).filter(g => new Set(g.verts).size > 1 || mode === 'cursor');
+    state.weldPending = null;
+    if (!groups.length) return false;
+    return applyTopologyResult(obj, meshOps.mergeVertices(topologyOf(obj), groups));
   }
 
   function setWeldPending(info) {
@@ -478,69 +1034,263 @@ export function setupSubcomponents(api) {
     state.weldPending = null;
   }
 
+  /* ===== TOPOLOGY ===== */
+  function replaceGeometry(obj, geometry) {
+    const old = obj.geometry;
+    obj.geometry = geometry;
+    old.dispose();
+    refreshHelpers(obj);
+  }
+
+  // Convierte los elementos creados por una operación en la nueva selección
+  function selectCreated(obj, created) {
+    state.selection = created.map(({ kind, verts, face }) => {
+      const entry = {
+        kind,
+        key: makeSelectionKey(kind, kind === 'f' ? [face] : verts),
+        verts: verts.slice(),
+        centroidLocal: centroidLocalFromVerts(obj, verts)
+      };
+      if (kind === 'f') entry.face = face;
+      return entry;
+    });
+    accumulatedLocalDelta.set(0, 0, 0);
+    state.rips = [];
+    recolorSelection(obj);
+    setBaselineFromCurrent(obj);
+  }
+
+  function applyTopologyResult(obj, result) {
+    if (!result) return false;
+    replaceGeometry(obj, HE.toBufferGeometry(result.mesh));
+    selectCreated(obj, result.selection);
+    return true;
+  }
+
+  // Extruye lo seleccionado: caras si las hay, si no bordes, si no vértices
+  function extrudeSelection(obj, options) {
+    if (!obj || !hasSelection()) return false;
+    const mesh = topologyOf(obj);
+    const faces = state.selection.filter(s => s.kind === 'f');
+    const edges = state.selection.filter(s => s.kind === 'e');
+
+    let result;
+    if (faces.length) result = meshOps.extrudeFaces(mesh, faces.map(s => s.face), options);
+    else if (edges.length) result = meshOps.extrudeEdges(mesh, edges.map(s => s.verts), options);
+    else result = meshOps.extrudeVertices(mesh, Array.from(selectedVertexSet()), options);
+    return applyTopologyResult(obj, result);
+  }
+
+  function insetSelection(obj, options) {
+    if (!obj) return false;
+    const faces = state.selection.filter(s => s.kind === 'f');
+    if (!faces.length) return false;
+    return applyTopologyResult(obj, meshOps.insetFaces(topologyOf(obj), faces.map(s => s.face), options));
+  }
+
+  function hasFaceSelection() {
+    return state.selection.some(s => s.kind === 'f');
+  }
+
+  // Caras seleccionadas, o toda la malla si no hay ninguna
+  function subdivideSelection(obj, { smooth = true } = {}) {
+    if (!obj) return false;
+    const faces = state.selection.filter(s => s.kind === 'f').map(s => s.face);
+    return applyTopologyResult(obj, meshOps.subdivideMesh(topologyOf(obj), { smooth, faces: faces.length ? faces : null }));
+  }
+
+  // Borde guía del corte: el primer borde seleccionado
+  function loopCutEdge(obj) {
+    const s = state.selection.find(entry => entry.kind === 'e');
+    return s ? HE.edgeId(topologyOf(obj), s.verts[0], s.verts[1]) : -1;
+  }
+
+  function loopCutSelection(obj, options) {
+    if (!obj) return false;
+    const edge = loopCutEdge(obj);
+    if (edge < 0) return false;
+    return applyTopologyResult(obj, meshOps.loopCut(topologyOf(obj), edge, options));
+  }
+
+  // Segmentos (en local) que añadiría el corte, para previsualizarlo sin tocar la malla
+  function loopCutPreview(obj, options) {
+    if (!obj) return [];
+    const edge = loopCutEdge(obj);
+    const result = edge >= 0 ? meshOps.loopCut(topologyOf(obj), edge, options) : null;
+    if (!result) return [];
+    return result.selection.map(({ verts }) => verts.map(v => HE.getPosition(result.mesh, v)));
+  }
+
+  // Bordes seleccionados (también los de las caras); si no hay, los vértices
+  function bevelSelection(obj, options) {
+    if (!obj || !hasSelection()) return false;
+    const mesh = topologyOf(obj);
+    const edges = Array.from(selectedEdgeSet(obj));
+    const result = edges.length
+      ? meshOps.bevelEdges(mesh, edges, options)
+      : meshOps.bevelVertices(mesh, Array.from(selectedVertexSet()), options);
+    return applyTopologyResult(obj, result);
+  }
+
+  // Elementos seleccionados por tipo, con ids de borde y cara de la topología
+  function selectionElements(obj) {
+    const mesh = topologyOf(obj);
+    return {
+      verts: state.selection.filter(s => s.kind === 'v').flatMap(s => s.verts),
+      edges: state.selection.filter(s => s.kind === 'e').map(s => HE.edgeId(mesh, s.verts[0], s.verts[1])).filter(e => e >= 0),
+      faces: state.selection.filter(s => s.kind === 'f').map(s => s.face)
+    };
+  }
+
+  function deleteSelection(obj) {
+    if (!obj || !hasSelection()) return false;
+    return applyTopologyResult(obj, meshOps.deleteElements(topologyOf(obj), selectionElements(obj)));
+  }
+
+  function dissolveSelection(obj) {
+    if (!obj || !hasSelection()) return false;
+    return applyTopologyResult(obj, meshOps.dissolveElements(topologyOf(obj), selectionElements(obj)));
+  }
+
   /* ===== UNDO/REDO ===== */
+  // verts son todos los vértices que movió el arrastre. Con edición proporcional
+  // weights[i] es la fracción del delta que recibió verts[i]; con simetría, scales
+  // (xyz por vértice) es el reflejo aplicado al delta. Todo va en una sola entrada.
+  // Al rotar o escalar no hay delta común: se guardan las posiciones (locales) de verts
+  // antes y después
   function commitSelectionDeltaAsAction(objectId) {
+    const drag = state.drag;
+    state.drag = null;
     if (!objectId) return null;
     if (!hasSelection()) return null;
-    if (accumulatedLocalDelta.lengthSq() < 1e-12) return null;
+    if (drag?.transform) return commitTransformAction(objectId, drag);
+    if (accumulatedLocalDelta.lengthSq() < 1e-12 && !state.rips.length) return null;
 
-    const unique = new Set();
-    state.selection.forEach(s => s.indices.forEach(i => unique.add(i)));
-    const indices = Array.from(unique);
+    const moves = drag ? Array.from(drag.moves) : Array.from(selectedVertexSet(), v => [v, { w: 1, scale: null }]);
+    const verts = moves.map(([v]) => v);
 
     const d = accumulatedLocalDelta.clone();
     accumulatedLocalDelta.set(0,0,0);
 
-    return {
+    const action = {
       type: 'subEdit',
       id: objectId,
-      indices,
+      verts,
       delta: { x: d.x, y: d.y, z: d.z }
     };
+    if (moves.some(([, m]) => m.w !== 1)) action.weights = moves.map(([, m]) => m.w);
+    if (moves.some(([, m]) => m.scale && (m.scale.x !== 1 || m.scale.y !== 1 || m.scale.z !== 1))) {
+      action.scales = moves.flatMap(([, m]) => m.scale ? m.scale.toArray() : [1, 1, 1]);
+    }
+    if (state.rips.length) action.rips = state.rips.splice(0);
+    return action;
   }
 
-  function applyDeltaLocalToIndices(obj, indices, dLocal) {
-    const pos = obj.geometry.attributes.position;
-    for (const i of indices) {
-      pos.setXYZ(i,
-        pos.getX(i) + dLocal.x,
-        pos.getY(i) + dLocal.y,
-        pos.getZ(i) + dLocal.z
-      );
+  function commitTransformAction(objectId, drag) {
+    const obj = findObjectById(objectId);
+    accumulatedLocalDelta.set(0, 0, 0);
+    if (!obj) return null;
+    const mesh = topologyOf(obj);
+    const verts = Array.from(drag.moves.keys());
+    const before = verts.flatMap(v => drag.positions.slice(v * 3, v * 3 + 3));
+    const after = verts.flatMap(v => mesh.positions.slice(v * 3, v * 3 + 3));
+    const moved = after.some((x, i) => Math.abs(x - before[i]) > 1e-9);
+    if (!moved && !state.rips.length) return null;
+
+    const action = { type: 'subEdit', id: objectId, verts, before, after };
+    if (state.rips.length) action.rips = state.rips.splice(0);
+    return action;
+  }
+
+  function setVertexPositions(obj, verts, flat) {
+    const mesh = topologyOf(obj);
+    const p = new THREE.Vector3();
+    verts.forEach((v, i) => HE.setPosition(mesh, v, p.fromArray(flat, i * 3)));
+    syncObject(obj);
+  }
+
+  function applyDeltaLocalToVerts(obj, verts, dLocal, { weights = null, scales = null } = {}) {
+    const mesh = topologyOf(obj);
+    if (weights || scales) {
+      const p = new THREE.Vector3();
+      const d = new THREE.Vector3();
+      verts.forEach((v, i) => {
+        d.copy(dLocal);
+        if (scales) d.multiply(p.fromArray(scales, i * 3));
+        HE.setPosition(mesh, v, HE.getPosition(mesh, v, p).addScaledVector(d, weights ? weights[i] : 1));
+      });
+    } else {
+      HE.translateVertices(mesh, verts, dLocal);
     }
-    pos.needsUpdate = true;
-    obj.geometry.computeVertexNormals();
-    obj.geometry.computeBoundingBox();
-    obj.geometry.computeBoundingSphere();
-    refreshHelpers(obj);
+    syncObject(obj);
   }
 
   function applySubEditForward(action) {
     const obj = findObjectById(action.id);
     if (!obj) return;
-    applyDeltaLocalToIndices(obj, action.indices, new THREE.Vector3(action.delta.x, action.delta.y, action.delta.z));
+    if (action.rips) {
+      const mesh = topologyOf(obj);
+      action.rips.forEach(r => HE.splitCorner(mesh, r.face, r.corner));
+      replaceGeometry(obj, HE.toBufferGeometry(mesh));
+    }
+    if (action.after) setVertexPositions(obj, action.verts, action.after);
+    else applyDeltaLocalToVerts(obj, action.verts, new THREE.Vector3(action.delta.x, action.delta.y, action.delta.z), action);
   }
 
   function applySubEditInverse(action) {
     const obj = findObjectById(action.id);
     if (!obj) return;
-    applyDeltaLocalToIndices(obj, action.indices, new THREE.Vector3(-action.delta.x, -action.delta.y, -action.delta.z));
+    if (action.before) setVertexPositions(obj, action.verts, action.before);
+    else applyDeltaLocalToVerts(obj, action.verts, new THREE.Vector3(-action.delta.x, -action.delta.y, -action.delta.z), action);
+    if (action.rips) {
+      const mesh = topologyOf(obj);
+      action.rips.slice().reverse().forEach(r => HE.unsplitCorner(mesh, r.face, r.corner, r.from));
+      replaceGeometry(obj, HE.toBufferGeometry(mesh));
+    }
   }
 
   /* ===== PUBLIC API ===== */
   return {
     getFlags,
     setFlags,
+    getProportional,
+    setProportional,
+    getMirror,
+    setMirror,
 
     applySubVisibility,
+    hideHelpers,
+    refreshObject,
 
     togglePick,
     clearSelection,
     hasSelection,
 
+    selectLoop,
+    selectRing,
+    selectLinked,
+    growSelection,
+    shrinkSelection,
+    selectAll,
+    invertSelection,
+    selectByNormal,
+    selectInRegion,
+
     getSelectionWorldCenter,
+    getSelectionOrientation,
 
     applySelectionWorldDelta,
+    applySelectionLocalTransform,
+
+    extrudeSelection,
+    insetSelection,
+    hasFaceSelection,
+    subdivideSelection,
+    loopCutSelection,
+    loopCutPreview,
+    bevelSelection,
+    deleteSelection,
+    dissolveSelection,
 
     setBaselineFromCurrent,
     cancelToBaseline,
@@ -550,7 +1300,8 @@ export function setupSubcomponents(api) {
     applySubEditInverse,
 
     checkWeld,
-    applyWeld,
+    mergePreview,
+    mergeSelection,
     setWeldPending,
     getWeldPending,
     clearWeldPending